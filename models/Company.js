@@ -0,0 +1,24 @@
+const mongoose = require("mongoose");
+
+// A company that profiles work at, matched on its normalized name and any merged aliases
+const companySchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true }, // Display name
+    normalizedName: { type: String, required: true, unique: true },
+    aliases: [String], // Other spellings merged into this company, as written
+    matchKeys: [String], // Normalized name plus normalized aliases - what profile.company is matched against
+    industry: String,
+    sizeRange: { // Employee count range reported by LinkedIn
+      min: Number,
+      max: Number
+    },
+    linkedinUrl: String
+  },
+  { timestamps: true }
+);
+
+// A spelling belongs to at most one company
+companySchema.index({ matchKeys: 1 }, { unique: true });
+companySchema.index({ name: 1 });
+
+module.exports = mongoose.model("Company", companySchema);
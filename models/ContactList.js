@@ -0,0 +1,18 @@
+const mongoose = require("mongoose");
+
+// A user-owned named list of profiles. Members must be profiles the owner unlocked or uploaded.
+const contactListSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    name: { type: String, required: true, trim: true, maxlength: 100 },
+    description: { type: String, default: "", maxlength: 500 },
+    profileIds: { type: [{ type: mongoose.Schema.Types.ObjectId, ref: "Profile" }], default: [] }
+  },
+  { timestamps: true }
+);
+
+// List names are unique per user, ignoring case
+contactListSchema.index({ userId: 1, name: 1 }, { unique: true, collation: { locale: "en", strength: 2 } });
+contactListSchema.index({ profileIds: 1 });
+
+module.exports = mongoose.model("ContactList", contactListSchema);
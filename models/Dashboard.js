@@ -9,6 +9,13 @@ const dashboardSchema = new mongoose.Schema({
   uploadedProfileIds: { type: [String], default: [] }, // Array to store actual profile IDs
   unlockedContactIds: { type: [String], default: [] }, // NEW: Array to store contact IDs this user has unlocked
   recentActivity: { type: [String], default: [] },
+  pipelineStages: { type: [String], default: undefined }, // Custom contact pipeline; unset means the default stages
+  preferences: {
+    emailDigests: { type: Boolean, default: true }, // Saved-search digest emails
+    exportColumns: { type: [String], default: undefined }, // Default CSV export columns
+    vcardVersion: { type: String, enum: ["3.0", "4.0"] } // Default vCard export version
+  },
+  ledgerOpenedAt: Date, // When the points ledger started: at creation, or the first points change for older dashboards
   updatedAt: { type: Date, default: Date.now }
 });
 
@@ -0,0 +1,20 @@
+const mongoose = require("mongoose");
+
+// A client-supplied Idempotency-Key and the response of the request that first used it,
+// replayed when the client retries. Keys expire after a day.
+const idempotencyKeySchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    key: { type: String, required: true },
+    scope: { type: String, required: true }, // Operation the key was used for, e.g. "unlock"
+    fingerprint: { type: String, required: true }, // Hash of the request, so a reused key can't replay a different request
+    status: { type: String, enum: ["pending", "completed"], default: "pending" },
+    responseStatus: Number,
+    responseBody: mongoose.Schema.Types.Mixed,
+    createdAt: { type: Date, default: Date.now, expires: 24 * 60 * 60 }
+  }
+);
+
+idempotencyKeySchema.index({ userId: 1, key: 1 }, { unique: true });
+
+module.exports = mongoose.model("IdempotencyKey", idempotencyKeySchema);
@@ -0,0 +1,25 @@
+const mongoose = require("mongoose");
+
+// In-app notification for a user, e.g. a new profile matching one of their saved searches
+const notificationSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    type: { type: String, enum: ["saved_search_match"], required: true },
+    title: { type: String, required: true },
+    message: { type: String, default: "" },
+    savedSearchId: { type: mongoose.Schema.Types.ObjectId, ref: "SavedSearch" },
+    profileId: { type: mongoose.Schema.Types.ObjectId, ref: "Profile" },
+    read: { type: Boolean, default: false }
+  },
+  { timestamps: { createdAt: "createdAt", updatedAt: false } }
+);
+
+notificationSchema.index({ userId: 1, createdAt: -1 });
+notificationSchema.index({ userId: 1, read: 1 });
+// A profile is announced at most once per saved search
+notificationSchema.index(
+  { savedSearchId: 1, profileId: 1 },
+  { unique: true, partialFilterExpression: { type: "saved_search_match" } }
+);
+
+module.exports = mongoose.model("Notification", notificationSchema);
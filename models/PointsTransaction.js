@@ -0,0 +1,55 @@
+const mongoose = require("mongoose");
+
+// One entry of a user's append-only points ledger. Dashboard.availablePoints is a cached balance;
+// the sum of a user's transactions is the source of truth.
+const pointsTransactionSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    type: {
+      type: String,
+      enum: [
+        "signup_bonus",
+        "opening_balance", // Balance carried over from before the ledger existed
+        "unlock",
+        "upload_reward",
+        "upload_reversal",
+        "report_refund",
+        "report_penalty",
+        "admin_adjustment"
+      ],
+      required: true
+    },
+    amount: { type: Number, required: true }, // Signed: credits are positive, debits negative
+    balanceAfter: { type: Number, required: true },
+    profileId: { type: mongoose.Schema.Types.ObjectId, ref: "Profile" },
+    jobId: String, // Bulk upload / import run the entry belongs to
+    reportId: { type: mongoose.Schema.Types.ObjectId, ref: "ProfileReport" },
+    actorId: { type: mongoose.Schema.Types.ObjectId, ref: "User" }, // Admin who made an adjustment
+    pricing: { // Pricing rules that priced an unlock or upload reward (none: the built-in default)
+      ruleId: { type: mongoose.Schema.Types.ObjectId, ref: "PricingRule" },
+      promotionId: { type: mongoose.Schema.Types.ObjectId, ref: "PricingRule" },
+      basePoints: Number // Price before the promotion
+    },
+    description: String // For admin adjustments, the required reason
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+pointsTransactionSchema.index({ userId: 1, createdAt: -1, _id: -1 });
+pointsTransactionSchema.index({ userId: 1, type: 1, createdAt: -1 });
+
+// Ledger entries are never changed or removed
+function rejectChange(next) {
+  next(new Error("Points transactions are append-only"));
+}
+
+pointsTransactionSchema.pre("save", function(next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+pointsTransactionSchema.pre(
+  ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "findOneAndReplace", "deleteOne", "deleteMany", "findOneAndDelete"],
+  rejectChange
+);
+
+module.exports = mongoose.model("PointsTransaction", pointsTransactionSchema);
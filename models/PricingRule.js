@@ -0,0 +1,54 @@
+const mongoose = require("mongoose");
+
+// An admin-defined price for unlocking profiles or reward for uploading them. A "price" rule sets the
+// points for the profiles it matches (highest priority wins); a "promotion" scales that price by a
+// multiplier while it runs. Rules are never deleted, only deactivated, because ledger entries point at them.
+const pricingRuleSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, trim: true },
+    target: { type: String, enum: ["unlock_cost", "upload_reward"], required: true },
+    kind: { type: String, enum: ["price", "promotion"], default: "price" },
+    points: { type: Number, min: 0 }, // Price rules: the points charged / rewarded
+    multiplier: { type: Number, min: 0 }, // Promotions: applied to the price, e.g. 0.5 for half-price unlocks
+    priority: { type: Number, default: 0 }, // Higher wins when several rules match
+    active: { type: Boolean, default: true },
+    startsAt: Date, // Optional time box, required for promotions
+    endsAt: Date,
+    conditions: { // Every set condition must hold; an empty set matches every profile
+      seniorityLevels: { type: [String], default: undefined },
+      minCompleteness: { type: Number, min: 0, max: 100 },
+      maxCompleteness: { type: Number, min: 0, max: 100 },
+      hasEmail: Boolean, // true: only profiles with an email, false: only profiles without one
+      hasPhone: Boolean
+    },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" }
+  },
+  { timestamps: true }
+);
+
+pricingRuleSchema.index({ target: 1, active: 1, priority: -1 });
+
+pricingRuleSchema.pre("validate", function(next) {
+  if (this.kind === "price" && (this.points === undefined || this.points === null)) {
+    this.invalidate("points", "Price rules need points");
+  }
+  if (this.kind === "promotion") {
+    if (this.multiplier === undefined || this.multiplier === null) {
+      this.invalidate("multiplier", "Promotions need a multiplier");
+    }
+    if (!this.startsAt || !this.endsAt) {
+      this.invalidate("endsAt", "Promotions need startsAt and endsAt");
+    }
+  }
+  if (this.startsAt && this.endsAt && this.endsAt <= this.startsAt) {
+    this.invalidate("endsAt", "endsAt must be after startsAt");
+  }
+  const { minCompleteness, maxCompleteness } = this.conditions || {};
+  if (minCompleteness !== undefined && maxCompleteness !== undefined && minCompleteness > maxCompleteness) {
+    this.invalidate("conditions.maxCompleteness", "maxCompleteness must not be below minCompleteness");
+  }
+  next();
+});
+
+module.exports = mongoose.model("PricingRule", pricingRuleSchema);
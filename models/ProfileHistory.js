@@ -0,0 +1,27 @@
+const mongoose = require("mongoose");
+
+// One entry per create/update of a Profile. `version` matches Profile.revision after the write.
+const profileHistorySchema = new mongoose.Schema(
+  {
+    profileId: { type: mongoose.Schema.Types.ObjectId, ref: "Profile", required: true },
+    version: { type: Number, required: true },
+    action: { type: String, enum: ["create", "update", "revert", "merge"], required: true },
+    source: { type: String, enum: ["user", "bulk", "import", "scraper", "admin", "system"], default: "user" },
+    actor: { type: String, default: null }, // userId of whoever made the change (null for system jobs)
+    changes: [
+      {
+        _id: false,
+        field: String,
+        before: mongoose.Schema.Types.Mixed,
+        after: mongoose.Schema.Types.Mixed
+      }
+    ],
+    snapshot: { type: mongoose.Schema.Types.Mixed, default: {} }, // Tracked fields after this version
+    revertedTo: Number
+  },
+  { timestamps: { createdAt: "createdAt", updatedAt: false } }
+);
+
+profileHistorySchema.index({ profileId: 1, version: -1 }, { unique: true });
+
+module.exports = mongoose.model("ProfileHistory", profileHistorySchema);
@@ -0,0 +1,38 @@
+const mongoose = require("mongoose");
+
+// A user's report of bad data on a profile, resolved by an admin through the moderation queue
+const profileReportSchema = new mongoose.Schema(
+  {
+    profileId: { type: mongoose.Schema.Types.ObjectId, ref: "Profile", required: true },
+    profileName: String, // Kept for the queue and activity messages if the profile is deleted later
+    reporterId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    reason: {
+      type: String,
+      enum: ["wrong_contact_info", "duplicate", "fake", "outdated", "opt_out"],
+      required: true
+    },
+    details: { type: String, default: "", maxlength: 2000 },
+    duplicateOf: { type: mongoose.Schema.Types.ObjectId, ref: "Profile" }, // For "duplicate" reports
+    status: { type: String, enum: ["pending", "accepted", "rejected"], default: "pending" },
+    resolution: {
+      action: { type: String, enum: ["hide", "fix", "none"] },
+      note: String,
+      moderatorId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      resolvedAt: Date,
+      resolvedWith: { type: mongoose.Schema.Types.ObjectId, ref: "ProfileReport" }, // Closed together with this report
+      refunds: [{ _id: false, userId: String, points: Number }],
+      penalty: { userId: String, points: Number }
+    }
+  },
+  { timestamps: true }
+);
+
+profileReportSchema.index({ status: 1, createdAt: 1 });
+profileReportSchema.index({ profileId: 1, status: 1 });
+// One open report per user and profile
+profileReportSchema.index(
+  { profileId: 1, reporterId: 1 },
+  { unique: true, partialFilterExpression: { status: "pending" } }
+);
+
+module.exports = mongoose.model("ProfileReport", profileReportSchema);
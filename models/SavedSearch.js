@@ -0,0 +1,21 @@
+const mongoose = require("mongoose");
+
+// A user's stored profile search. `filters` holds GET /profiles query parameters
+// (see FILTER_PARAMS in utils/profileQuery.js) so listings and matching share one filter builder.
+const savedSearchSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    name: { type: String, required: true, trim: true, maxlength: 100 },
+    filters: { type: mongoose.Schema.Types.Mixed, default: {} },
+    dailyDigest: { type: Boolean, default: false }, // Also email new matches once a day
+    matchCount: { type: Number, default: 0 }, // New profiles matched since the search was saved
+    lastMatchedAt: Date,
+    lastDigestAt: Date // Digests include notifications created after this
+  },
+  { timestamps: true, minimize: false }
+);
+
+savedSearchSchema.index({ userId: 1, createdAt: -1 });
+savedSearchSchema.index({ dailyDigest: 1 });
+
+module.exports = mongoose.model("SavedSearch", savedSearchSchema);
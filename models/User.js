@@ -5,7 +5,8 @@ const UserSchema = new mongoose.Schema({
   email: { type: String, unique: true, sparse: true },
   password: String,
   googleId: String,
-  avatar: String
+  avatar: String,
+  role: { type: String, enum: ["user", "admin"], default: "user" }
 });
 
 module.exports = mongoose.model("User", UserSchema);
@@ -0,0 +1,47 @@
+const mongoose = require("mongoose");
+
+const noteSchema = new mongoose.Schema(
+  {
+    text: { type: String, required: true, trim: true, maxlength: 5000 }
+  },
+  { timestamps: true }
+);
+
+const reminderSchema = new mongoose.Schema(
+  {
+    dueAt: { type: Date, required: true },
+    note: { type: String, default: "", trim: true, maxlength: 500 },
+    done: { type: Boolean, default: false },
+    doneAt: Date
+  },
+  { timestamps: true }
+);
+
+// A user's private record for a profile they unlocked or uploaded (one document per user and profile).
+// Only ever read and written with the owner's userId - never exposed to other users.
+const userContactSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    profileId: { type: mongoose.Schema.Types.ObjectId, ref: "Profile", required: true },
+    tags: { type: [String], default: [] }, // Lowercased free-form tags
+    notes: { type: [noteSchema], default: [] },
+    stage: { type: String, default: null }, // Pipeline stage; null means the owner's first stage
+    stageHistory: [
+      {
+        _id: false,
+        stage: String,
+        changedAt: { type: Date, default: Date.now }
+      }
+    ],
+    reminders: { type: [reminderSchema], default: [] }
+  },
+  { timestamps: true }
+);
+
+userContactSchema.index({ userId: 1, profileId: 1 }, { unique: true });
+userContactSchema.index({ userId: 1, tags: 1 });
+userContactSchema.index({ userId: 1, stage: 1 });
+userContactSchema.index({ userId: 1, "reminders.dueAt": 1 });
+userContactSchema.index({ profileId: 1 });
+
+module.exports = mongoose.model("UserContact", userContactSchema);
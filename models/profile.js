@@ -1,11 +1,42 @@
 const mongoose = require("mongoose");
+const { extractLinkedInId } = require("../utils/linkedinHelper");
+const { profileHistoryPlugin } = require("../utils/profileHistory");
+const { computeCompleteness } = require("../utils/profileCompleteness");
+const { formatWorkExperience, formatEducation } = require("../utils/profileStructure");
+const { normalizeContactFields, normalizeEmail, normalizePhone } = require("../utils/contactNormalization");
+const { resolveCompanyId, linkCompanies } = require("../utils/companyLinks");
+const { priceUploads } = require("../utils/pricingRules");
 
-// Function to extract LinkedIn identifier from URL
-function extractLinkedInId(url) {
-  if (!url) return null;
-  // Match the pattern: linkedin.com/in/USERNAME
-  const match = url.match(/linkedin\.com\/in\/([^/?]+)/);
-  return match ? match[1].toLowerCase() : null;
+const positionSchema = new mongoose.Schema(
+  {
+    title: String,
+    company: String,
+    location: String,
+    description: String,
+    startMonth: { type: Number, min: 1, max: 12 },
+    startYear: { type: Number, min: 1900, max: 2100 },
+    endMonth: { type: Number, min: 1, max: 12 },
+    endYear: { type: Number, min: 1900, max: 2100 },
+    current: { type: Boolean, default: false }
+  },
+  { _id: false }
+);
+
+const educationSchema = new mongoose.Schema(
+  {
+    school: String,
+    degree: String,
+    field: String,
+    startYear: { type: Number, min: 1900, max: 2100 },
+    endYear: { type: Number, min: 1900, max: 2100 }
+  },
+  { _id: false }
+);
+
+// Contact validators only check values being written: records stored before validation existed may
+// hold unparseable values, and those must not block saves that don't touch them
+function isChanged(doc, path) {
+  return typeof doc.isModified !== "function" || doc.isModified(path);
 }
 
 const profileSchema = new mongoose.Schema(
@@ -13,30 +44,182 @@ const profileSchema = new mongoose.Schema(
     name: String,
     jobTitle: String,
     company: String,
+    companyId: { type: mongoose.Schema.Types.ObjectId, ref: "Company" }, // Resolved from `company` on save
     location: String,
     industry: String,
     experience: Number,
     seniorityLevel: String,
     skills: [String],
-    education: String,
-    workExperience: String,
-    email: String,
-    phone: String,
+    education: String, // Derived from educations when they are present
+    workExperience: String, // Derived from positions when they are present
+    positions: { type: [positionSchema], default: undefined },
+    educations: { type: [educationSchema], default: undefined },
+    email: { // Normalized: trimmed, lowercased, mailto: stripped
+      type: String,
+      validate: {
+        validator: function(value) {
+          return !value || !isChanged(this, "email") || normalizeEmail(value).valid;
+        },
+        message: props => `invalid email "${props.value}"`
+      }
+    },
+    emailOriginal: String, // As submitted
+    phone: { // Normalized to E.164
+      type: String,
+      validate: {
+        validator: function(value) {
+          return !value || !isChanged(this, "phone") || normalizePhone(value, this.phoneCountry).valid;
+        },
+        message: props => `invalid phone number "${props.value}"`
+      }
+    },
+    phoneOriginal: String, // As submitted
+    phoneCountry: String, // ISO country detected from the number (also accepted as a parsing hint)
     avatar: String,
     linkedinUrl: String,
     linkedinId: { type: String, sparse: true, unique: true }, // Unique index on LinkedIn ID
     extraLinks: [String],
     uploadedBy: String,
+    revision: { type: Number, default: 0 }, // Latest ProfileHistory version
+    completenessScore: { type: Number, default: 0 }, // 0-100, recalculated on every save
+    uploadReward: Number, // Points credited to the uploader, clawed back on delete
+    uploadPricing: { // Pricing rules that set uploadReward
+      ruleId: { type: mongoose.Schema.Types.ObjectId, ref: "PricingRule" },
+      promotionId: { type: mongoose.Schema.Types.ObjectId, ref: "PricingRule" },
+      basePoints: Number
+    },
+    hidden: { type: Boolean, default: false }, // Hidden by moderation: left out of listings, search and unlocks
+    hiddenReason: String,
+    hiddenAt: Date,
+    reportRefundedUserIds: { type: [String], default: undefined }, // Unlockers refunded by accepted reports (once per profile)
+    reportPenalizedAt: Date, // Uploader penalized by an accepted report (once per profile)
+    refreshRequestedAt: Date, // Queued for the next LinkedIn refresh run (POST /profiles/:id/refresh)
+    searchMatchPendingAt: Date, // New profile not yet matched against saved searches (see utils/savedSearches.js)
+    lastRefreshAt: Date, // Last LinkedIn refresh attempt, successful or not
+    lastRefreshError: String,
   },
   { timestamps: { createdAt: 'uploadedAt', updatedAt: 'updatedAt' } }
 );
 
+// Indexes backing the filtered, cursor-paginated profile listing
+profileSchema.index({ uploadedAt: -1, _id: -1 });
+profileSchema.index({ industry: 1, seniorityLevel: 1 });
+profileSchema.index({ skills: 1 });
+profileSchema.index({ completenessScore: -1, _id: -1 });
+profileSchema.index({ 'positions.company': 1 });
+profileSchema.index({ companyId: 1, seniorityLevel: 1 });
+
+// Candidates for the stale LinkedIn profile refresher
+profileSchema.index({ refreshRequestedAt: 1 }, { sparse: true });
+profileSchema.index({ searchMatchPendingAt: 1 }, { sparse: true });
+profileSchema.index({ updatedAt: 1 });
+
+// Weighted text index for /profiles/search - title and skills hits outrank workExperience mentions
+profileSchema.index(
+  {
+    name: 'text',
+    jobTitle: 'text',
+    company: 'text',
+    skills: 'text',
+    education: 'text',
+    workExperience: 'text'
+  },
+  {
+    name: 'profile_text_search',
+    weights: { jobTitle: 10, skills: 10, name: 8, company: 5, education: 3, workExperience: 1 }
+  }
+);
+
+// Keep the legacy text fields in sync with the structured arrays
+function deriveLegacyText(doc, isModified) {
+  if (isModified('positions') && doc.positions && doc.positions.length) {
+    doc.workExperience = formatWorkExperience(doc.positions);
+  }
+  if (isModified('educations') && doc.educations && doc.educations.length) {
+    doc.education = formatEducation(doc.educations);
+  }
+}
+
+// Normalize email/phone whenever they change. Values that can't be parsed are left as submitted
+// and rejected by the path validators above.
+profileSchema.pre('validate', function(next) {
+  const emailChanged = this.isModified('email');
+  const phoneChanged = this.isModified('phone');
+  if (!emailChanged && !phoneChanged) return next();
+
+  const contact = {};
+  if (emailChanged) {
+    contact.email = this.email;
+    if (this.isModified('emailOriginal')) contact.emailOriginal = this.emailOriginal;
+  }
+  if (phoneChanged) {
+    contact.phone = this.phone;
+    if (this.isModified('phoneOriginal')) contact.phoneOriginal = this.phoneOriginal;
+    if (this.isModified('phoneCountry')) contact.phoneCountry = this.phoneCountry;
+  }
+
+  normalizeContactFields(contact);
+
+  if (emailChanged) {
+    this.email = contact.email;
+    this.emailOriginal = this.email ? contact.emailOriginal : undefined;
+  }
+  if (phoneChanged) {
+    this.phone = contact.phone;
+    this.phoneOriginal = this.phone ? contact.phoneOriginal : undefined;
+    this.phoneCountry = this.phone ? contact.phoneCountry : undefined;
+  }
+  next();
+});
+
 // Pre-save middleware to extract and set LinkedIn ID
 profileSchema.pre('save', function(next) {
+  deriveLegacyText(this, path => this.isModified(path));
+
   if (this.linkedinUrl) {
     this.linkedinId = extractLinkedInId(this.linkedinUrl);
+  } else if (this.isModified('linkedinUrl')) {
+    this.linkedinId = undefined; // URL was removed on edit
   }
+
+  this.completenessScore = computeCompleteness(this);
   next();
 });
 
+// insertMany skips save hooks, so derive linkedinId and the completeness score for bulk inserts here
+profileSchema.pre('insertMany', function(next, docs) {
+  docs.forEach(doc => {
+    if (!doc) return;
+    deriveLegacyText(doc, () => true);
+    if (doc.linkedinUrl) {
+      doc.linkedinId = extractLinkedInId(doc.linkedinUrl);
+    }
+    doc.completenessScore = computeCompleteness(doc);
+  });
+  next();
+});
+
+// Price the upload reward of new profiles from the current pricing rules (needs the completeness score above)
+profileSchema.pre('save', async function() {
+  if (this.isNew) await priceUploads([this]);
+});
+
+profileSchema.pre('insertMany', function(next, docs) {
+  priceUploads(docs).then(() => next(), next);
+});
+
+// Link the free-text company to its Company document whenever it changes
+profileSchema.pre('save', async function() {
+  if (!this.isModified('company') && (this.companyId || !this.company)) return;
+  this.companyId = (await resolveCompanyId(this.company)) || undefined;
+});
+
+profileSchema.pre('insertMany', function(next, docs) {
+  linkCompanies(docs).then(() => next(), next);
+});
+
+// Record a ProfileHistory entry for every create/update made through save().
+// Registered last so the snapshot includes the fields derived by the hooks above.
+profileSchema.plugin(profileHistoryPlugin);
+
 module.exports = mongoose.model('Profile', profileSchema);
\ No newline at end of file
@@ -0,0 +1,19 @@
+const express = require('express');
+const { ANALYTICS_SECTIONS, loadMarketAnalytics } = require('../utils/marketAnalytics');
+const { authMiddleware } = require('./auth');
+
+const router = express.Router();
+
+// GET market analytics over the profile directory - accepts the GET /profiles filters plus
+// sections (comma-separated), top and interval=day|week|month. Only aggregates are returned.
+router.get('/', authMiddleware, async (req, res) => {
+  try {
+    const analytics = await loadMarketAnalytics(req.query);
+    res.json({ availableSections: ANALYTICS_SECTIONS, ...analytics });
+  } catch (err) {
+    console.error('Market analytics error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -4,6 +4,7 @@ const jwt = require("jsonwebtoken");
 const User = require("../models/User");
 const Dashboard = require("../models/Dashboard");
 const bcrypt = require("bcryptjs");
+const { SIGNUP_BONUS_POINTS, createDashboard } = require("../utils/pointsLedger");
 
 const router = express.Router();
 
@@ -70,17 +71,8 @@ router.post("/signup", async (req, res) => {
       password: hashedPassword
     });
 
-    // Create dashboard for new user (defaults handled in model)
-    await Dashboard.create({ 
-      userId: user._id,
-      availablePoints: 100,
-      totalContacts: 0,
-      unlockedProfiles: 0,
-      myUploads: 0,
-      uploadedProfileIds: [],
-      unlockedContactIds: [],
-      recentActivity: [`Welcome to the platform! You started with 100 points.`]
-    });
+    // Create dashboard for new user with the signup bonus on the points ledger
+    await createDashboard(user._id, `Welcome to the platform! You started with ${SIGNUP_BONUS_POINTS} points.`);
 
     // Create token
     const token = createToken(user._id);
@@ -138,11 +130,7 @@ router.post("/login", async (req, res) => {
     // Ensure user has a dashboard
     let dashboard = await Dashboard.findOne({ userId: user._id });
     if (!dashboard) {
-      dashboard = await Dashboard.create({ 
-        userId: user._id,
-        availablePoints: 100,
-        recentActivity: [`Welcome back! Dashboard created.`]
-      });
+      dashboard = await createDashboard(user._id, `Welcome back! Dashboard created.`);
     }
 
     const token = createToken(user._id);
@@ -193,11 +181,7 @@ router.get(
       // Ensure user has a dashboard
       let dashboard = await Dashboard.findOne({ userId: req.user._id });
       if (!dashboard) {
-        dashboard = await Dashboard.create({ 
-          userId: req.user._id,
-          availablePoints: 100,
-          recentActivity: [`Welcome! Signed up with Google.`]
-        });
+        dashboard = await createDashboard(req.user._id, `Welcome! Signed up with Google.`);
         console.log(`Dashboard created for Google user: ${req.user.email}`);
       }
 
@@ -280,6 +264,52 @@ const authMiddleware = (req, res, next) => {
   }
 };
 
+// =========================
+// Admin Helpers
+// =========================
+const isAdminUser = async (userId) => {
+  if (!userId) return false;
+  const user = await User.findById(userId).select("role");
+  return user?.role === "admin";
+};
+
+// Must run after authMiddleware
+const adminMiddleware = async (req, res, next) => {
+  try {
+    if (!(await isAdminUser(req.userId))) {
+      return res.status(403).json({ message: "Admin access required" });
+    }
+    next();
+  } catch (err) {
+    console.error("Admin middleware error:", err);
+    res.status(500).json({ message: "Server error" });
+  }
+};
+
+// =========================
+// Optional Auth Middleware
+// =========================
+// Sets req.userId when a valid bearer token is present, otherwise continues anonymously.
+// Used by public read endpoints whose response depends on who is asking.
+const optionalAuthMiddleware = (req, res, next) => {
+  const authHeader = req.headers.authorization;
+  const token = authHeader ? authHeader.split(" ")[1] : null;
+
+  if (!token) {
+    return next();
+  }
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    req.userId = decoded.id;
+  } catch (err) {
+    // Invalid or expired tokens are treated as anonymous requests
+    req.userId = undefined;
+  }
+
+  next();
+};
+
 // =========================
 // Get Current User
 // =========================
@@ -408,4 +438,7 @@ router.get("/status", authMiddleware, async (req, res) => {
 
 // Export middleware for use in other routes
 module.exports = router;
-module.exports.authMiddleware = authMiddleware;
\ No newline at end of file
+module.exports.authMiddleware = authMiddleware;
+module.exports.optionalAuthMiddleware = optionalAuthMiddleware;
+module.exports.adminMiddleware = adminMiddleware;
+module.exports.isAdminUser = isAdminUser;
\ No newline at end of file
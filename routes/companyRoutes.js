@@ -0,0 +1,190 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Company = require('../models/Company');
+const Profile = require('../models/profile');
+const { escapeRegex, toList, parseLimit } = require('../utils/profileQuery');
+const { loadViewerAccess, presentProfile } = require('../utils/contactPolicy');
+const { normalizeCompany } = require('../utils/duplicateFinder');
+const {
+  presentCompany,
+  countProfiles,
+  loadHeadcount,
+  setCompanyAliases,
+  mergeCompanies,
+  backfillCompanyLinks
+} = require('../utils/companyDirectory');
+const { optionalAuthMiddleware, authMiddleware, adminMiddleware } = require('./auth');
+
+const router = express.Router();
+
+const MAX_MERGE_SOURCES = 50;
+
+// Load a company by id, or send 404 and return null
+async function loadCompany(req, res) {
+  const company = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await Company.findById(req.params.id)
+    : null;
+  if (!company) {
+    res.status(404).json({ error: 'Company not found' });
+    return null;
+  }
+  return company;
+}
+
+// GET companies - ?q= matches the name or an alias, ?industry= filters, page/limit paginate
+router.get('/', async (req, res) => {
+  try {
+    const filter = {};
+    const q = String(req.query.q || '').trim();
+    if (q) {
+      const key = normalizeCompany(q);
+      filter.$or = [{ name: { $regex: escapeRegex(q), $options: 'i' } }];
+      if (key) filter.$or.push({ matchKeys: { $regex: escapeRegex(key) } });
+    }
+
+    const industries = toList(req.query.industry);
+    if (industries.length) {
+      filter.industry = { $in: industries.map(i => new RegExp(`^${escapeRegex(i)}$`, 'i')) };
+    }
+
+    const limit = parseLimit(req.query.limit);
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+
+    const [companies, total] = await Promise.all([
+      Company.find(filter).sort({ name: 1, _id: 1 }).skip((page - 1) * limit).limit(limit),
+      Company.countDocuments(filter)
+    ]);
+    const counts = await countProfiles(companies.map(c => c._id));
+
+    res.json({
+      companies: companies.map(company => ({
+        ...presentCompany(company),
+        profileCount: counts.get(company._id.toString()) || 0
+      })),
+      total,
+      page,
+      limit,
+      hasMore: page * limit < total
+    });
+  } catch (err) {
+    console.error('Companies fetch error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST admin backfill - link existing profiles to companies. Body: { relink: true } re-resolves every profile.
+router.post('/admin/backfill', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const result = await backfillCompanyLinks({ relink: req.body.relink === true });
+    res.json(result);
+  } catch (err) {
+    console.error('Company backfill error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET a company page - headcount by seniority and the profiles we hold there (page/limit).
+// Contact fields are redacted unless the caller unlocked the profile.
+router.get('/:id', optionalAuthMiddleware, async (req, res) => {
+  try {
+    const company = await loadCompany(req, res);
+    if (!company) return;
+
+    const limit = parseLimit(req.query.limit);
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+
+    const [headcount, profiles, access] = await Promise.all([
+      loadHeadcount(company._id),
+      Profile.find({ companyId: company._id, hidden: { $ne: true } })
+        .sort({ completenessScore: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      loadViewerAccess(req.userId)
+    ]);
+
+    res.json({
+      company: presentCompany(company),
+      headcount,
+      profiles: profiles.map(profile => presentProfile(profile, access)),
+      page,
+      limit,
+      hasMore: page * limit < headcount.total
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// PATCH a company (admin) - body: { name, industry, sizeRange: { min, max }, linkedinUrl, aliases }
+router.patch('/:id', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const company = await loadCompany(req, res);
+    if (!company) return;
+
+    const { name, industry, sizeRange, linkedinUrl, aliases } = req.body;
+    // Company names may contain commas, so aliases are only accepted as an array
+    if (aliases !== undefined && !Array.isArray(aliases)) {
+      return res.status(400).json({ error: 'aliases must be an array of names' });
+    }
+    let nextAliases = aliases === undefined ? null : aliases.filter(Boolean);
+
+    if (name !== undefined) {
+      const key = normalizeCompany(name);
+      if (!String(name).trim() || !key) {
+        return res.status(400).json({ error: 'Company name cannot be empty' });
+      }
+      if (key !== company.normalizedName) {
+        // The old name stays an alias so profiles spelling it that way keep matching
+        nextAliases = [...(nextAliases || company.aliases), company.name];
+        company.normalizedName = key;
+      }
+      company.name = String(name).trim();
+    }
+    if (industry !== undefined) company.industry = industry || undefined;
+    if (linkedinUrl !== undefined) company.linkedinUrl = linkedinUrl || undefined;
+    if (sizeRange !== undefined) company.sizeRange = sizeRange || undefined;
+
+    // Recomputes matchKeys from the (possibly new) name and the aliases
+    if (nextAliases) {
+      const { error } = await setCompanyAliases(company, nextAliases);
+      if (error) {
+        return res.status(409).json({ error });
+      }
+    }
+
+    await company.save();
+    res.json(presentCompany(company));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// POST merge other companies into this one (admin) - body: { sourceIds: [...] }.
+// The sources' names become aliases of this company and their profiles are relinked to it.
+router.post('/:id/merge', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const survivor = await loadCompany(req, res);
+    if (!survivor) return;
+
+    const sourceIds = toList(req.body.sourceIds)
+      .filter(id => mongoose.Types.ObjectId.isValid(id) && id !== survivor._id.toString());
+    if (sourceIds.length === 0) {
+      return res.status(400).json({ error: 'sourceIds must list at least one other company' });
+    }
+    if (sourceIds.length > MAX_MERGE_SOURCES) {
+      return res.status(400).json({ error: `At most ${MAX_MERGE_SOURCES} companies can be merged at once` });
+    }
+
+    const sources = await Company.find({ _id: { $in: sourceIds } });
+    if (sources.length !== new Set(sourceIds).size) {
+      return res.status(404).json({ error: 'One or more source companies were not found' });
+    }
+
+    const result = await mergeCompanies(survivor, sources);
+    res.json({ ...result, company: presentCompany(survivor) });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,642 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Profile = require('../models/profile');
+const Dashboard = require('../models/Dashboard');
+const ContactList = require('../models/ContactList');
+const UserContact = require('../models/UserContact');
+const { loadViewerAccess, presentProfile } = require('../utils/contactPolicy');
+const {
+  MAX_TAGS_PER_CONTACT,
+  MAX_IDS_PER_REQUEST,
+  NOT_ORGANIZABLE,
+  normalizeTag,
+  normalizeTags,
+  filterOrganizableIds
+} = require('../utils/contactOrganizer');
+const {
+  normalizeStage,
+  loadPipelineStages,
+  stageOf,
+  validatePipelineStages,
+  loadPipeline,
+  findDueReminders
+} = require('../utils/contactPipeline');
+const { toList, parseLimit } = require('../utils/profileQuery');
+const { ensureDashboard } = require('../utils/pointsLedger');
+const { authMiddleware } = require('./auth');
+
+const router = express.Router();
+
+function listSummary(list) {
+  return {
+    id: list._id.toString(),
+    name: list.name,
+    description: list.description,
+    size: list.profileIds.length,
+    createdAt: list.createdAt,
+    updatedAt: list.updatedAt
+  };
+}
+
+// Load a contact list owned by the caller, or send 404 and return null
+async function loadOwnedList(req, res) {
+  const list = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await ContactList.findOne({ _id: req.params.id, userId: req.userId })
+    : null;
+  if (!list) {
+    res.status(404).json({ error: 'Contact list not found' });
+    return null;
+  }
+  return list;
+}
+
+function tooManyIds(ids, res) {
+  if (toList(ids).length > MAX_IDS_PER_REQUEST) {
+    res.status(400).json({ error: `At most ${MAX_IDS_PER_REQUEST} profiles per request` });
+    return true;
+  }
+  return false;
+}
+
+// Resolve :profileId to a profile the caller unlocked or uploaded, or send 403/404 and return null
+async function loadOrganizableProfileId(req, res) {
+  const { allowed, rejected } = await filterOrganizableIds(req.userId, [req.params.profileId]);
+  if (allowed.length === 0) {
+    const { reason } = rejected[0];
+    res.status(reason === NOT_ORGANIZABLE ? 403 : 404).json({ error: reason });
+    return null;
+  }
+  return allowed[0];
+}
+
+// The caller's record for a contact, created on first use
+async function loadContactRecord(userId, profileId) {
+  return UserContact.findOneAndUpdate(
+    { userId, profileId },
+    { $setOnInsert: { userId, profileId } },
+    { new: true, upsert: true }
+  );
+}
+
+function contactRecord(profileId, contact, stages) {
+  return {
+    profileId: String(profileId),
+    stage: stageOf(contact, stages),
+    stageHistory: contact?.stageHistory || [],
+    tags: contact?.tags || [],
+    notes: contact?.notes || [],
+    reminders: contact?.reminders || [],
+    updatedAt: contact?.updatedAt || null
+  };
+}
+
+function parseDate(value) {
+  const date = new Date(value);
+  return value && !isNaN(date.getTime()) ? date : null;
+}
+
+function sendWriteError(err, res) {
+  if (err.code === 11000) {
+    return res.status(409).json({ error: 'You already have a list with that name' });
+  }
+  res.status(400).json({ error: err.message });
+}
+
+// =========================
+// Lists
+// =========================
+
+// GET the caller's contact lists
+router.get('/lists', authMiddleware, async (req, res) => {
+  try {
+    const lists = await ContactList.find({ userId: req.userId }).sort({ name: 1 });
+    res.json({ lists: lists.map(listSummary) });
+  } catch (err) {
+    console.error('Contact lists fetch error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST create a list - body: { name, description, profileIds }
+router.post('/lists', authMiddleware, async (req, res) => {
+  try {
+    const { name, description, profileIds } = req.body;
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({ error: 'name is required' });
+    }
+    if (tooManyIds(profileIds, res)) return;
+
+    const { allowed, rejected } = await filterOrganizableIds(req.userId, profileIds);
+    const list = await ContactList.create({
+      userId: req.userId,
+      name,
+      description: description || '',
+      profileIds: allowed
+    });
+
+    res.json({ list: listSummary(list), rejected });
+  } catch (err) {
+    sendWriteError(err, res);
+  }
+});
+
+// GET a list with its member profiles
+router.get('/lists/:id', authMiddleware, async (req, res) => {
+  try {
+    const list = await loadOwnedList(req, res);
+    if (!list) return;
+
+    const [profiles, access] = await Promise.all([
+      Profile.find({ _id: { $in: list.profileIds } }).sort({ name: 1 }),
+      loadViewerAccess(req.userId)
+    ]);
+
+    res.json({
+      list: listSummary(list),
+      profiles: profiles.map(p => presentProfile(p, access))
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// PATCH rename a list or change its description
+router.patch('/lists/:id', authMiddleware, async (req, res) => {
+  try {
+    const list = await loadOwnedList(req, res);
+    if (!list) return;
+
+    const { name, description } = req.body;
+    if (name !== undefined) {
+      if (!String(name).trim()) {
+        return res.status(400).json({ error: 'name cannot be empty' });
+      }
+      list.name = name;
+    }
+    if (description !== undefined) list.description = description;
+
+    await list.save();
+    res.json({ list: listSummary(list) });
+  } catch (err) {
+    sendWriteError(err, res);
+  }
+});
+
+// DELETE a list (its profiles are untouched)
+router.delete('/lists/:id', authMiddleware, async (req, res) => {
+  try {
+    const list = await loadOwnedList(req, res);
+    if (!list) return;
+
+    await ContactList.deleteOne({ _id: list._id });
+    res.json({ message: 'Contact list deleted successfully' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// PATCH bulk membership - body: { add: [profileId], remove: [profileId] }
+// Only profiles the caller unlocked or uploaded can be added; removal accepts any id.
+router.patch('/lists/:id/members', authMiddleware, async (req, res) => {
+  try {
+    const list = await loadOwnedList(req, res);
+    if (!list) return;
+
+    const { add, remove } = req.body;
+    if (tooManyIds(add, res) || tooManyIds(remove, res)) return;
+
+    const { allowed, rejected } = await filterOrganizableIds(req.userId, add);
+    const removeIds = toList(remove).filter(id => mongoose.Types.ObjectId.isValid(id));
+
+    // Two updates: $addToSet and $pull can't touch the same field in one
+    if (allowed.length) {
+      await ContactList.updateOne({ _id: list._id }, { $addToSet: { profileIds: { $each: allowed } } });
+    }
+    if (removeIds.length) {
+      await ContactList.updateOne({ _id: list._id }, { $pull: { profileIds: { $in: removeIds } } });
+    }
+    const updated = await ContactList.findById(list._id);
+
+    res.json({
+      list: listSummary(updated),
+      added: allowed.length,
+      removed: removeIds.length,
+      rejected
+    });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// =========================
+// Tags
+// =========================
+
+// GET the caller's tags with how many contacts carry each
+router.get('/tags', authMiddleware, async (req, res) => {
+  try {
+    const tags = await UserContact.aggregate([
+      { $match: { userId: new mongoose.Types.ObjectId(req.userId) } },
+      { $unwind: '$tags' },
+      { $group: { _id: '$tags', count: { $sum: 1 } } },
+      { $sort: { _id: 1 } }
+    ]);
+
+    res.json({ tags: tags.map(t => ({ tag: t._id, count: t.count })) });
+  } catch (err) {
+    console.error('Tags fetch error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// PATCH bulk tagging - body: { profileIds, add: [tag], remove: [tag] }
+router.patch('/tags', authMiddleware, async (req, res) => {
+  try {
+    const { profileIds } = req.body;
+    const add = normalizeTags(req.body.add);
+    const remove = normalizeTags(req.body.remove);
+
+    if (tooManyIds(profileIds, res)) return;
+    if (add.length === 0 && remove.length === 0) {
+      return res.status(400).json({ error: 'Provide tags to add or remove' });
+    }
+    if (add.length > MAX_TAGS_PER_CONTACT) {
+      return res.status(400).json({ error: `At most ${MAX_TAGS_PER_CONTACT} tags per contact` });
+    }
+
+    const { allowed, rejected } = await filterOrganizableIds(req.userId, profileIds);
+
+    if (allowed.length && add.length) {
+      await UserContact.bulkWrite(allowed.map(profileId => ({
+        updateOne: {
+          filter: { userId: req.userId, profileId },
+          update: { $addToSet: { tags: { $each: add } } },
+          upsert: true
+        }
+      })));
+    }
+    if (allowed.length && remove.length) {
+      await UserContact.updateMany(
+        { userId: req.userId, profileId: { $in: allowed } },
+        { $pull: { tags: { $in: remove } } }
+      );
+    }
+
+    res.json({ success: true, updated: allowed.length, added: add, removed: remove, rejected });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// PATCH rename a tag on all of the caller's contacts - body: { name }
+router.patch('/tags/:tag', authMiddleware, async (req, res) => {
+  try {
+    const from = normalizeTag(req.params.tag);
+    const to = normalizeTag(req.body.name);
+    if (!to) {
+      return res.status(400).json({ error: 'name is required' });
+    }
+
+    // Add the new tag before pulling the old one so no contact is left untagged in between
+    const filter = { userId: req.userId, tags: from };
+    const tagged = await UserContact.find(filter).select('_id');
+    const ids = tagged.map(c => c._id);
+    await UserContact.updateMany({ _id: { $in: ids } }, { $addToSet: { tags: to } });
+    if (from !== to) {
+      await UserContact.updateMany({ _id: { $in: ids } }, { $pull: { tags: from } });
+    }
+
+    res.json({ success: true, tag: to, updated: ids.length });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// DELETE a tag from all of the caller's contacts
+router.delete('/tags/:tag', authMiddleware, async (req, res) => {
+  try {
+    const tag = normalizeTag(req.params.tag);
+    const result = await UserContact.updateMany(
+      { userId: req.userId, tags: tag },
+      { $pull: { tags: tag } }
+    );
+
+    res.json({ message: 'Tag deleted successfully', updated: result.modifiedCount });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// =========================
+// Pipeline
+// =========================
+
+// GET the caller's pipeline stages with how many contacts are in each
+router.get('/pipeline', authMiddleware, async (req, res) => {
+  try {
+    const stages = await loadPipelineStages(req.userId);
+    const pipeline = await loadPipeline(req.userId, stages);
+
+    const counts = Object.fromEntries(stages.map(stage => [stage, 0]));
+    pipeline.forEach(({ stage }) => {
+      counts[stage] = (counts[stage] || 0) + 1;
+    });
+
+    res.json({ stages, counts, total: pipeline.length });
+  } catch (err) {
+    console.error('Pipeline fetch error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// PUT replace the caller's pipeline stages - body: { stages: ['new', 'contacted', ...] }
+router.put('/pipeline', authMiddleware, async (req, res) => {
+  try {
+    const { stages, errors } = await validatePipelineStages(req.userId, req.body.stages);
+    if (errors.length) {
+      return res.status(400).json({ error: 'Invalid pipeline stages', details: errors });
+    }
+
+    await ensureDashboard(req.userId, 'Welcome! Dashboard created.');
+    await Dashboard.updateOne(
+      { userId: req.userId },
+      { $set: { pipelineStages: stages, updatedAt: new Date() } }
+    );
+
+    res.json({ stages });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// GET the caller's contacts with their private records - ?stage= filters by pipeline stage, page/limit paginate
+router.get('/', authMiddleware, async (req, res) => {
+  try {
+    const stages = await loadPipelineStages(req.userId);
+    const stage = req.query.stage ? normalizeStage(req.query.stage) : null;
+    if (stage && !stages.includes(stage)) {
+      return res.status(400).json({ error: 'Unknown pipeline stage', stages });
+    }
+
+    const limit = parseLimit(req.query.limit);
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+
+    // Most recently worked-on contacts first
+    const pipeline = (await loadPipeline(req.userId, stages))
+      .filter(entry => !stage || entry.stage === stage)
+      .sort((a, b) => (b.contact?.updatedAt || 0) - (a.contact?.updatedAt || 0));
+    const pageEntries = pipeline.slice((page - 1) * limit, page * limit);
+
+    const [profiles, access] = await Promise.all([
+      Profile.find({ _id: { $in: pageEntries.map(e => e.profileId) } }),
+      loadViewerAccess(req.userId)
+    ]);
+    const profilesById = new Map(profiles.map(p => [p._id.toString(), p]));
+
+    res.json({
+      stage,
+      contacts: pageEntries
+        .filter(entry => profilesById.has(entry.profileId))
+        .map(entry => ({
+          profile: presentProfile(profilesById.get(entry.profileId), access),
+          record: contactRecord(entry.profileId, entry.contact, stages)
+        })),
+      total: pipeline.length,
+      page,
+      limit,
+      hasMore: page * limit < pipeline.length
+    });
+  } catch (err) {
+    console.error('Contacts fetch error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET open follow-up reminders due by ?before= (default: now), oldest first
+router.get('/reminders/due', authMiddleware, async (req, res) => {
+  try {
+    const before = req.query.before ? parseDate(req.query.before) : new Date();
+    if (!before) {
+      return res.status(400).json({ error: 'before must be a valid date' });
+    }
+
+    const reminders = await findDueReminders(req.userId, before, parseLimit(req.query.limit));
+    const profiles = await Profile.find({ _id: { $in: reminders.map(r => r.profileId) } })
+      .select('name jobTitle company avatar');
+    const profilesById = new Map(profiles.map(p => [p._id.toString(), p]));
+
+    res.json({
+      before,
+      reminders: reminders.map(({ profileId, stage, reminder }) => {
+        const profile = profilesById.get(profileId.toString());
+        return {
+          profileId: profileId.toString(),
+          stage,
+          reminder,
+          profile: profile ? { id: profile._id.toString(), name: profile.name, jobTitle: profile.jobTitle, company: profile.company } : null
+        };
+      })
+    });
+  } catch (err) {
+    console.error('Due reminders fetch error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// =========================
+// Per-contact records
+// =========================
+
+// PUT replace the tags on one contact - body: { tags }
+router.put('/:profileId/tags', authMiddleware, async (req, res) => {
+  try {
+    const tags = normalizeTags(req.body.tags);
+    if (tags.length > MAX_TAGS_PER_CONTACT) {
+      return res.status(400).json({ error: `At most ${MAX_TAGS_PER_CONTACT} tags per contact` });
+    }
+
+    const profileId = await loadOrganizableProfileId(req, res);
+    if (!profileId) return;
+
+    const contact = await UserContact.findOneAndUpdate(
+      { userId: req.userId, profileId },
+      { $set: { tags } },
+      { new: true, upsert: true }
+    );
+
+    res.json({ profileId: profileId.toString(), tags: contact.tags });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// GET the caller's private record for one contact: stage, notes, reminders and tags
+router.get('/:profileId', authMiddleware, async (req, res) => {
+  try {
+    const profileId = await loadOrganizableProfileId(req, res);
+    if (!profileId) return;
+
+    const [contact, stages] = await Promise.all([
+      UserContact.findOne({ userId: req.userId, profileId }),
+      loadPipelineStages(req.userId)
+    ]);
+
+    res.json(contactRecord(profileId, contact, stages));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// PATCH move a contact to another pipeline stage - body: { stage }
+router.patch('/:profileId/stage', authMiddleware, async (req, res) => {
+  try {
+    const stage = normalizeStage(req.body.stage);
+    const stages = await loadPipelineStages(req.userId);
+    if (!stages.includes(stage)) {
+      return res.status(400).json({ error: 'Unknown pipeline stage', stages });
+    }
+
+    const profileId = await loadOrganizableProfileId(req, res);
+    if (!profileId) return;
+
+    const contact = await loadContactRecord(req.userId, profileId);
+    if (stageOf(contact, stages) !== stage || !contact.stage) {
+      contact.stage = stage;
+      contact.stageHistory.push({ stage, changedAt: new Date() });
+      await contact.save();
+    }
+
+    res.json(contactRecord(profileId, contact, stages));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// POST add a timestamped note - body: { text }
+router.post('/:profileId/notes', authMiddleware, async (req, res) => {
+  try {
+    if (!req.body.text || !String(req.body.text).trim()) {
+      return res.status(400).json({ error: 'text is required' });
+    }
+
+    const profileId = await loadOrganizableProfileId(req, res);
+    if (!profileId) return;
+
+    const contact = await loadContactRecord(req.userId, profileId);
+    contact.notes.push({ text: req.body.text });
+    await contact.save();
+
+    res.json(contact.notes[contact.notes.length - 1]);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// PATCH edit a note - body: { text }
+router.patch('/:profileId/notes/:noteId', authMiddleware, async (req, res) => {
+  try {
+    if (!req.body.text || !String(req.body.text).trim()) {
+      return res.status(400).json({ error: 'text is required' });
+    }
+
+    const contact = await UserContact.findOne({ userId: req.userId, profileId: req.params.profileId, 'notes._id': req.params.noteId });
+    const note = contact?.notes.id(req.params.noteId);
+    if (!note) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+
+    note.text = req.body.text;
+    await contact.save();
+
+    res.json(note);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// DELETE a note
+router.delete('/:profileId/notes/:noteId', authMiddleware, async (req, res) => {
+  try {
+    const result = await UserContact.updateOne(
+      { userId: req.userId, profileId: req.params.profileId, 'notes._id': req.params.noteId },
+      { $pull: { notes: { _id: req.params.noteId } } }
+    );
+    if (result.matchedCount === 0) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+
+    res.json({ message: 'Note deleted successfully' });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// POST schedule a follow-up reminder - body: { dueAt, note }
+router.post('/:profileId/reminders', authMiddleware, async (req, res) => {
+  try {
+    const dueAt = parseDate(req.body.dueAt);
+    if (!dueAt) {
+      return res.status(400).json({ error: 'dueAt must be a valid date' });
+    }
+
+    const profileId = await loadOrganizableProfileId(req, res);
+    if (!profileId) return;
+
+    const contact = await loadContactRecord(req.userId, profileId);
+    contact.reminders.push({ dueAt, note: req.body.note || '' });
+    await contact.save();
+
+    res.json(contact.reminders[contact.reminders.length - 1]);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// PATCH reschedule, edit or complete a reminder - body: { dueAt, note, done }
+router.patch('/:profileId/reminders/:reminderId', authMiddleware, async (req, res) => {
+  try {
+    const contact = await UserContact.findOne({ userId: req.userId, profileId: req.params.profileId, 'reminders._id': req.params.reminderId });
+    const reminder = contact?.reminders.id(req.params.reminderId);
+    if (!reminder) {
+      return res.status(404).json({ error: 'Reminder not found' });
+    }
+
+    const { dueAt, note, done } = req.body;
+    if (dueAt !== undefined) {
+      const date = parseDate(dueAt);
+      if (!date) {
+        return res.status(400).json({ error: 'dueAt must be a valid date' });
+      }
+      reminder.dueAt = date;
+    }
+    if (note !== undefined) reminder.note = note;
+    if (done !== undefined) {
+      reminder.done = Boolean(done);
+      reminder.doneAt = reminder.done ? new Date() : undefined;
+    }
+
+    await contact.save();
+    res.json(reminder);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// DELETE a reminder
+router.delete('/:profileId/reminders/:reminderId', authMiddleware, async (req, res) => {
+  try {
+    const result = await UserContact.updateOne(
+      { userId: req.userId, profileId: req.params.profileId, 'reminders._id': req.params.reminderId },
+      { $pull: { reminders: { _id: req.params.reminderId } } }
+    );
+    if (result.matchedCount === 0) {
+      return res.status(404).json({ error: 'Reminder not found' });
+    }
+
+    res.json({ message: 'Reminder deleted successfully' });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+module.exports = router;
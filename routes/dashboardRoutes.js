@@ -1,42 +1,44 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const Dashboard = require('../models/Dashboard');
 const Profile = require('../models/profile');
-const { authMiddleware } = require('./auth'); // Import auth middleware
+const { authMiddleware, adminMiddleware } = require('./auth'); // Import auth middleware
+const { loadViewerAccess, presentProfile, canViewContact } = require('../utils/contactPolicy');
+const {
+  VCARD_VERSIONS,
+  resolveCsvColumns,
+  toCsvHeader,
+  profileToCsvRow,
+  profileToVCard
+} = require('../utils/contactExport');
+const { resolveContactScope, loadContactLabels } = require('../utils/contactOrganizer');
+const { TRANSACTION_TYPES, applyPoints, ensureDashboard, reconcileBalance } = require('../utils/pointsLedger');
+const { syncCounters } = require('../utils/dashboardAudit');
+const { toList, parseLimit } = require('../utils/profileQuery');
+const PointsTransaction = require('../models/PointsTransaction');
 
 const router = express.Router();
 
+const MAX_ACTIVITY_LENGTH = 500;
+const MAX_ADJUSTMENT_POINTS = 100000;
+const MAX_REASON_LENGTH = 500;
+
+async function loadPreferences(userId) {
+  const dashboard = await Dashboard.findOne({ userId }).select('preferences');
+  return dashboard?.preferences || null;
+}
+
 // GET dashboard with calculated stats - NOW PROTECTED
+// Counters are derived from the data on every read; the dashboard itself is only written by server-side operations.
 router.get('/', authMiddleware, async (req, res) => {
   try {
     const userId = req.userId; // Get from auth middleware instead of params
     
-    let dashboard = await Dashboard.findOne({ userId });
-    
-    // If no dashboard exists, create one with defaults
-    if (!dashboard) {
-      dashboard = await Dashboard.create({
-        userId,
-        availablePoints: 100,
-        totalContacts: 0,
-        unlockedProfiles: 0,
-        myUploads: 0,
-        uploadedProfileIds: [],
-        unlockedContactIds: [],
-        recentActivity: ['Welcome! Dashboard created.']
-      });
-    }
+    // If no dashboard exists, create one with the signup bonus
+    const dashboard = await ensureDashboard(userId, 'Welcome! Dashboard created.');
 
     // Calculate actual stats from database to ensure accuracy
-    const actualUploads = await Profile.countDocuments({ uploadedBy: userId });
-    const actualUnlockedCount = dashboard.unlockedContactIds ? dashboard.unlockedContactIds.length : 0;
-    
-    // Update dashboard with accurate counts if they don't match
-    if (dashboard.myUploads !== actualUploads || dashboard.unlockedProfiles !== actualUnlockedCount) {
-      dashboard.myUploads = actualUploads;
-      dashboard.unlockedProfiles = actualUnlockedCount;
-      dashboard.totalContacts = actualUploads;
-      await dashboard.save();
-    }
+    await syncCounters(dashboard);
 
     res.json(dashboard);
   } catch (err) {
@@ -45,43 +47,126 @@ router.get('/', authMiddleware, async (req, res) => {
   }
 });
 
-// UPDATE dashboard - NOW PROTECTED
-router.post('/', authMiddleware, async (req, res) => {
+// GET the caller's preferences
+router.get('/preferences', authMiddleware, async (req, res) => {
   try {
-    const userId = req.userId; // Get from auth middleware
-    
-    const updateData = {
-      availablePoints: req.body.availablePoints,
-      totalContacts: req.body.totalContacts,
-      unlockedProfiles: req.body.unlockedProfiles,
-      myUploads: req.body.myUploads,
-      unlockedContactIds: req.body.unlockedContactIds || [],
-      uploadedProfileIds: req.body.uploadedProfileIds || [],
-      recentActivity: req.body.recentActivity || [],
-      updatedAt: new Date()
-    };
-
-    // Remove undefined values
-    Object.keys(updateData).forEach(key => {
-      if (updateData[key] === undefined) {
-        delete updateData[key];
+    const dashboard = await ensureDashboard(req.userId, 'Welcome! Dashboard created.');
+    res.json(dashboard.preferences);
+  } catch (err) {
+    console.error('Preferences fetch error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// PATCH the caller's preferences - body: { emailDigests, exportColumns, vcardVersion } (null resets a default)
+router.patch('/preferences', authMiddleware, async (req, res) => {
+  try {
+    const { emailDigests, exportColumns, vcardVersion } = req.body;
+    const set = {};
+    const unset = {};
+
+    if (emailDigests !== undefined) {
+      if (typeof emailDigests !== 'boolean') {
+        return res.status(400).json({ error: 'emailDigests must be true or false' });
       }
-    });
+      set['preferences.emailDigests'] = emailDigests;
+    }
+
+    // An empty list, like null, goes back to the default columns
+    if (exportColumns === null || (exportColumns !== undefined && toList(exportColumns).length === 0)) {
+      unset['preferences.exportColumns'] = 1;
+    } else if (exportColumns !== undefined) {
+      const { columns, invalid } = resolveCsvColumns(toList(exportColumns).join(','));
+      if (invalid.length) {
+        return res.status(400).json({ error: 'Invalid export columns', invalid });
+      }
+      set['preferences.exportColumns'] = columns;
+    }
 
+    if (vcardVersion === null) {
+      unset['preferences.vcardVersion'] = 1;
+    } else if (vcardVersion !== undefined) {
+      if (!VCARD_VERSIONS.includes(vcardVersion)) {
+        return res.status(400).json({ error: `Unsupported vCard version, use one of: ${VCARD_VERSIONS.join(', ')}` });
+      }
+      set['preferences.vcardVersion'] = vcardVersion;
+    }
+
+    await ensureDashboard(req.userId, 'Welcome! Dashboard created.');
     const dashboard = await Dashboard.findOneAndUpdate(
-      { userId },
-      { $set: updateData },
-      { new: true, upsert: true }
+      { userId: req.userId },
+      { $set: { ...set, updatedAt: new Date() }, ...(Object.keys(unset).length && { $unset: unset }) },
+      { new: true }
     );
-    
-    res.json(dashboard);
+
+    res.json(dashboard.preferences);
   } catch (err) {
-    console.error('Dashboard update error:', err);
+    console.error('Preferences update error:', err);
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// POST adjust a user's points (admin) - body: { amount, reason }. The reason is recorded on the ledger entry.
+router.post('/admin/users/:userId/adjustments', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(404).json({ error: 'Dashboard not found' });
+    }
+
+    const amount = Number(req.body.amount);
+    if (!Number.isInteger(amount) || amount === 0 || Math.abs(amount) > MAX_ADJUSTMENT_POINTS) {
+      return res.status(400).json({ error: `amount must be a non-zero whole number up to ${MAX_ADJUSTMENT_POINTS} either way` });
+    }
+
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    if (!reason) {
+      return res.status(400).json({ error: 'A reason is required for points adjustments' });
+    }
+    if (reason.length > MAX_REASON_LENGTH) {
+      return res.status(400).json({ error: `reason must be at most ${MAX_REASON_LENGTH} characters` });
+    }
+
+    // Debits never take the balance below zero
+    const dashboard = await applyPoints(
+      userId,
+      [{ type: 'admin_adjustment', amount, actorId: req.userId, description: reason }],
+      {
+        filter: amount < 0 ? { availablePoints: { $gte: -amount } } : {},
+        update: {
+          $push: {
+            recentActivity: {
+              $each: [`Points adjusted by an admin: ${amount > 0 ? '+' : ''}${amount} (${reason})`],
+              $slice: -10
+            }
+          }
+        }
+      }
+    );
+
+    if (!dashboard) {
+      const existing = await Dashboard.findOne({ userId }).select('availablePoints');
+      if (!existing) {
+        return res.status(404).json({ error: 'Dashboard not found' });
+      }
+      return res.status(400).json({ error: 'Adjustment would take the balance below zero', available: existing.availablePoints });
+    }
+
+    res.json({
+      success: true,
+      userId,
+      amount,
+      reason,
+      availablePoints: dashboard.availablePoints
+    });
+  } catch (err) {
+    console.error('Points adjustment error:', err);
     res.status(500).json({ error: err.message });
   }
 });
 
 // GET user's unlocked contacts with detailed info - NOW PROTECTED
+// ?list=<listId> and/or ?tag=a,b narrow the result to a contact list or to contacts carrying every tag
 router.get('/unlocked', authMiddleware, async (req, res) => {
   try {
     const userId = req.userId;
@@ -90,18 +175,30 @@ router.get('/unlocked', authMiddleware, async (req, res) => {
     if (!dashboard) {
       return res.status(404).json({ error: 'Dashboard not found' });
     }
+
+    const { scope, error } = await resolveContactScope(userId, req.query);
+    if (error) {
+      return res.status(404).json({ error });
+    }
+    const unlockedIds = (dashboard.unlockedContactIds || []).filter(id => !scope || scope.has(id));
     
-    // Get detailed info about unlocked contacts
+    // Get detailed info about unlocked contacts, passed through the same contact policy as /profiles
+    const access = await loadViewerAccess(userId);
     const unlockedProfiles = await Profile.find({
-      '_id': { $in: dashboard.unlockedContactIds || [] }
-    }).select('name jobTitle company uploadedAt');
+      '_id': { $in: unlockedIds }
+    }).select('name jobTitle company uploadedAt uploadedBy email phone extraLinks');
+    const labels = await loadContactLabels(userId, unlockedProfiles.map(p => p._id));
     
     res.json({
       userId,
       unlockedContactIds: dashboard.unlockedContactIds || [],
       totalUnlocked: dashboard.unlockedProfiles || 0,
       actualUnlockedCount: dashboard.unlockedContactIds ? dashboard.unlockedContactIds.length : 0,
-      unlockedProfiles
+      ...(scope && { matchedCount: unlockedIds.length }),
+      unlockedProfiles: unlockedProfiles.map(p => ({
+        ...presentProfile(p, access),
+        ...labels.get(p._id.toString())
+      }))
     });
   } catch (err) {
     console.error('Unlocked contacts fetch error:', err);
@@ -109,6 +206,74 @@ router.get('/unlocked', authMiddleware, async (req, res) => {
   }
 });
 
+// Stream the caller's unlocked profiles, re-checked against the contact policy so locked
+// profiles can never end up in an export. `scope` (from resolveContactScope) narrows the export.
+async function streamUnlockedProfiles(userId, res, writeProfile, scope) {
+  const access = await loadViewerAccess(userId);
+  const ids = [...access.unlockedIds].filter(id => !scope || scope.has(id));
+  const cursor = Profile.find({ '_id': { $in: ids } })
+    .sort({ name: 1 })
+    .lean()
+    .cursor();
+
+  for await (const profile of cursor) {
+    if (!access.unlockedIds.has(profile._id.toString()) || !canViewContact(profile, access)) continue;
+    res.write(writeProfile(profile));
+  }
+  res.end();
+}
+
+// GET unlocked contacts as CSV - ?columns=name,email,phone selects columns, ?list= / ?tag= narrow it
+router.get('/unlocked/export.csv', authMiddleware, async (req, res) => {
+  try {
+    const preferences = req.query.columns ? null : await loadPreferences(req.userId);
+    const { columns, invalid } = resolveCsvColumns(req.query.columns || preferences?.exportColumns?.join(','));
+    if (invalid.length || columns.length === 0) {
+      return res.status(400).json({ error: 'Invalid export columns', invalid });
+    }
+
+    const { scope, error } = await resolveContactScope(req.userId, req.query);
+    if (error) {
+      return res.status(404).json({ error });
+    }
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', 'attachment; filename="unlocked-contacts.csv"');
+    res.write('\ufeff' + toCsvHeader(columns)); // BOM so Excel reads UTF-8 names correctly
+
+    await streamUnlockedProfiles(req.userId, res, profile => profileToCsvRow(profile, columns), scope);
+  } catch (err) {
+    console.error('CSV export error:', err);
+    if (res.headersSent) return res.end();
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET unlocked contacts as a single multi-contact vCard file - ?version=3.0|4.0, ?list= / ?tag= narrow it
+router.get('/unlocked/export.vcf', authMiddleware, async (req, res) => {
+  try {
+    const preferences = req.query.version ? null : await loadPreferences(req.userId);
+    const version = req.query.version || preferences?.vcardVersion || '3.0';
+    if (!VCARD_VERSIONS.includes(version)) {
+      return res.status(400).json({ error: `Unsupported vCard version, use one of: ${VCARD_VERSIONS.join(', ')}` });
+    }
+
+    const { scope, error } = await resolveContactScope(req.userId, req.query);
+    if (error) {
+      return res.status(404).json({ error });
+    }
+
+    res.setHeader('Content-Type', 'text/vcard; charset=utf-8');
+    res.setHeader('Content-Disposition', 'attachment; filename="unlocked-contacts.vcf"');
+
+    await streamUnlockedProfiles(req.userId, res, profile => profileToVCard(profile, version), scope);
+  } catch (err) {
+    console.error('vCard export error:', err);
+    if (res.headersSent) return res.end();
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // GET user's activity summary - NOW PROTECTED
 router.get('/activity', authMiddleware, async (req, res) => {
   try {
@@ -144,10 +309,14 @@ router.patch('/activity', authMiddleware, async (req, res) => {
     const userId = req.userId;
     const { activity } = req.body;
     
-    if (!activity) {
+    if (!activity || typeof activity !== 'string') {
       return res.status(400).json({ error: 'Activity message required' });
     }
+    if (activity.length > MAX_ACTIVITY_LENGTH) {
+      return res.status(400).json({ error: `Activity message must be at most ${MAX_ACTIVITY_LENGTH} characters` });
+    }
 
+    await ensureDashboard(userId, 'Welcome! Dashboard created.');
     const dashboard = await Dashboard.findOneAndUpdate(
       { userId },
       {
@@ -159,7 +328,7 @@ router.patch('/activity', authMiddleware, async (req, res) => {
         },
         $set: { updatedAt: new Date() }
       },
-      { new: true, upsert: true }
+      { new: true }
     );
 
     res.json({
@@ -173,4 +342,51 @@ router.patch('/activity', authMiddleware, async (req, res) => {
   }
 });
 
+// GET the caller's points ledger, newest first - ?type=unlock,upload_reward filters, page/limit paginate
+router.get('/transactions', authMiddleware, async (req, res) => {
+  try {
+    const types = toList(req.query.type);
+    const unknown = types.filter(type => !TRANSACTION_TYPES.includes(type));
+    if (unknown.length) {
+      return res.status(400).json({ error: `Unknown transaction type: ${unknown.join(', ')}`, types: TRANSACTION_TYPES });
+    }
+
+    const filter = { userId: req.userId };
+    if (types.length) filter.type = { $in: types };
+
+    const limit = parseLimit(req.query.limit);
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+
+    const [transactions, total] = await Promise.all([
+      PointsTransaction.find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('profileId', 'name'),
+      PointsTransaction.countDocuments(filter)
+    ]);
+
+    res.json({
+      transactions,
+      total,
+      page,
+      limit,
+      hasMore: page * limit < total
+    });
+  } catch (err) {
+    console.error('Transactions fetch error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET check the caller's cached balance against their points ledger
+router.get('/transactions/reconcile', authMiddleware, async (req, res) => {
+  try {
+    res.json(await reconcileBalance(req.userId));
+  } catch (err) {
+    console.error('Balance reconciliation error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -1,11 +1,17 @@
 // routes/linkedinScraper.js - Updated to handle phone information only
 const express = require('express');
+const { createProfile, rewardOf } = require('../utils/profileService');
+const { normalizeContactFields } = require('../utils/contactNormalization');
+const { runLinkedInScraper, transformLinkedInDataWithPhone } = require('../utils/linkedinScraping');
+const { refreshStaleProfiles, startRefreshRun, getRefreshStatus } = require('../utils/profileRefresh');
+const { authMiddleware, adminMiddleware } = require('./auth');
 const router = express.Router();
 
-// LinkedIn scraping endpoint
-router.post('/scrape-linkedin', async (req, res) => {
+// LinkedIn scraping endpoint - profiles are credited to the caller
+router.post('/scrape-linkedin', authMiddleware, async (req, res) => {
   try {
-    const { profilesData, userId } = req.body;
+    const { profilesData } = req.body;
+    const userId = req.userId;
 
     // Validate input
     if (!profilesData || !Array.isArray(profilesData) || profilesData.length === 0) {
@@ -14,12 +20,6 @@ router.post('/scrape-linkedin', async (req, res) => {
       });
     }
 
-    if (!userId) {
-      return res.status(400).json({ 
-        error: 'User ID is required' 
-      });
-    }
-
     // Validate and structure profile data
     const validProfiles = profilesData.filter(profile => 
       profile.url && (profile.url.includes('linkedin.com/in/') || profile.url.includes('linkedin.com/pub/'))
@@ -36,9 +36,7 @@ router.post('/scrape-linkedin', async (req, res) => {
       });
     }
 
-    const apiToken = process.env.APIFY_API_KEY;
-    
-    if (!apiToken) {
+    if (!process.env.APIFY_API_KEY) {
       return res.status(500).json({ 
         error: 'LinkedIn scraping service not configured' 
       });
@@ -52,70 +50,12 @@ router.post('/scrape-linkedin', async (req, res) => {
       failed: 0,
       results: []
     };
+    let pointsEarned = 0;
 
     console.log(`Starting LinkedIn scraping for ${validProfiles.length} profiles with phone info`);
 
     try {
-      // Start the Apify actor run with just URLs
-      const urls = validProfiles.map(profile => ({ url: profile.url }));
-      
-      const runResponse = await fetch(`https://api.apify.com/v2/acts/supreme_coder~linkedin-profile-scraper/runs?token=${apiToken}`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify({
-          urls: urls,
-          "findContacts.contactCompassToken": ""
-        })
-      });
-
-      if (!runResponse.ok) {
-        const errorText = await runResponse.text();
-        console.error('Apify run failed:', runResponse.status, errorText);
-        throw new Error(`LinkedIn scraping service failed: ${runResponse.status}`);
-      }
-
-      const runData = await runResponse.json();
-      const runId = runData.data.id;
-
-      console.log(`Apify run started with ID: ${runId}`);
-
-      // Poll for completion
-      let runStatus = 'RUNNING';
-      let attempts = 0;
-      const maxAttempts = 60; // 3 minutes max wait time
-
-      while (runStatus === 'RUNNING' && attempts < maxAttempts) {
-        await new Promise(resolve => setTimeout(resolve, 3000)); // Wait 3 seconds
-        
-        const statusResponse = await fetch(`https://api.apify.com/v2/acts/supreme_coder~linkedin-profile-scraper/runs/${runId}?token=${apiToken}`);
-        
-        if (!statusResponse.ok) {
-          throw new Error('Failed to check scraping status');
-        }
-
-        const statusData = await statusResponse.json();
-        runStatus = statusData.data.status;
-        attempts++;
-
-        console.log(`Scraping status: ${runStatus} (attempt ${attempts})`);
-      }
-
-      if (runStatus !== 'SUCCEEDED') {
-        throw new Error(`Scraping failed with status: ${runStatus}`);
-      }
-
-      // Get the scraped data
-      const datasetId = runData.data.defaultDatasetId;
-      const itemsResponse = await fetch(`https://api.apify.com/v2/datasets/${datasetId}/items?token=${apiToken}`);
-      
-      if (!itemsResponse.ok) {
-        throw new Error(`Failed to fetch scraping results: ${itemsResponse.status}`);
-      }
-
-      const scrapedData = await itemsResponse.json();
-      console.log(`Received ${scrapedData.length} scraped profiles`);
+      const scrapedData = await runLinkedInScraper(validProfiles.map(profile => profile.url));
 
       // Process each scraped profile with the provided contact info
       for (let i = 0; i < validProfiles.length; i++) {
@@ -132,6 +72,13 @@ router.post('/scrape-linkedin', async (req, res) => {
           // Transform LinkedIn data to our contact format, including user-provided phone info
           const contactData = transformLinkedInDataWithPhone(profileData, userId, profileInput);
 
+          // Normalize contact info; invalid values are dropped and reported back instead of stored
+          const warnings = normalizeContactFields(contactData).map(error => {
+            contactData[error.field] = '';
+            delete contactData[`${error.field}Original`];
+            return error.message;
+          });
+
           // Check if profile has sufficient data
           const hasMinimumData = contactData.name && // Has a name
                                 (contactData.experience > 0 || // Has experience
@@ -149,21 +96,12 @@ router.post('/scrape-linkedin', async (req, res) => {
             throw new Error('Insufficient profile data - profile must have a name and either experience, company, or job title');
           }
 
-          // Save contact using the existing profiles API endpoint
-          const saveResponse = await fetch(`${process.env.BASE_URL || 'https://contactpro-backend.vercel.app'}/profiles`, {
-            method: 'POST',
-            headers: {
-              'Content-Type': 'application/json'
-            },
-            body: JSON.stringify(contactData)
-          });
-
-          if (!saveResponse.ok) {
-            const errorData = await saveResponse.json().catch(() => ({}));
-            throw new Error(errorData.message || `Failed to save contact: ${saveResponse.status}`);
+          // Save contact through the same path as POST /profiles, marked as scraper-originated
+          const { profile: savedProfile, duplicate } = await createProfile(contactData, { actor: userId, source: 'scraper' });
+          if (duplicate) {
+            throw new Error(duplicate.message);
           }
-
-          const savedContact = await saveResponse.json();
+          pointsEarned += rewardOf(savedProfile);
 
           results.successful++;
           results.results.push({ 
@@ -173,8 +111,10 @@ router.post('/scrape-linkedin', async (req, res) => {
               name: contactData.name,
               jobTitle: contactData.jobTitle,
               company: contactData.company,
-              phone: contactData.phone
-            }
+              phone: contactData.phone,
+              completenessScore: savedProfile.completenessScore
+            },
+            ...(warnings.length && { warnings })
           });
 
           console.log(`Successfully processed profile: ${contactData.name}`);
@@ -205,23 +145,16 @@ router.post('/scrape-linkedin', async (req, res) => {
       }
     }
 
-    // Update user points using API endpoint
+    // Points are credited per saved profile by createProfile, scaled by completeness
     if (results.successful > 0) {
-      try {
-        // You'll need to implement a user points update endpoint
-        // For now, we'll skip this or you can add it to your existing user routes
-        console.log(`Would add ${results.successful * 10} points to user ${userId}`);
-      } catch (pointsError) {
-        console.error('Error updating user points:', pointsError);
-        // Don't fail the entire operation for points update failure
-      }
+      console.log(`Added ${pointsEarned} points to user ${userId}`);
     }
 
     // Return results
     res.json({
       success: true,
       results,
-      pointsEarned: results.successful * 10
+      pointsEarned
     });
 
   } catch (error) {
@@ -233,214 +166,46 @@ router.post('/scrape-linkedin', async (req, res) => {
   }
 });
 
-// Updated helper function to transform LinkedIn data with user-provided phone info only
-function transformLinkedInDataWithPhone(linkedInProfile, userId, profileInput) {
-  if (!linkedInProfile) {
-    throw new Error('No profile data received');
-  }
-
-  // Ensure extraLinks are properly handled from profileInput
-  const extraLinks = Array.isArray(profileInput.extraLinks) ? profileInput.extraLinks.filter(Boolean) : [];
-
-  // Extract work experience description from positions array
-  let workExperience = '';
-  if (linkedInProfile.positions && linkedInProfile.positions.length > 0) {
-    workExperience = linkedInProfile.positions
-      .map(position => {
-        const title = position.title || '';
-        const company = position.companyName || position.company?.name || '';
-        const description = position.description || '';
-        const location = position.locationName || '';
-        
-        // Format date range
-        let dateRange = '';
-        if (position.timePeriod) {
-          const start = position.timePeriod.startDate;
-          const end = position.timePeriod.endDate;
-          
-          if (start) {
-            const startMonth = start.month ? String(start.month).padStart(2, '0') : '';
-            const startYear = start.year || '';
-            const startStr = startMonth && startYear ? `${startMonth}/${startYear}` : startYear;
-            
-            let endStr = 'Present';
-            if (end) {
-              const endMonth = end.month ? String(end.month).padStart(2, '0') : '';
-              const endYear = end.year || '';
-              endStr = endMonth && endYear ? `${endMonth}/${endYear}` : endYear;
-            }
-            
-            dateRange = ` (${startStr} - ${endStr})`;
-          }
-        }
-        
-        let experienceText = `${title} at ${company}${dateRange}`;
-        if (location) {
-          experienceText += ` - ${location}`;
-        }
-        
-        if (description) {
-          experienceText += `\n${description}`;
-        }
-        
-        return experienceText;
-      })
-      .join('\n\n---\n\n');
-  }
-
-  // Extract skills from multiple sources: skills array, courses, and certifications
-  let skills = [];
-  
-  // Primary skills from skills array
-  if (linkedInProfile.skills && Array.isArray(linkedInProfile.skills)) {
-    const primarySkills = linkedInProfile.skills.map(skill => 
-      typeof skill === 'string' ? skill : skill.name || skill.title || ''
-    ).filter(skill => skill.trim());
-    skills.push(...primarySkills);
-  }
-  
-  // Additional skills from courses
-  if (linkedInProfile.courses && Array.isArray(linkedInProfile.courses)) {
-    const courseSkills = linkedInProfile.courses.map(course => 
-      typeof course === 'string' ? course : course.name || course.title || ''
-    ).filter(skill => skill.trim());
-    skills.push(...courseSkills);
-  }
-  
-  // Additional skills from certifications
-  if (linkedInProfile.certifications && Array.isArray(linkedInProfile.certifications)) {
-    const certificationSkills = linkedInProfile.certifications
-      .map(cert => typeof cert === 'string' ? cert : cert.name || cert.title || '')
-      .filter(skill => skill.trim())
-      .slice(0, 10); // Limit certifications to avoid too many skills
-    skills.push(...certificationSkills);
-  }
-  
-  // Remove duplicates and limit total skills
-  skills = [...new Set(skills)].slice(0, 25); // Remove duplicates and limit to 25 skills
-
-  // Extract education from educations array  
-  let education = '';
-  if (linkedInProfile.educations && linkedInProfile.educations.length > 0) {
-    education = linkedInProfile.educations
-      .map(edu => {
-        const degree = edu.degreeName || '';
-        const field = edu.fieldOfStudy || '';
-        const school = edu.schoolName || '';
-        
-        let educationText = '';
-        if (degree && field) {
-          educationText = `${degree} in ${field}`;
-        } else if (degree) {
-          educationText = degree;
-        } else if (field) {
-          educationText = field;
-        }
-        
-        if (school) {
-          educationText += educationText ? ` at ${school}` : school;
-        }
-        
-        // Add time period if available
-        if (edu.timePeriod) {
-          const start = edu.timePeriod.startDate?.year;
-          const end = edu.timePeriod.endDate?.year;
-          if (start || end) {
-            const timeStr = start && end ? `${start}-${end}` : start ? `${start}` : `${end}`;
-            educationText += ` (${timeStr})`;
-          }
-        }
-        
-        return educationText;
-      })
-      .filter(edu => edu.trim())
-      .join('; ');
-  }
-
-  // Determine industry from profile data or positions
-  let industry = linkedInProfile.industryName || 'Other';
-  if (!industry || industry === 'Other') {
-    if (linkedInProfile.positions && linkedInProfile.positions.length > 0) {
-      const currentPosition = linkedInProfile.positions[0];
-      if (currentPosition.company?.industries && currentPosition.company.industries.length > 0) {
-        industry = currentPosition.company.industries[0];
-      }
+// POST admin trigger - re-scrape stale and refresh-requested LinkedIn profiles.
+// Body: { maxAgeDays, batchSize, limit, wait }. Runs in the background unless wait is true.
+router.post('/scrape-linkedin/refresh', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    if (!process.env.APIFY_API_KEY) {
+      return res.status(500).json({ 
+        error: 'LinkedIn scraping service not configured' 
+      });
     }
-  }
 
-  // Calculate total experience years based on all positions
-  let experienceYears = 0;
-  if (linkedInProfile.positions && linkedInProfile.positions.length > 0) {
-    // Find the earliest start date across all positions
-    let earliestStartYear = null;
-    
-    linkedInProfile.positions.forEach(position => {
-      if (position.timePeriod && position.timePeriod.startDate && position.timePeriod.startDate.year) {
-        if (!earliestStartYear || position.timePeriod.startDate.year < earliestStartYear) {
-          earliestStartYear = position.timePeriod.startDate.year;
-        }
+    const options = { actor: req.userId };
+    for (const key of ['maxAgeDays', 'batchSize', 'limit']) {
+      if (req.body[key] === undefined) continue;
+      const value = Number(req.body[key]);
+      if (!Number.isFinite(value) || value <= 0) {
+        return res.status(400).json({ error: `${key} must be a positive number` });
       }
-    });
-    
-    if (earliestStartYear) {
-      const currentYear = new Date().getFullYear();
-      experienceYears = Math.max(0, currentYear - earliestStartYear);
+      options[key] = value;
     }
-  }
 
-  // Determine seniority level based on job title and experience
-  const jobTitle = linkedInProfile.jobTitle || linkedInProfile.occupation || linkedInProfile.positions?.[0]?.title || '';
-  let seniorityLevel = 'Mid-level';
-  const titleLower = jobTitle.toLowerCase();
-  
-  if (titleLower.includes('ceo') || titleLower.includes('cto') || titleLower.includes('cfo') || titleLower.includes('chief')) {
-    seniorityLevel = 'C-Level';
-  } else if (titleLower.includes('vp') || titleLower.includes('vice president')) {
-    seniorityLevel = 'VP';
-  } else if (titleLower.includes('director') || titleLower.includes('manager')) {
-    seniorityLevel = 'Director';
-  } else if (titleLower.includes('senior') || titleLower.includes('lead') || titleLower.includes('principal')) {
-    seniorityLevel = 'Senior';
-  } else if (titleLower.includes('junior') || experienceYears < 2) {
-    seniorityLevel = 'Entry-level';
-  }
-
-  // Extract company size
-  let companySize = '';
-  if (linkedInProfile.positions && linkedInProfile.positions.length > 0) {
-    const currentPosition = linkedInProfile.positions[0];
-    if (currentPosition.company?.employeeCountRange) {
-      const range = currentPosition.company.employeeCountRange;
-      companySize = `${range.start}-${range.end} employees`;
+    if (getRefreshStatus().running) {
+      return res.status(409).json({ error: 'A LinkedIn refresh run is already in progress' });
     }
-  }
 
-  // Get location from profile or current position
-  const location = linkedInProfile.geoLocationName || linkedInProfile.geoCountryName || 
-                  linkedInProfile.positions?.[0]?.locationName || '';
+    if (req.body.wait) {
+      const report = await refreshStaleProfiles(options);
+      return res.json({ success: true, report });
+    }
 
-  // Use user-provided phone info as priority, fallback to LinkedIn data
-  const finalPhone = profileInput.phone || linkedInProfile.phone || '';
+    startRefreshRun(options);
+    res.status(202).json({ success: true, started: true, status: getRefreshStatus() });
+  } catch (error) {
+    console.error('LinkedIn refresh trigger error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-  return {
-    name: `${linkedInProfile.firstName || ''} ${linkedInProfile.lastName || ''}`.trim() || linkedInProfile.fullName || '',
-    jobTitle,
-    company: linkedInProfile.companyName || linkedInProfile.positions?.[0]?.companyName || '',
-    location,
-    industry,
-    experience: experienceYears,
-    seniorityLevel,
-    skills,
-    education,
-    workExperience,
-    email: profileInput.email || linkedInProfile.email || '', // Prioritize user-provided email
-    phone: finalPhone, // Prioritize user-provided phone
-    avatar: linkedInProfile.pictureUrl || linkedInProfile.profilePicture || 'https://images.pexels.com/photos/771742/pexels-photo-771742.jpeg?auto=compress&cs=tinysrgb&w=150&h=150&fit=crop',
-    uploadedBy: userId,
-    companySize,
-    linkedinUrl: linkedInProfile.inputUrl || linkedInProfile.url || linkedInProfile.linkedinUrl || profileInput.url,
-    extraLinks: profileInput.extraLinks || []
-  };
-}
+// GET admin status of the current / last refresh run
+router.get('/scrape-linkedin/refresh', authMiddleware, adminMiddleware, (req, res) => {
+  res.json(getRefreshStatus());
+});
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,73 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const { parseLimit } = require('../utils/profileQuery');
+const { authMiddleware } = require('./auth');
+
+const router = express.Router();
+
+// GET the caller's notifications, newest first - ?unread=true, page, limit
+router.get('/', authMiddleware, async (req, res) => {
+  try {
+    const limit = parseLimit(req.query.limit);
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+
+    const filter = { userId: req.userId };
+    if (req.query.unread === 'true') filter.read = false;
+
+    const [notifications, total, unread] = await Promise.all([
+      Notification.find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Notification.countDocuments(filter),
+      Notification.countDocuments({ userId: req.userId, read: false })
+    ]);
+
+    res.json({
+      notifications,
+      total,
+      unread,
+      page,
+      limit,
+      hasMore: page * limit < total
+    });
+  } catch (err) {
+    console.error('Notifications fetch error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST mark all of the caller's notifications as read
+router.post('/read-all', authMiddleware, async (req, res) => {
+  try {
+    const result = await Notification.updateMany({ userId: req.userId, read: false }, { $set: { read: true } });
+    res.json({ success: true, updated: result.modifiedCount });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// PATCH mark a single notification as read
+router.patch('/:id/read', authMiddleware, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, userId: req.userId },
+      { $set: { read: true } },
+      { new: true }
+    );
+    if (!notification) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+
+    res.json(notification);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,113 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const PricingRule = require('../models/PricingRule');
+const { PRICING_TARGETS, loadActiveRules, presentRule } = require('../utils/pricingRules');
+const { authMiddleware, adminMiddleware } = require('./auth');
+
+const router = express.Router();
+
+// Fields an admin may set through POST /rules and PATCH /rules/:id
+const RULE_FIELDS = [
+  'name', 'target', 'kind', 'points', 'multiplier', 'priority', 'active', 'startsAt', 'endsAt', 'conditions'
+];
+
+function pickRuleFields(body) {
+  const fields = {};
+  RULE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  return fields;
+}
+
+// Load a pricing rule by id, or send 404 and return null
+async function loadRule(req, res) {
+  const rule = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await PricingRule.findById(req.params.id)
+    : null;
+  if (!rule) {
+    res.status(404).json({ error: 'Pricing rule not found' });
+    return null;
+  }
+  return rule;
+}
+
+// GET promotions running now, for showing discounts to users
+router.get('/promotions', authMiddleware, async (req, res) => {
+  try {
+    const rules = (await Promise.all(PRICING_TARGETS.map(target => loadActiveRules(target)))).flat();
+    res.json({
+      promotions: rules
+        .filter(rule => rule.kind === 'promotion')
+        .map(rule => ({
+          id: rule._id.toString(),
+          name: rule.name,
+          target: rule.target,
+          multiplier: rule.multiplier,
+          conditions: rule.conditions || {},
+          endsAt: rule.endsAt
+        }))
+    });
+  } catch (err) {
+    console.error('Promotions fetch error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET pricing rules (admin) - ?target=unlock_cost|upload_reward, ?active=true|false
+router.get('/rules', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.target) {
+      if (!PRICING_TARGETS.includes(req.query.target)) {
+        return res.status(400).json({ error: `Unknown target, use one of: ${PRICING_TARGETS.join(', ')}` });
+      }
+      filter.target = req.query.target;
+    }
+    if (req.query.active === 'true' || req.query.active === 'false') {
+      filter.active = req.query.active === 'true';
+    }
+
+    const rules = await PricingRule.find(filter).sort({ target: 1, priority: -1, createdAt: -1 });
+    res.json({ rules: rules.map(presentRule) });
+  } catch (err) {
+    console.error('Pricing rules fetch error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST create a pricing rule or promotion (admin) - body: { name, target, kind, points | multiplier,
+// priority, startsAt, endsAt, conditions: { seniorityLevels, minCompleteness, maxCompleteness, hasEmail, hasPhone } }
+router.post('/rules', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const rule = await PricingRule.create({
+      ...pickRuleFields(req.body),
+      createdBy: req.userId,
+      updatedBy: req.userId
+    });
+    res.status(201).json(presentRule(rule));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// PATCH change a pricing rule (admin) - same fields as POST; `active: false` retires it.
+// Rules are not deleted because ledger entries refer to them.
+router.patch('/rules/:id', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const rule = await loadRule(req, res);
+    if (!rule) return;
+
+    const updates = pickRuleFields(req.body);
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: 'No pricing rule fields to update' });
+    }
+
+    rule.set({ ...updates, updatedBy: req.userId });
+    await rule.save();
+    res.json(presentRule(rule));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+module.exports = router;
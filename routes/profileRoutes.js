@@ -1,127 +1,492 @@
 const express = require('express');
+const mongoose = require('mongoose');
+const multer = require('multer');
 const Profile = require('../models/profile.js');
 const Dashboard = require('../models/Dashboard');
 const { checkLinkedInDuplicate } = require('../utils/linkedinHelper');
+const { buildProfileFilter, parseLimit, paginateProfiles } = require('../utils/profileQuery');
+const { loadViewerAccess, uploaderAccess, presentProfile, canViewContact } = require('../utils/contactPolicy');
+const { buildHighlights } = require('../utils/searchHighlight');
+const { parseSheet, resolveMapping, buildImportReport } = require('../utils/profileImport');
+const {
+  buildEntries,
+  markDuplicates,
+  insertEntries,
+  writeErrorBody,
+  writeErrorStatus,
+  summarize
+} = require('../utils/profileValidation');
+const { DEFAULT_MIN_SCORE, findDuplicateCandidates, redactContactReasons, mergeProfileData } = require('../utils/duplicateFinder');
+const { DEFAULT_MIN_SIMILARITY, findSimilarProfiles } = require('../utils/profileSimilarity');
+const { MAX_DESCRIPTION_LENGTH, parseJobDescription, rankProfilesForJob } = require('../utils/jobMatching');
+const {
+  rewardOf,
+  creditUploads,
+  recordActivity,
+  announceNewProfiles,
+  createProfile
+} = require('../utils/profileService');
+const { computeCompleteness } = require('../utils/profileCompleteness');
+const {
+  setHistoryContext,
+  recordBulkCreates,
+  redactHistoryEntry,
+  TRACKED_FIELDS
+} = require('../utils/profileHistory');
+const ProfileHistory = require('../models/ProfileHistory');
+const Notification = require('../models/Notification');
+const { removeProfileFromCollections, moveProfileInCollections } = require('../utils/contactOrganizer');
+const ProfileReport = require('../models/ProfileReport');
+const { REPORT_REASONS, DEFAULT_ACTIONS, RESOLUTION_ACTIONS, acceptReport, rejectReport } = require('../utils/profileReports');
+const { applyPoints } = require('../utils/pointsLedger');
+const { quoteUnlockCost, quoteUploadReward, pricingRecord } = require('../utils/pricingRules');
+const { idempotent } = require('../utils/idempotency');
+const { authMiddleware, optionalAuthMiddleware, adminMiddleware, isAdminUser } = require('./auth');
 
 const router = express.Router();
 
-// GET all profiles - now includes user-specific unlock status
-router.get('/', async (req, res) => {
+// Fields a client may set when uploading, and an uploader (or admin) may change through PATCH /profiles/:id
+const EDITABLE_FIELDS = [
+  'name', 'jobTitle', 'company', 'location', 'industry', 'experience', 'seniorityLevel',
+  'skills', 'education', 'workExperience', 'positions', 'educations',
+  'email', 'phone', 'phoneCountry', 'avatar', 'linkedinUrl', 'extraLinks'
+];
+
+// Load a profile by id. Hidden profiles stay visible to their uploader and to admins only.
+// Sends 404 itself and returns null when the caller may not see the profile.
+async function loadVisibleProfile(req, res) {
+  const profile = mongoose.Types.ObjectId.isValid(req.params.id) ? await Profile.findById(req.params.id) : null;
+  if (profile?.hidden) {
+    const isUploader = req.userId && String(profile.uploadedBy) === String(req.userId);
+    if (isUploader || (await isAdminUser(req.userId))) return profile;
+  } else if (profile) {
+    return profile;
+  }
+
+  res.status(404).json({ error: 'Profile not found' });
+  return null;
+}
+
+// Copy the fields a client may set from a request body; everything else is server-owned
+function pickEditableFields(source) {
+  const fields = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (source?.[field] !== undefined) fields[field] = source[field];
+  });
+  return fields;
+}
+
+// Contact sheets are parsed in memory, so keep uploads small
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }
+});
+
+// Load a profile and make sure the authenticated user owns it or is an admin.
+// Sends the error response itself and returns null when access is denied.
+async function loadOwnedProfile(req, res) {
+  const profile = await Profile.findById(req.params.id);
+  if (!profile) {
+    res.status(404).json({ error: 'Profile not found' });
+    return null;
+  }
+
+  const isOwner = profile.uploadedBy && String(profile.uploadedBy) === String(req.userId);
+  if (!isOwner) {
+    if (!(await isAdminUser(req.userId))) {
+      res.status(403).json({ error: 'Only the uploader or an admin can modify this profile' });
+      return null;
+    }
+    req.isAdminEdit = true;
+  }
+
+  return profile;
+}
+
+// GET profiles - filtered, sorted and cursor-paginated, with user-specific unlock status.
+// Contact fields are masked unless the authenticated user unlocked or uploaded the profile.
+router.get('/', optionalAuthMiddleware, async (req, res) => {
   try {
-    const { userId } = req.query; // Pass userId as query parameter
+    const result = await paginateProfiles(Profile, buildProfileFilter(req.query), req.query);
+    if (!result) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
     
-    const profiles = await Profile.find().sort({ createdAt: -1 });
+    // Unlock status and contact visibility come from the authenticated user's dashboard
+    const access = await loadViewerAccess(req.userId);
     
-    // If userId is provided, get their unlocked contacts
-    let userUnlockedIds = [];
-    if (userId) {
-      const userDashboard = await Dashboard.findOne({ userId });
-      userUnlockedIds = userDashboard?.unlockedContactIds || [];
+    res.json({
+      profiles: result.profiles.map(p => presentProfile(p, access)),
+      nextCursor: result.nextCursor,
+      total: result.total,
+      limit: result.limit
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET ranked full-text search over name, jobTitle, company, skills, education and workExperience.
+// Accepts the same filters as GET /profiles; results carry a relevance score and match highlights.
+router.get('/search', optionalAuthMiddleware, async (req, res) => {
+  try {
+    const q = (req.query.q || '').trim();
+    if (!q) {
+      return res.status(400).json({ error: 'Search query (q) is required' });
     }
-    
-    res.json(
-      profiles.map(p => ({
-        ...p.toObject(),
-        id: p._id.toString(),
-        // Set isUnlocked based on current user's unlocked list
-        isUnlocked: userUnlockedIds.includes(p._id.toString())
+
+    const limit = parseLimit(req.query.limit);
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const filter = { ...buildProfileFilter(req.query), $text: { $search: q } };
+
+    const [profiles, total] = await Promise.all([
+      Profile.find(filter, { score: { $meta: 'textScore' } })
+        .sort({ score: { $meta: 'textScore' }, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Profile.countDocuments(filter)
+    ]);
+
+    const access = await loadViewerAccess(req.userId);
+
+    res.json({
+      query: q,
+      results: profiles.map(p => {
+        return {
+          ...presentProfile(p, access), // includes the textScore projected as `score`
+          highlights: buildHighlights(p, q)
+        };
+      }),
+      total,
+      page,
+      limit,
+      hasMore: page * limit < total
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST rank profiles against a job description - body: { description, title?, skills?, seniorityLevel?, minExperience?, minScore? }.
+// Query accepts the same filters as GET /profiles plus limit. Each match carries a per-criterion score breakdown.
+router.post('/match', optionalAuthMiddleware, async (req, res) => {
+  try {
+    const { description, title, skills, seniorityLevel, minExperience, minScore } = req.body;
+    const hasDescription = typeof description === 'string' && description.trim();
+    if (!hasDescription && !(Array.isArray(skills) && skills.length)) {
+      return res.status(400).json({ error: 'A job description (or a list of skills) is required' });
+    }
+    if (hasDescription && description.length > MAX_DESCRIPTION_LENGTH) {
+      return res.status(400).json({ error: `Job description must be at most ${MAX_DESCRIPTION_LENGTH} characters` });
+    }
+
+    const filter = buildProfileFilter(req.query);
+    const vocabulary = await Profile.distinct('skills', { hidden: { $ne: true } });
+    const requirements = parseJobDescription(description, vocabulary, { title, skills, seniorityLevel, minExperience });
+
+    const threshold = Number(minScore);
+    const matches = await rankProfilesForJob(requirements, Profile, filter, {
+      minScore: Number.isFinite(threshold) ? threshold : 0,
+      limit: parseLimit(req.query.limit)
+    });
+
+    const access = await loadViewerAccess(req.userId);
+
+    res.json({
+      requirements,
+      matches: matches.map(({ profile, score, breakdown }) => ({
+        score,
+        breakdown,
+        profile: presentProfile(profile, access)
       }))
-    );
+    });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// GET single profile by ID - with user-specific unlock status
-router.get('/:id', async (req, res) => {
+// POST admin backfill - recompute completenessScore for existing profiles
+router.post('/admin/completeness/backfill', authMiddleware, adminMiddleware, async (req, res) => {
   try {
-    const { userId } = req.query; // Pass userId as query parameter
-    
-    const profile = await Profile.findById(req.params.id);
+    const batchSize = 500;
+    let scanned = 0;
+    let updated = 0;
+    let operations = [];
+
+    const flush = async () => {
+      if (operations.length === 0) return;
+      const result = await Profile.bulkWrite(operations, { ordered: false });
+      updated += result.modifiedCount;
+      operations = [];
+    };
+
+    const cursor = Profile.find().lean().cursor();
+    for await (const profile of cursor) {
+      scanned++;
+      const completenessScore = computeCompleteness(profile);
+      if (completenessScore !== profile.completenessScore) {
+        operations.push({
+          updateOne: { filter: { _id: profile._id }, update: { $set: { completenessScore } } }
+        });
+      }
+      if (operations.length >= batchSize) await flush();
+    }
+    await flush();
+
+    res.json({ success: true, scanned, updated });
+  } catch (err) {
+    console.error('Completeness backfill error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET admin moderation queue - ?status=pending|accepted|rejected (default pending), ?reason=, page, limit.
+// Pending reports are listed oldest first.
+router.get('/admin/reports', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const status = req.query.status || 'pending';
+    const filter = { status };
+    if (req.query.reason) filter.reason = req.query.reason;
+
+    const limit = parseLimit(req.query.limit);
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+
+    const [reports, total] = await Promise.all([
+      ProfileReport.find(filter)
+        .sort({ createdAt: status === 'pending' ? 1 : -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      ProfileReport.countDocuments(filter)
+    ]);
+
+    const profileIds = [...new Set(reports.map(r => r.profileId.toString()))];
+    const [profiles, unlockCounts] = await Promise.all([
+      Profile.find({ _id: { $in: profileIds } }).select('name jobTitle company uploadedBy hidden email phone'),
+      Dashboard.aggregate([
+        { $match: { unlockedContactIds: { $in: profileIds } } },
+        { $unwind: '$unlockedContactIds' },
+        { $match: { unlockedContactIds: { $in: profileIds } } },
+        { $group: { _id: '$unlockedContactIds', count: { $sum: 1 } } }
+      ])
+    ]);
+    const profilesById = new Map(profiles.map(p => [p._id.toString(), p]));
+    const unlocksById = new Map(unlockCounts.map(u => [u._id, u.count]));
+
+    res.json({
+      reports: reports.map(report => ({
+        ...report.toObject(),
+        profile: profilesById.get(report.profileId.toString()) || null,
+        unlockCount: unlocksById.get(report.profileId.toString()) || 0
+      })),
+      total,
+      page,
+      limit,
+      hasMore: page * limit < total
+    });
+  } catch (err) {
+    console.error('Report queue fetch error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Load a pending report and its profile for moderation, or send the error response and return null
+async function loadPendingReport(req, res) {
+  const report = mongoose.Types.ObjectId.isValid(req.params.reportId)
+    ? await ProfileReport.findById(req.params.reportId)
+    : null;
+  if (!report) {
+    res.status(404).json({ error: 'Report not found' });
+    return null;
+  }
+  if (report.status !== 'pending') {
+    res.status(409).json({ error: `Report was already ${report.status}` });
+    return null;
+  }
+  return report;
+}
+
+// POST accept a report - body: { action: 'hide' | 'fix' | 'none', updates, penalty, note }.
+// 'fix' applies `updates`; without an action it defaults by reason (fix for wrong/outdated data, hide otherwise).
+// penalty defaults to the profile's upload reward.
+router.post('/admin/reports/:reportId/accept', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const report = await loadPendingReport(req, res);
+    if (!report) return;
+
+    const profile = await Profile.findById(report.profileId);
     if (!profile) {
-      return res.status(404).json({ error: 'Profile not found' });
+      return res.status(404).json({ error: 'The reported profile no longer exists' });
     }
-    
-    // Check if this user has unlocked this profile
-    let isUnlocked = false;
-    if (userId) {
-      const userDashboard = await Dashboard.findOne({ userId });
-      isUnlocked = userDashboard?.unlockedContactIds.includes(req.params.id) || false;
+
+    const { action, note } = req.body;
+    if (action !== undefined && !RESOLUTION_ACTIONS.includes(action)) {
+      return res.status(400).json({ error: `action must be one of: ${RESOLUTION_ACTIONS.join(', ')}` });
     }
+
+    const updates = pickEditableFields(req.body.updates);
+    const resolvedAction = action || (Object.keys(updates).length ? 'fix' : DEFAULT_ACTIONS[report.reason]);
+    if (resolvedAction === 'fix' && Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: 'Provide the corrected fields in updates, or accept with action hide or none' });
+    }
+
+    let penalty;
+    if (req.body.penalty !== undefined) {
+      penalty = Number(req.body.penalty);
+      if (!Number.isFinite(penalty) || penalty < 0) {
+        return res.status(400).json({ error: 'penalty must be a non-negative number' });
+      }
+    }
+
+    const outcome = await acceptReport(report, profile, {
+      moderatorId: req.userId,
+      action: resolvedAction,
+      updates,
+      penalty,
+      note
+    });
+
+    res.json({ success: true, report, ...outcome });
+  } catch (err) {
+    res.status(err.status || 400).json(writeErrorBody(err));
+  }
+});
+
+// POST reject a report - body: { note }
+router.post('/admin/reports/:reportId/reject', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const report = await loadPendingReport(req, res);
+    if (!report) return;
+
+    const profile = await Profile.findById(report.profileId);
+    await rejectReport(report, profile, { moderatorId: req.userId, note: req.body.note });
+
+    res.json({ success: true, report });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// GET single profile by ID - with user-specific unlock status and contact masking
+router.get('/:id', optionalAuthMiddleware, async (req, res) => {
+  try {
+    const profile = await loadVisibleProfile(req, res);
+    if (!profile) return;
+
+    // Check if the authenticated user has unlocked (or uploaded) this profile
+    const access = await loadViewerAccess(req.userId);
     
+    res.json(presentProfile(profile, access));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET the price of unlocking a profile, as the unlock would charge it now.
+// Pass the quoted points back to POST /:id/unlock as `quotedPoints` to confirm that price.
+router.get('/:id/unlock/quote', authMiddleware, async (req, res) => {
+  try {
+    const profileId = req.params.id;
+    const profile = mongoose.Types.ObjectId.isValid(profileId) ? await Profile.findById(profileId) : null;
+    if (!profile || profile.hidden) {
+      return res.status(404).json({ error: 'Profile not found' });
+    }
+
+    const [quote, dashboard] = await Promise.all([
+      quoteUnlockCost(profile),
+      Dashboard.findOne({ userId: req.userId }).select('availablePoints unlockedContactIds')
+    ]);
+    const availablePoints = dashboard ? dashboard.availablePoints : 0;
+
     res.json({
-      ...profile.toObject(),
-      id: profile._id.toString(),
-      isUnlocked
+      profileId,
+      quote,
+      availablePoints,
+      alreadyUnlocked: Boolean(dashboard?.unlockedContactIds.includes(profileId)),
+      canAfford: availablePoints >= quote.points
     });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// POST unlock profile (deduct points and add to user's unlocked list)
-router.post('/:id/unlock', async (req, res) => {
+// POST unlock profile (deduct points and add to the caller's unlocked list) - body: { quotedPoints }.
+// The price comes from the pricing rules; when `quotedPoints` is sent and the price has changed since
+// the quote, nothing is charged and 409 returns the new quote.
+// The balance check, the already-unlocked check and the charge are a single conditional update, so
+// concurrent clicks can't double-charge or overdraw. Honors an Idempotency-Key header.
+router.post('/:id/unlock', authMiddleware, idempotent('unlock'), async (req, res) => {
   try {
-    const { userId } = req.body; // User who wants to unlock
+    const userId = req.userId;
     const profileId = req.params.id;
 
     // Check if profile exists
-    const profile = await Profile.findById(profileId);
-    if (!profile) {
+    const profile = mongoose.Types.ObjectId.isValid(profileId) ? await Profile.findById(profileId) : null;
+    if (!profile || profile.hidden) {
       return res.status(404).json({ error: 'Profile not found' });
     }
 
-    // Get user's dashboard
-    const dashboard = await Dashboard.findOne({ userId });
-    if (!dashboard) {
-      return res.status(404).json({ error: 'Dashboard not found' });
-    }
-
-    // Check if user already unlocked this profile
-    if (dashboard.unlockedContactIds.includes(profileId)) {
-      return res.status(400).json({ error: 'Profile already unlocked by this user' });
-    }
-
-    // Check if user has enough points
-    if (dashboard.availablePoints < 20) {
-      return res.status(400).json({ 
-        error: 'Insufficient points',
-        required: 20,
-        available: dashboard.availablePoints
-      });
+    const quote = await quoteUnlockCost(profile);
+    const { quotedPoints } = req.body || {};
+    if (quotedPoints !== undefined && Number(quotedPoints) !== quote.points) {
+      return res.status(409).json({ error: 'The unlock price has changed', quotedPoints: Number(quotedPoints), quote });
     }
+    const cost = quote.points;
 
-    // Update dashboard: deduct points, increment unlocked profiles, add to unlocked list, add activity
-    await Dashboard.findOneAndUpdate(
-      { userId },
+    // Deduct points (recorded in the ledger with the rules that priced them), increment unlocked profiles,
+    // add to unlocked list and add activity - only if the user can afford it and hasn't unlocked the profile yet
+    const updatedDashboard = await applyPoints(
+      userId,
+      [{
+        type: 'unlock',
+        amount: -cost,
+        profileId: profile._id,
+        pricing: pricingRecord(quote),
+        description: `Unlocked ${profile.name || 'Unknown'}`
+      }],
       {
-        $inc: { 
-          availablePoints: -20,
-          unlockedProfiles: 1
+        filter: {
+          availablePoints: { $gte: cost },
+          unlockedContactIds: { $ne: profileId }
         },
-        $push: { 
-          unlockedContactIds: profileId, // Add to user's unlocked list
-          recentActivity: {
-            $each: [`Unlocked contact: ${profile.name || 'Unknown'}`],
-            $slice: -10 // Keep only last 10 activities
+        update: {
+          $inc: { unlockedProfiles: 1 },
+          $push: {
+            unlockedContactIds: profileId, // Add to user's unlocked list
+            recentActivity: {
+              $each: [`Unlocked contact: ${profile.name || 'Unknown'} (-${cost} points)`],
+              $slice: -10 // Keep only last 10 activities
+            }
           }
-        },
-        updatedAt: new Date()
+        }
       }
     );
 
-    // Get updated dashboard
-    const updatedDashboard = await Dashboard.findOne({ userId });
+    // Nothing was charged - work out which condition failed
+    if (!updatedDashboard) {
+      const dashboard = await Dashboard.findOne({ userId }).select('availablePoints unlockedContactIds');
+      if (!dashboard) {
+        return res.status(404).json({ error: 'Dashboard not found' });
+      }
+      if (dashboard.unlockedContactIds.includes(profileId)) {
+        return res.status(400).json({ error: 'Profile already unlocked by this user' });
+      }
+      return res.status(400).json({
+        error: 'Insufficient points',
+        required: cost,
+        available: dashboard.availablePoints,
+        quote
+      });
+    }
 
     res.json({
       success: true,
-      profile: {
-        ...profile.toObject(),
-        id: profile._id.toString(),
-        isUnlocked: true // For this user, it's now unlocked
-      },
+      profile: presentProfile(profile, {
+        userId: String(userId),
+        unlockedIds: new Set(updatedDashboard.unlockedContactIds) // For this user, it's now unlocked
+      }),
       dashboard: updatedDashboard,
-      pointsDeducted: 20,
+      pointsDeducted: cost,
+      quote,
       remainingPoints: updatedDashboard.availablePoints
     });
 
@@ -130,12 +495,92 @@ router.post('/:id/unlock', async (req, res) => {
   }
 });
 
-// POST new profile with dashboard update
-router.post('/', async (req, res) => {
+// POST report bad data on a profile - body: { reason, details, duplicateOf }
+// reason: wrong_contact_info | duplicate | fake | outdated | opt_out. Admins resolve reports in the moderation queue.
+router.post('/:id/report', authMiddleware, async (req, res) => {
+  try {
+    const { reason, details, duplicateOf } = req.body;
+    if (!REPORT_REASONS[reason]) {
+      return res.status(400).json({ error: `reason must be one of: ${Object.keys(REPORT_REASONS).join(', ')}` });
+    }
+    if (duplicateOf !== undefined && !mongoose.Types.ObjectId.isValid(duplicateOf)) {
+      return res.status(400).json({ error: 'duplicateOf must be a profile id' });
+    }
+
+    const profile = mongoose.Types.ObjectId.isValid(req.params.id) ? await Profile.findById(req.params.id) : null;
+    if (!profile || profile.hidden) {
+      return res.status(404).json({ error: 'Profile not found' });
+    }
+    if (profile.uploadedBy && String(profile.uploadedBy) === String(req.userId)) {
+      return res.status(400).json({ error: 'Edit or delete your own uploads instead of reporting them' });
+    }
+
+    const report = await ProfileReport.create({
+      profileId: profile._id,
+      profileName: profile.name,
+      reporterId: req.userId,
+      reason,
+      details: details || '',
+      duplicateOf: reason === 'duplicate' ? duplicateOf : undefined
+    });
+
+    await recordActivity(req.userId, [`Reported contact: ${profile.name || 'Unknown'} as ${REPORT_REASONS[reason]}`]);
+
+    res.json({ success: true, report });
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).json({ error: 'You already have an open report on this profile' });
+    }
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// POST request a LinkedIn refresh - queues the profile for the next refresh run.
+// Open to the uploader, users who unlocked it and admins.
+router.post('/:id/refresh', authMiddleware, async (req, res) => {
   try {
-    // Check for LinkedIn URL duplicate
-    if (req.body.linkedinUrl) {
-      const duplicate = await checkLinkedInDuplicate(req.body.linkedinUrl, Profile);
+    const profile = mongoose.Types.ObjectId.isValid(req.params.id) ? await Profile.findById(req.params.id) : null;
+    if (!profile || profile.hidden) {
+      return res.status(404).json({ error: 'Profile not found' });
+    }
+    if (!profile.linkedinUrl) {
+      return res.status(400).json({ error: 'Only profiles with a LinkedIn URL can be refreshed' });
+    }
+
+    const access = await loadViewerAccess(req.userId);
+    if (!canViewContact(profile, access) && !(await isAdminUser(req.userId))) {
+      return res.status(403).json({ error: 'Unlock this profile before requesting a refresh' });
+    }
+
+    if (profile.refreshRequestedAt) {
+      return res.json({ success: true, queued: true, refreshRequestedAt: profile.refreshRequestedAt });
+    }
+
+    // Queue without touching updatedAt, which is what marks the profile as stale
+    const refreshRequestedAt = new Date();
+    await Profile.updateOne({ _id: profile._id }, { $set: { refreshRequestedAt } }, { timestamps: false });
+
+    res.json({ success: true, queued: true, refreshRequestedAt });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// PATCH profile - uploader or admin only
+router.patch('/:id', authMiddleware, async (req, res) => {
+  try {
+    const profile = await loadOwnedProfile(req, res);
+    if (!profile) return;
+
+    const updates = pickEditableFields(req.body);
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: 'No editable fields provided' });
+    }
+
+    // Re-run the LinkedIn duplicate check when the URL changes
+    if (updates.linkedinUrl && updates.linkedinUrl !== profile.linkedinUrl) {
+      const duplicate = await checkLinkedInDuplicate(updates.linkedinUrl, Profile, profile._id);
       if (duplicate) {
         return res.status(409).json({
           error: 'Duplicate LinkedIn profile',
@@ -144,92 +589,419 @@ router.post('/', async (req, res) => {
       }
     }
 
-    // Create the profile (no global isUnlocked field)
-    const profile = await Profile.create(req.body);
+    profile.set(updates);
+    setHistoryContext(profile, { actor: req.userId, source: req.isAdminEdit ? 'admin' : 'user' });
+    await profile.save(); // save() so the linkedinId and history hooks run
 
-    // Update dashboard for the user who uploaded
-    if (req.body.uploadedBy) {
-      await Dashboard.findOneAndUpdate(
-        { userId: req.body.uploadedBy },
+    res.json(presentProfile(profile, uploaderAccess(profile.uploadedBy)));
+  } catch (err) {
+    res.status(400).json(writeErrorBody(err));
+  }
+});
+
+// DELETE profile - uploader or admin only, reverses the upload on the uploader's dashboard
+router.delete('/:id', authMiddleware, async (req, res) => {
+  try {
+    const profile = await loadOwnedProfile(req, res);
+    if (!profile) return;
+
+    const profileId = profile._id.toString();
+    const reward = rewardOf(profile);
+    await Profile.deleteOne({ _id: profile._id });
+    await Notification.deleteMany({ profileId: profile._id }); // Saved-search matches would point nowhere
+    await removeProfileFromCollections(profile._id);
+
+    // Keep the uploader's dashboard consistent and claw back the upload reward
+    let uploaderDashboard = null;
+    if (profile.uploadedBy) {
+      uploaderDashboard = await applyPoints(
+        profile.uploadedBy,
+        [{ type: 'upload_reversal', amount: -reward, profileId: profile._id, description: `Deleted ${profile.name || 'Unknown'}` }],
         {
-          $inc: { 
-            availablePoints: 10, // Add 10 points
-            totalContacts: 1,    // Increment contact count
-            myUploads: 1         // Increment uploads counter
-          },
-          $push: { 
-            uploadedProfileIds: profile._id.toString(),
-            recentActivity: {
-              $each: [`Uploaded contact: ${req.body.name || 'Unknown'}`],
-              $slice: -10 // Keep only last 10 activities
+          filter: { uploadedProfileIds: profileId },
+          update: {
+            $inc: {
+              totalContacts: -1,
+              myUploads: -1
+            },
+            $pull: { uploadedProfileIds: profileId },
+            $push: {
+              recentActivity: {
+                $each: [`Deleted contact: ${profile.name || 'Unknown'} (-${reward} points)`],
+                $slice: -10
+              }
             }
-          },
-          updatedAt: new Date()
-        },
-        { upsert: true } // Create dashboard if it doesn't exist
+          }
+        }
+      );
+    }
+
+    res.json({
+      success: true,
+      id: profileId,
+      pointsDeducted: uploaderDashboard ? reward : 0
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET likely duplicates of a profile (normalized email/phone, name + company similarity)
+router.get('/:id/duplicates', authMiddleware, async (req, res) => {
+  try {
+    const profile = await loadVisibleProfile(req, res);
+    if (!profile) return;
+
+    const minScore = Number(req.query.minScore);
+    const candidates = await findDuplicateCandidates(profile, Profile, {
+      minScore: Number.isFinite(minScore) ? minScore : DEFAULT_MIN_SCORE,
+      limit: parseLimit(req.query.limit)
+    });
+
+    const access = await loadViewerAccess(req.userId);
+    const isAdmin = await isAdminUser(req.userId);
+    const visible = candidates.filter(({ profile: candidate }) => (
+      !candidate.hidden || isAdmin || String(candidate.uploadedBy) === String(req.userId)
+    ));
+
+    res.json({
+      profileId: profile._id.toString(),
+      candidates: visible.map(({ profile: candidate, score, reasons }) => ({
+        score,
+        // Don't confirm masked contact values: name which ones match only to viewers who can see both
+        reasons: canViewContact(profile, access) && canViewContact(candidate, access)
+          ? reasons
+          : redactContactReasons(reasons),
+        profile: presentProfile(candidate, access)
+      }))
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET profiles similar to this one - query: limit, minScore, excludeUnlocked=true (skip profiles the caller already unlocked).
+// Contact fields stay redacted on profiles the caller hasn't unlocked.
+router.get('/:id/similar', optionalAuthMiddleware, async (req, res) => {
+  try {
+    const profile = await loadVisibleProfile(req, res);
+    if (!profile) return;
+
+    const access = await loadViewerAccess(req.userId);
+    const excludeIds = req.query.excludeUnlocked === 'true' ? [...access.unlockedIds] : [];
+
+    const minScore = Number(req.query.minScore);
+    const similar = await findSimilarProfiles(profile, Profile, {
+      excludeIds,
+      minScore: Number.isFinite(minScore) ? minScore : DEFAULT_MIN_SIMILARITY,
+      limit: parseLimit(req.query.limit)
+    });
+
+    res.json({
+      profileId: profile._id.toString(),
+      similar: similar.map(({ profile: candidate, score, reasons }) => ({
+        score,
+        reasons,
+        profile: presentProfile(candidate, access)
+      }))
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST merge another profile into this one - body: { sourceId, overrides: { field: 'survivor' | 'source' } }.
+// The survivor keeps its id; the source is deleted and every dashboard reference is rewritten.
+// Allowed for admins and for users who uploaded both profiles.
+router.post('/:id/merge', authMiddleware, async (req, res) => {
+  try {
+    const { sourceId, overrides } = req.body;
+    if (!sourceId || sourceId === req.params.id) {
+      return res.status(400).json({ error: 'A different sourceId is required' });
+    }
+
+    const [survivor, source] = await Promise.all([
+      Profile.findById(req.params.id),
+      Profile.findById(sourceId)
+    ]);
+    if (!survivor || !source) {
+      return res.status(404).json({ error: 'Profile not found' });
+    }
+
+    const ownsBoth = [survivor, source].every(p => p.uploadedBy && String(p.uploadedBy) === String(req.userId));
+    if (!ownsBoth && !(await isAdminUser(req.userId))) {
+      return res.status(403).json({ error: 'Only admins or the uploader of both profiles can merge them' });
+    }
+
+    const { merged, fieldSources } = mergeProfileData(survivor.toObject(), source.toObject(), overrides || {});
+
+    // Free the source's unique linkedinId first so the survivor can take it over, and give it back
+    // if the survivor can't be saved so the source is left as it was
+    if (source.linkedinId) {
+      await Profile.updateOne({ _id: source._id }, { $unset: { linkedinId: 1 } });
+    }
+    survivor.set(merged);
+    setHistoryContext(survivor, { actor: req.userId, source: ownsBoth ? 'user' : 'admin', action: 'merge' });
+    try {
+      await survivor.save();
+    } catch (err) {
+      if (source.linkedinId) {
+        await Profile.updateOne({ _id: source._id }, { $set: { linkedinId: source.linkedinId } });
+      }
+      throw err;
+    }
+    await Profile.deleteOne({ _id: source._id });
+    await Notification.deleteMany({ profileId: source._id });
+    await moveProfileInCollections(source._id, survivor._id);
+
+    // Rewrite references: add the survivor before pulling the source so no dashboard loses access
+    const survivorId = survivor._id.toString();
+    const sourceIdStr = source._id.toString();
+    const rewrites = {};
+    for (const field of ['unlockedContactIds', 'uploadedProfileIds']) {
+      await Dashboard.updateMany({ [field]: sourceIdStr }, { $addToSet: { [field]: survivorId } });
+      const result = await Dashboard.updateMany(
+        { [field]: sourceIdStr },
+        { $pull: { [field]: sourceIdStr }, $set: { updatedAt: new Date() } }
       );
+      rewrites[field] = result.modifiedCount;
+    }
+
+    res.json({
+      success: true,
+      mergedFrom: sourceIdStr,
+      fieldSources,
+      dashboardsUpdated: rewrites,
+      profile: presentProfile(survivor, await loadViewerAccess(req.userId))
+    });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// GET change history of a profile, newest first. Contact values are masked like the profile itself.
+router.get('/:id/history', authMiddleware, async (req, res) => {
+  try {
+    const profile = await loadVisibleProfile(req, res);
+    if (!profile) return;
+
+    const limit = parseLimit(req.query.limit);
+    const before = parseInt(req.query.before, 10); // version cursor
+
+    const query = { profileId: profile._id };
+    if (Number.isFinite(before)) query.version = { $lt: before };
+
+    const entries = await ProfileHistory.find(query).sort({ version: -1 }).limit(limit).lean();
+    const access = await loadViewerAccess(req.userId);
+    const visible = canViewContact(profile, access);
+
+    res.json({
+      profileId: profile._id.toString(),
+      currentVersion: profile.revision || 0,
+      history: entries.map(entry => (visible ? entry : redactHistoryEntry(entry))),
+      nextBefore: entries.length === limit ? entries[entries.length - 1].version : null
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST revert a profile to the state recorded in a history version - uploader or admin only
+router.post('/:id/history/:version/revert', authMiddleware, async (req, res) => {
+  try {
+    const profile = await loadOwnedProfile(req, res);
+    if (!profile) return;
+
+    const version = parseInt(req.params.version, 10);
+    const entry = await ProfileHistory.findOne({ profileId: profile._id, version });
+    if (!entry) {
+      return res.status(404).json({ error: 'History version not found' });
+    }
+
+    const target = entry.snapshot || {};
+    if (target.linkedinUrl && target.linkedinUrl !== profile.linkedinUrl) {
+      const duplicate = await checkLinkedInDuplicate(target.linkedinUrl, Profile, profile._id);
+      if (duplicate) {
+        return res.status(409).json({
+          error: 'Duplicate LinkedIn profile',
+          message: duplicate.message
+        });
+      }
     }
 
+    // Ownership is not part of a revert
+    TRACKED_FIELDS.filter(field => field !== 'uploadedBy').forEach(field => {
+      profile.set(field, target[field] === null ? undefined : target[field]);
+    });
+    setHistoryContext(profile, {
+      actor: req.userId,
+      source: req.isAdminEdit ? 'admin' : 'user',
+      action: 'revert',
+      revertedTo: version
+    });
+    await profile.save();
+
     res.json({
-      ...profile.toObject(),
-      id: profile._id.toString(),
-      isUnlocked: false // Default for new profiles
+      success: true,
+      revertedTo: version,
+      currentVersion: profile.revision,
+      profile: presentProfile(profile, uploaderAccess(profile.uploadedBy))
     });
   } catch (err) {
     res.status(400).json({ error: err.message });
   }
 });
 
-// POST bulk profiles with dashboard update
-router.post('/bulk', async (req, res) => {
+// POST quote the upload reward for a profile before uploading it - body: profile fields as for POST /.
+// The reward is fixed when the profile is created, so rule changes in between can still move it.
+router.post('/reward-quote', authMiddleware, async (req, res) => {
+  try {
+    const draft = pickEditableFields(req.body);
+    const completenessScore = computeCompleteness(draft);
+    const quote = await quoteUploadReward({ ...draft, completenessScore });
+
+    res.json({ completenessScore, quote });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST new profile with dashboard update - credited to the caller. Honors an Idempotency-Key header.
+router.post('/', authMiddleware, idempotent('upload'), async (req, res) => {
+  try {
+    // Create the profile (no global isUnlocked field) and credit the caller's dashboard. Only editable
+    // fields are taken from the body - rewards, moderation state and revisions are set by the server.
+    const { profile, duplicate } = await createProfile({ ...pickEditableFields(req.body), uploadedBy: req.userId }, { source: 'user' });
+    if (duplicate) {
+      return res.status(409).json({
+        error: 'Duplicate LinkedIn profile',
+        message: duplicate.message
+      });
+    }
+
+    // The uploader may always see the contact fields they submitted
+    res.json(presentProfile(profile, uploaderAccess(profile.uploadedBy)));
+  } catch (err) {
+    res.status(writeErrorStatus(err)).json(writeErrorBody(err));
+  }
+});
+
+// POST bulk profiles with dashboard update.
+// Each item is validated and deduped (against the DB and within the batch); valid items are inserted
+// and the response lists a per-index result. Only created items earn upload points.
+// Honors an Idempotency-Key header so a retried batch isn't inserted or credited twice.
+router.post('/bulk', authMiddleware, idempotent('bulk'), async (req, res) => {
   try {
-    const { profiles, uploadedBy } = req.body;
+    const { profiles } = req.body;
+    const uploadedBy = req.userId;
     
     if (!profiles || !Array.isArray(profiles)) {
       return res.status(400).json({ error: 'Invalid profiles data' });
     }
 
-    // Create all profiles (no global isUnlocked field)
-    const createdProfiles = await Profile.insertMany(profiles);
+    // Keep only editable fields and attribute every item to the caller before validating
+    const items = profiles.map(p => (p && typeof p === 'object' && !Array.isArray(p)
+      ? { ...pickEditableFields(p), uploadedBy }
+      : p));
 
-    // Update dashboard for bulk upload
-    if (uploadedBy) {
-      const pointsToAdd = createdProfiles.length * 10;
-      const profileIds = createdProfiles.map(p => p._id.toString());
-      const activityMessages = createdProfiles.map(p => `Uploaded contact: ${p.name || 'Unknown'}`);
+    const entries = buildEntries(items, index => `item ${index}`, Profile);
+    await markDuplicates(entries, Profile);
 
-      await Dashboard.findOneAndUpdate(
-        { userId: uploadedBy },
-        {
-          $inc: { 
-            availablePoints: pointsToAdd,
-            totalContacts: createdProfiles.length,
-            myUploads: createdProfiles.length
-          },
-          $push: { 
-            uploadedProfileIds: { $each: profileIds },
-            recentActivity: {
-              $each: activityMessages,
-              $slice: -10
-            }
-          },
-          updatedAt: new Date()
-        },
-        { upsert: true }
-      );
-    }
+    // insertMany skips the history middleware, see recordBulkCreates
+    entries.filter(e => e.status === 'accepted').forEach(entry => {
+      entry.data.revision = 1;
+    });
+    const createdProfiles = await insertEntries(entries, Profile);
+
+    await recordBulkCreates(createdProfiles, { actor: uploadedBy, source: 'bulk' });
+
+    // Update dashboard for bulk upload - only created items are credited
+    const jobId = new mongoose.Types.ObjectId().toString();
+    await creditUploads(uploadedBy, createdProfiles, { jobId });
+    await announceNewProfiles(createdProfiles);
 
     res.json({
       success: true,
+      jobId,
       count: createdProfiles.length,
-      profiles: createdProfiles.map(p => ({
-        ...p.toObject(),
-        id: p._id.toString(),
-        isUnlocked: false // Default for new profiles
-      }))
+      summary: summarize(entries),
+      results: entries.map((entry, index) => ({
+        index,
+        status: entry.status,
+        ...(entry.id && { id: entry.id }),
+        ...(entry.existingId && { existingId: entry.existingId }),
+        reasons: entry.reasons
+      })),
+      profiles: createdProfiles.map(p => presentProfile(p, uploaderAccess(p.uploadedBy)))
     });
   } catch (err) {
-    res.status(400).json({ error: err.message });
+    res.status(writeErrorStatus(err)).json({ error: err.message });
+  }
+});
+
+// POST CSV/XLSX import - multipart "file", optional JSON "mapping" ({ column: field }) and "dryRun".
+// Dry runs only validate; otherwise accepted rows are created and credited like a bulk upload.
+router.post('/import', authMiddleware, importUpload.single('file'), idempotent('import'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'A CSV or XLSX file is required' });
+    }
+
+    let requestedMapping = req.body.mapping;
+    if (typeof requestedMapping === 'string' && requestedMapping.trim()) {
+      try {
+        requestedMapping = JSON.parse(requestedMapping);
+      } catch (parseError) {
+        return res.status(400).json({ error: 'mapping must be valid JSON' });
+      }
+    }
+
+    const { headers, rows } = await parseSheet(req.file);
+    const { mapping, errors } = resolveMapping(headers, requestedMapping);
+    if (errors.length) {
+      return res.status(400).json({ error: 'Invalid column mapping', details: errors, headers });
+    }
+    if (Object.keys(mapping).length === 0) {
+      return res.status(400).json({ error: 'No columns could be mapped to profile fields', headers });
+    }
+
+    const report = await buildImportReport(rows, mapping, Profile);
+    const dryRun = ['true', '1', 'yes'].includes(String(req.body.dryRun || req.query.dryRun).toLowerCase());
+
+    const jobId = dryRun ? undefined : new mongoose.Types.ObjectId().toString();
+    if (!dryRun) {
+      const createdProfiles = [];
+      for (const entry of report.filter(r => r.status === 'accepted')) {
+        try {
+          // save() per row so the linkedinId and history hooks run
+          const profile = setHistoryContext(
+            new Profile({ ...entry.data, uploadedBy: req.userId }),
+            { actor: req.userId, source: 'import' }
+          );
+          await profile.save();
+          createdProfiles.push(profile);
+          entry.status = 'created';
+          entry.id = profile._id.toString();
+        } catch (createError) {
+          entry.status = createError.code === 11000 ? 'duplicate' : 'invalid';
+          entry.reasons.push(createError.code === 11000 ? 'LinkedIn profile already exists' : createError.message);
+        }
+      }
+
+      await creditUploads(req.userId, createdProfiles, { jobId });
+      await announceNewProfiles(createdProfiles);
+    }
+
+    res.json({
+      success: true,
+      dryRun,
+      jobId,
+      mapping,
+      summary: summarize(report),
+      rows: report
+    });
+  } catch (err) {
+    res.status(writeErrorStatus(err)).json({ error: err.message });
   }
 });
 
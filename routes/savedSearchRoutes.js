@@ -0,0 +1,192 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const SavedSearch = require('../models/SavedSearch');
+const Notification = require('../models/Notification');
+const Profile = require('../models/profile');
+const { buildProfileFilter, paginateProfiles } = require('../utils/profileQuery');
+const { loadViewerAccess, presentProfile } = require('../utils/contactPolicy');
+const { MAX_SAVED_SEARCHES, sanitizeFilters, sendDailyDigests } = require('../utils/savedSearches');
+const { authMiddleware, adminMiddleware } = require('./auth');
+
+const router = express.Router();
+
+// Load a saved search owned by the caller, or send 404 and return null
+async function loadOwnedSearch(req, res) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(404).json({ error: 'Saved search not found' });
+    return null;
+  }
+
+  const search = await SavedSearch.findOne({ _id: req.params.id, userId: req.userId });
+  if (!search) {
+    res.status(404).json({ error: 'Saved search not found' });
+    return null;
+  }
+  return search;
+}
+
+// GET the caller's saved searches with their unread match counts
+router.get('/', authMiddleware, async (req, res) => {
+  try {
+    const searches = await SavedSearch.find({ userId: req.userId }).sort({ createdAt: -1 });
+
+    const unread = await Notification.aggregate([
+      {
+        $match: {
+          userId: new mongoose.Types.ObjectId(req.userId),
+          type: 'saved_search_match',
+          read: false
+        }
+      },
+      { $group: { _id: '$savedSearchId', count: { $sum: 1 } } }
+    ]);
+    const unreadBySearch = new Map(unread.map(u => [String(u._id), u.count]));
+
+    res.json({
+      savedSearches: searches.map(search => ({
+        ...search.toObject(),
+        unreadMatches: unreadBySearch.get(search._id.toString()) || 0
+      }))
+    });
+  } catch (err) {
+    console.error('Saved searches fetch error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST save a search - body: { name, filters: { industry, skills, location, ... }, dailyDigest }
+router.post('/', authMiddleware, async (req, res) => {
+  try {
+    const { name, dailyDigest } = req.body;
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({ error: 'name is required' });
+    }
+
+    const { filters, errors } = sanitizeFilters(req.body.filters);
+    if (errors.length) {
+      return res.status(400).json({ error: 'Invalid filters', details: errors });
+    }
+
+    const existing = await SavedSearch.countDocuments({ userId: req.userId });
+    if (existing >= MAX_SAVED_SEARCHES) {
+      return res.status(400).json({ error: `You can save up to ${MAX_SAVED_SEARCHES} searches` });
+    }
+
+    const search = await SavedSearch.create({
+      userId: req.userId,
+      name,
+      filters,
+      dailyDigest: Boolean(dailyDigest)
+    });
+
+    res.json(search);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// POST send the daily digest emails now (admin only; meant for a daily cron job)
+router.post('/digests/run', authMiddleware, adminMiddleware, async (req, res) => {
+  try {
+    const report = await sendDailyDigests();
+    res.json({ success: true, ...report });
+  } catch (err) {
+    console.error('Saved search digest error:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET a single saved search
+router.get('/:id', authMiddleware, async (req, res) => {
+  try {
+    const search = await loadOwnedSearch(req, res);
+    if (!search) return;
+
+    res.json(search);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// PATCH rename a saved search, replace its filters or toggle the daily digest
+router.patch('/:id', authMiddleware, async (req, res) => {
+  try {
+    const search = await loadOwnedSearch(req, res);
+    if (!search) return;
+
+    const { name, filters, dailyDigest } = req.body;
+
+    if (name !== undefined) {
+      if (!String(name).trim()) {
+        return res.status(400).json({ error: 'name cannot be empty' });
+      }
+      search.name = name;
+    }
+
+    if (filters !== undefined) {
+      const result = sanitizeFilters(filters);
+      if (result.errors.length) {
+        return res.status(400).json({ error: 'Invalid filters', details: result.errors });
+      }
+      search.filters = result.filters;
+    }
+
+    if (dailyDigest !== undefined) {
+      // Turning the digest on starts it from now rather than replaying older matches
+      if (dailyDigest && !search.dailyDigest) {
+        search.lastDigestAt = new Date();
+      }
+      search.dailyDigest = Boolean(dailyDigest);
+    }
+
+    await search.save();
+    res.json(search);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// DELETE a saved search and its notifications
+router.delete('/:id', authMiddleware, async (req, res) => {
+  try {
+    const search = await loadOwnedSearch(req, res);
+    if (!search) return;
+
+    await Promise.all([
+      SavedSearch.deleteOne({ _id: search._id }),
+      Notification.deleteMany({ savedSearchId: search._id })
+    ]);
+
+    res.json({ message: 'Saved search deleted successfully' });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET every profile currently matching a saved search - same sorting, cursor pagination
+// and contact masking as GET /profiles
+router.get('/:id/matches', authMiddleware, async (req, res) => {
+  try {
+    const search = await loadOwnedSearch(req, res);
+    if (!search) return;
+
+    const result = await paginateProfiles(Profile, buildProfileFilter(search.filters), req.query);
+    if (!result) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
+    const access = await loadViewerAccess(req.userId);
+
+    res.json({
+      savedSearch: { id: search._id.toString(), name: search.name, filters: search.filters },
+      profiles: result.profiles.map(p => presentProfile(p, access)),
+      nextCursor: result.nextCursor,
+      total: result.total,
+      limit: result.limit
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+module.exports = router;
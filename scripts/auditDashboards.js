@@ -0,0 +1,36 @@
+// scripts/auditDashboards.js - Check every dashboard's counters, uploads and unlocks against the data and the points ledger
+//
+// Usage: node scripts/auditDashboards.js [--fix]
+//
+// --fix repairs counters, uploadedProfileIds and unlocked ids of deleted profiles. Balance findings are
+// only reported; settle them with an admin adjustment.
+// Exits with code 1 when any dashboard was flagged.
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const { auditAllDashboards } = require('../utils/dashboardAudit');
+
+async function run() {
+  if (!process.env.MONGO_URI) {
+    throw new Error('MONGO_URI environment variable is not set');
+  }
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const { dashboards, ...report } = await auditAllDashboards({ fix: process.argv.includes('--fix') });
+  console.log('Dashboard audit:', report);
+  dashboards.forEach(d => {
+    console.log(`  ${d.userId}:`);
+    d.issues.forEach(issue => console.log(`    [${issue.check}] ${issue.message}`));
+  });
+
+  if (report.flagged > 0) process.exitCode = 1;
+}
+
+run()
+  .catch(err => {
+    console.error('❌ Dashboard audit failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,28 @@
+// scripts/backfillCompanies.js - Link existing profiles to Company documents
+//
+// Usage: node scripts/backfillCompanies.js [--relink]
+//
+// Without --relink only profiles that have a company name but no companyId are linked.
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const { backfillCompanyLinks } = require('../utils/companyDirectory');
+
+async function run() {
+  if (!process.env.MONGO_URI) {
+    throw new Error('MONGO_URI environment variable is not set');
+  }
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const result = await backfillCompanyLinks({ relink: process.argv.includes('--relink') });
+  console.log('Company backfill:', result);
+}
+
+run()
+  .catch(err => {
+    console.error('❌ Company backfill failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,29 @@
+// scripts/matchSavedSearches.js - Match queued new profiles against every saved search
+//
+// Usage: node scripts/matchSavedSearches.js
+//
+// Uploads queue their profiles and start matching in the server process; run this from cron (every few
+// minutes) where that process can't finish background work, e.g. serverless deployments.
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const { processPendingMatches } = require('../utils/savedSearches');
+
+async function run() {
+  if (!process.env.MONGO_URI) {
+    throw new Error('MONGO_URI environment variable is not set');
+  }
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const report = await processPendingMatches();
+  console.log('Saved search matching:', report);
+}
+
+run()
+  .catch(err => {
+    console.error('❌ Saved search matching failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
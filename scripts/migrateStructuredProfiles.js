@@ -0,0 +1,87 @@
+// scripts/migrateStructuredProfiles.js - Parse legacy workExperience/education text into positions[]/educations[]
+//
+// Usage: node scripts/migrateStructuredProfiles.js [--dry-run]
+//
+// Only text that parses and formats back to exactly the same string is migrated, so the legacy
+// fields never change. Anything else is left as free text and reported as skipped.
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const Profile = require('../models/profile');
+const { setHistoryContext } = require('../utils/profileHistory');
+const {
+  parseWorkExperience,
+  parseEducation,
+  formatWorkExperience,
+  formatEducation
+} = require('../utils/profileStructure');
+
+const dryRun = process.argv.includes('--dry-run');
+
+// Parsed structure when it round-trips to the original text, otherwise null
+function parseExact(text, parse, format) {
+  if (!text || !text.trim()) return null;
+  const parsed = parse(text);
+  return parsed.length && format(parsed) === text ? parsed : null;
+}
+
+async function migrate() {
+  if (!process.env.MONGO_URI) {
+    throw new Error('MONGO_URI environment variable is not set');
+  }
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const stats = { scanned: 0, migrated: 0, positions: 0, educations: 0, skipped: 0 };
+
+  const cursor = Profile.find({
+    $or: [
+      { workExperience: { $nin: [null, ''] }, positions: { $exists: false } },
+      { education: { $nin: [null, ''] }, educations: { $exists: false } }
+    ]
+  }).cursor();
+
+  for await (const profile of cursor) {
+    stats.scanned++;
+    let changed = false;
+
+    if (!profile.positions) {
+      const positions = parseExact(profile.workExperience, parseWorkExperience, formatWorkExperience);
+      if (positions) {
+        profile.positions = positions;
+        stats.positions++;
+        changed = true;
+      }
+    }
+
+    if (!profile.educations) {
+      const educations = parseExact(profile.education, parseEducation, formatEducation);
+      if (educations) {
+        profile.educations = educations;
+        stats.educations++;
+        changed = true;
+      }
+    }
+
+    if (!changed) {
+      stats.skipped++;
+      continue;
+    }
+
+    stats.migrated++;
+    if (!dryRun) {
+      setHistoryContext(profile, { source: 'system' });
+      await profile.save();
+    }
+  }
+
+  console.log(`${dryRun ? '[dry run] ' : ''}Structured profile migration:`, stats);
+}
+
+migrate()
+  .catch(err => {
+    console.error('❌ Migration failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
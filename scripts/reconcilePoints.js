@@ -0,0 +1,32 @@
+// scripts/reconcilePoints.js - Check every dashboard's cached points balance against the points ledger
+//
+// Usage: node scripts/reconcilePoints.js [--open-missing]
+//
+// --open-missing records an opening_balance entry for dashboards created before the ledger existed.
+// Exits with code 1 when any balance doesn't match its ledger.
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const { reconcileAllBalances } = require('../utils/pointsLedger');
+
+async function run() {
+  if (!process.env.MONGO_URI) {
+    throw new Error('MONGO_URI environment variable is not set');
+  }
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const { mismatches, ...report } = await reconcileAllBalances({ openMissing: process.argv.includes('--open-missing') });
+  console.log('Points reconciliation:', report);
+  mismatches.forEach(m => console.log(`  ${m.userId}: cached ${m.cachedBalance}, ledger ${m.ledgerBalance} (${m.difference > 0 ? '+' : ''}${m.difference})`));
+
+  if (report.mismatched > 0) process.exitCode = 1;
+}
+
+run()
+  .catch(err => {
+    console.error('❌ Points reconciliation failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
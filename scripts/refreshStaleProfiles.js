@@ -0,0 +1,37 @@
+// scripts/refreshStaleProfiles.js - Re-scrape stale LinkedIn profiles
+//
+// Usage: node scripts/refreshStaleProfiles.js [--max-age-days=N] [--limit=N]
+//
+// Meant for a cron job. Defaults come from the LINKEDIN_REFRESH_* settings (see utils/profileRefresh.js).
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const { refreshStaleProfiles } = require('../utils/profileRefresh');
+
+function argNumber(name) {
+  const arg = process.argv.find(a => a.startsWith(`--${name}=`));
+  return arg ? Number(arg.split('=')[1]) || undefined : undefined;
+}
+
+async function run() {
+  if (!process.env.MONGO_URI) {
+    throw new Error('MONGO_URI environment variable is not set');
+  }
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const { results, ...report } = await refreshStaleProfiles({
+    maxAgeDays: argNumber('max-age-days'),
+    limit: argNumber('limit')
+  });
+  console.log('LinkedIn profile refresh:', report);
+  results.filter(r => r.status === 'failed').forEach(r => console.log(`  failed ${r.id}: ${r.error}`));
+}
+
+run()
+  .catch(err => {
+    console.error('❌ Refresh failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,28 @@
+// scripts/sendSavedSearchDigests.js - Email the daily saved-search digests
+//
+// Usage: node scripts/sendSavedSearchDigests.js
+//
+// Meant to run once a day from cron. Mail goes through MAIL_TRANSPORT (see utils/mailTransport.js).
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const { sendDailyDigests } = require('../utils/savedSearches');
+
+async function run() {
+  if (!process.env.MONGO_URI) {
+    throw new Error('MONGO_URI environment variable is not set');
+  }
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const report = await sendDailyDigests();
+  console.log('Saved search digests:', report);
+}
+
+run()
+  .catch(err => {
+    console.error('❌ Digest run failed:', err);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
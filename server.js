@@ -39,7 +39,8 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Idempotency-Key'],
+  exposedHeaders: ['Idempotent-Replayed'],
   optionsSuccessStatus: 200
 };
 
@@ -101,6 +102,12 @@ try {
   app.use('/auth', require('./routes/auth'));
   app.use('/api/dashboard', dashboardRoutes);
   app.use('/profiles', require('./routes/profileRoutes'));
+  app.use('/api/saved-searches', require('./routes/savedSearchRoutes'));
+  app.use('/api/notifications', require('./routes/notificationRoutes'));
+  app.use('/api/contacts', require('./routes/contactRoutes'));
+  app.use('/api/companies', require('./routes/companyRoutes'));
+  app.use('/api/analytics', require('./routes/analyticsRoutes'));
+  app.use('/api/pricing', require('./routes/pricingRoutes'));
   
   // NEW: LinkedIn scraper routes
   app.use('/api', require('./routes/linkedinScraper'));
@@ -202,6 +209,9 @@ const startServer = async () => {
         console.log(`👥 Profiles API: http://localhost:${PORT}/profiles`);
         console.log(`🔗 LinkedIn Scraper API: http://localhost:${PORT}/api/scrape-linkedin`);
       });
+
+      // Optional in-process LinkedIn refresh timer (LINKEDIN_REFRESH_INTERVAL_HOURS)
+      require('./utils/profileRefresh').scheduleProfileRefresh();
       
       server.on('error', (err) => {
         if (err.code === 'EADDRINUSE') {
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Company = require('../models/Company');
+const Profile = require('../models/profile');
+const { normalizeCompany } = require('../utils/duplicateFinder');
+const { mergeCompanies } = require('../utils/companyDirectory');
+
+// In-memory companies behind the unique matchKeys index: like MongoDB's multikey index, every
+// company without keys shares the one "missing" key, so two of them collide.
+function fakeDirectory(t, names) {
+  const companies = new Map();
+  const indexKeys = company => (company.matchKeys.length ? company.matchKeys : [undefined]);
+  const write = (id, fields) => {
+    const next = { ...companies.get(id), ...fields };
+    const taken = [...companies.values()].some(other => other._id !== id
+      && indexKeys(other).some(key => indexKeys(next).includes(key)));
+    if (taken) throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    companies.set(id, next);
+  };
+  const tick = () => new Promise(done => setImmediate(done));
+
+  names.forEach(name => {
+    const key = normalizeCompany(name);
+    companies.set(key, { _id: key, name, normalizedName: key, aliases: [], matchKeys: [key] });
+  });
+
+  t.mock.method(Company, 'updateOne', async (filter, update) => {
+    await tick();
+    write(filter._id, update.$set);
+    return { modifiedCount: 1 };
+  });
+  t.mock.method(Company, 'deleteOne', async filter => {
+    await tick();
+    companies.delete(filter._id);
+  });
+  t.mock.method(Profile, 'updateMany', async () => {
+    await tick();
+    return { modifiedCount: 0 };
+  });
+
+  const load = id => {
+    const company = { ...companies.get(id) };
+    company.save = async () => {
+      await tick();
+      write(id, { aliases: [...company.aliases], matchKeys: [...company.matchKeys] });
+    };
+    return company;
+  };
+  return { companies, load };
+}
+
+test('mergeCompanies folds several sources into the survivor one after another', async t => {
+  const { companies, load } = fakeDirectory(t, ['Acme', 'Acme Labs', 'ACME Research']);
+
+  const result = await mergeCompanies(load('acme'), [load('acme labs'), load('acme research')]);
+
+  assert.equal(result.mergedCompanies, 2);
+  assert.deepEqual([...companies.keys()], ['acme']);
+  assert.deepEqual(companies.get('acme').matchKeys, ['acme', 'acme labs', 'acme research']);
+  assert.deepEqual(companies.get('acme').aliases, ['Acme Labs', 'ACME Research']);
+});
+
+test('two merges running at the same time do not collide on released names', async t => {
+  const { companies, load } = fakeDirectory(t, ['Acme', 'Acme Labs', 'Globex', 'Globex Corp Europe']);
+
+  await Promise.all([
+    mergeCompanies(load('acme'), [load('acme labs')]),
+    mergeCompanies(load('globex'), [load('globex europe')])
+  ]);
+
+  assert.deepEqual([...companies.keys()].sort(), ['acme', 'globex']);
+  assert.deepEqual(companies.get('globex').matchKeys, ['globex', 'globex europe']);
+});
@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { csvEscape, resolveCsvColumns } = require('../utils/contactExport');
+
+test('csvEscape leaves phone numbers and negative numbers as they are', () => {
+  assert.equal(csvEscape('+201001234567'), '+201001234567');
+  assert.equal(csvEscape('+1 (555) 123-4567'), '+1 (555) 123-4567');
+  assert.equal(csvEscape('-42'), '-42');
+});
+
+test('csvEscape neutralizes values a spreadsheet would evaluate', () => {
+  assert.equal(csvEscape('=HYPERLINK("x")'), '"\'=HYPERLINK(""x"")"');
+  assert.equal(csvEscape('@SUM(A1)'), "'@SUM(A1)");
+  assert.equal(csvEscape('+cmd|calc'), "'+cmd|calc");
+  assert.equal(csvEscape("+1+cmd|' /C calc'!A0"), "'+1+cmd|' /C calc'!A0");
+  assert.equal(csvEscape('-2+3'), "'-2+3");
+});
+
+test('csvEscape quotes separators and joins lists', () => {
+  assert.equal(csvEscape('Cairo, Egypt'), '"Cairo, Egypt"');
+  assert.equal(csvEscape(['Go', 'SQL']), 'Go; SQL');
+  assert.equal(csvEscape(null), '');
+});
+
+test('resolveCsvColumns reports unknown columns', () => {
+  const { columns, invalid } = resolveCsvColumns('name,email,password');
+  assert.deepEqual(columns, ['name', 'email']);
+  assert.deepEqual(invalid, ['password']);
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { scoreDuplicate, findDuplicateCandidates, redactContactReasons, mergeProfileData } = require('../utils/duplicateFinder');
+
+// Minimal stand-in for the Profile model: answers contact queries with `byContact` and name queries
+// with `byName`, honoring limit() like the database would
+function fakeProfileModel({ byContact, byName }) {
+  return {
+    find(query) {
+      const isContact = query.$or.some(clause => clause.email || clause.phone);
+      let results = isContact ? byContact : byName;
+      const chain = {
+        sort: () => chain,
+        limit: n => {
+          results = results.slice(0, n);
+          return chain;
+        },
+        then: (resolve, reject) => Promise.resolve(results).then(resolve, reject)
+      };
+      return chain;
+    }
+  };
+}
+
+test('scoreDuplicate scores shared contact details and explains why', () => {
+  const { score, reasons } = scoreDuplicate(
+    { name: 'Sara Ahmed', email: 'Sara@Example.com' },
+    { name: 'Someone Else', email: 'sara@example.com' }
+  );
+  assert.equal(score, 0.95);
+  assert.deepEqual(reasons, ['same email']);
+});
+
+test('findDuplicateCandidates finds an email match even when many profiles share the name', async () => {
+  const profile = { _id: 'p0', name: 'Mohamed Ali', email: 'mo@example.com' };
+  const namesakes = Array.from({ length: 500 }, (_, i) => ({ _id: `n${i}`, name: `Mohamed Ali ${i}` }));
+  const exact = { _id: 'dup', name: 'M. Ali', email: 'mo@example.com' };
+
+  const results = await findDuplicateCandidates(profile, fakeProfileModel({ byContact: [exact], byName: namesakes }));
+
+  assert.equal(results[0].profile._id, 'dup');
+  assert.ok(results[0].score >= 0.95);
+});
+
+test('mergeProfileData keeps survivor values, fills gaps and unions lists', () => {
+  const { merged, fieldSources } = mergeProfileData(
+    { name: 'Sara Ahmed', phone: '', skills: ['Go'] },
+    { name: 'Sara A.', phone: '+201001234567', skills: ['go', 'SQL'] }
+  );
+  assert.equal(merged.name, 'Sara Ahmed');
+  assert.equal(merged.phone, '+201001234567');
+  assert.equal(fieldSources.phone, 'source');
+  assert.ok(merged.skills.includes('SQL'));
+});
+
+test('redactContactReasons hides which contact detail matched', () => {
+  assert.deepEqual(
+    redactContactReasons(['same email', 'same phone number', 'similar name (0.92)']),
+    ['matching contact details', 'similar name (0.92)']
+  );
+  assert.deepEqual(redactContactReasons(['similar name (0.92)']), ['similar name (0.92)']);
+});
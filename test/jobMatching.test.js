@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Aggregator } = require('mingo');
+const { parseJobDescription, scoreProfileMatch, matchScoreExpression } = require('../utils/jobMatching');
+
+const VOCABULARY = ['JavaScript', 'Node.js', 'React', 'C++', 'Go', 'MongoDB'];
+
+const JD = `Senior Backend Engineer
+We are looking for someone with 5+ years of experience (3-5 years in a lead role is a plus).
+You know Node.js and MongoDB well; React is nice to have. C++ is not required.`;
+
+test('parseJobDescription reads title, known skills, seniority and minimum years', () => {
+  const requirements = parseJobDescription(JD, VOCABULARY);
+
+  assert.equal(requirements.title, 'Senior Backend Engineer');
+  assert.deepEqual(requirements.skills, ['C++', 'MongoDB', 'Node.js', 'React']);
+  assert.equal(requirements.seniorityLevel, 'Senior');
+  assert.equal(requirements.minExperience, 3);
+});
+
+test('parseJobDescription does not match skills inside other words', () => {
+  const requirements = parseJobDescription('Golang developer who enjoys going fast', VOCABULARY);
+  assert.deepEqual(requirements.skills, []);
+});
+
+test('parseJobDescription lets explicit overrides win over the text', () => {
+  const requirements = parseJobDescription(JD, VOCABULARY, {
+    skills: ['Go', 'Go', ' Rust '],
+    seniorityLevel: 'director',
+    minExperience: '8'
+  });
+
+  assert.deepEqual(requirements.skills, ['Go', 'Rust']);
+  assert.equal(requirements.seniorityLevel, 'Director');
+  assert.equal(requirements.minExperience, 8);
+});
+
+test('scoreProfileMatch weighs skills, seniority and experience', () => {
+  const requirements = { title: 'x', skills: ['Node.js', 'MongoDB'], seniorityLevel: 'Senior', minExperience: 4 };
+  const profile = { skills: ['node.js'], seniorityLevel: 'Mid-level', experience: 2 };
+
+  const { score, breakdown } = scoreProfileMatch(requirements, profile);
+
+  assert.equal(breakdown.skills.score, 0.5);
+  assert.deepEqual(breakdown.skills.missing, ['MongoDB']);
+  assert.equal(breakdown.seniority.score, 0.5);
+  assert.equal(breakdown.experience.score, 0.5);
+  assert.equal(score, 0.5);
+});
+
+test('scoreProfileMatch rescales weights over the criteria the JD specifies', () => {
+  const requirements = { title: 'x', skills: ['Go'], seniorityLevel: null, minExperience: null };
+
+  const { score, breakdown } = scoreProfileMatch(requirements, { skills: ['go'] });
+
+  assert.equal(score, 1);
+  assert.deepEqual(Object.keys(breakdown), ['skills']);
+});
+
+test('scoreProfileMatch is deterministic for the same input', () => {
+  const requirements = parseJobDescription(JD, VOCABULARY);
+  const profile = { skills: ['React', 'MongoDB'], seniorityLevel: 'Senior', experience: 6 };
+
+  assert.deepEqual(scoreProfileMatch(requirements, profile), scoreProfileMatch(requirements, profile));
+});
+
+test('matchScoreExpression is null when the JD specifies nothing to rank by', () => {
+  assert.equal(matchScoreExpression({ skills: [], seniorityLevel: null, minExperience: null }), null);
+  assert.ok(matchScoreExpression({ skills: ['Go'], seniorityLevel: null, minExperience: null }));
+});
+
+test('the database ranking expression gives the same score as scoreProfileMatch', () => {
+  const profiles = [
+    { skills: ['node.js', ' MongoDB'], seniorityLevel: 'senior ', experience: 7 },
+    { skills: ['React'], seniorityLevel: 'Director', experience: 1 },
+    { skills: [], seniorityLevel: 'Entry-level' },
+    { seniorityLevel: 'Mid-level', experience: 3 },
+    {}
+  ];
+  [
+    parseJobDescription(JD, VOCABULARY),
+    { title: 'x', skills: ['Go'], seniorityLevel: null, minExperience: 0 },
+    { title: 'x', skills: [], seniorityLevel: 'VP', minExperience: null }
+  ].forEach(requirements => {
+    const scores = new Aggregator([{ $project: { score: matchScoreExpression(requirements) } }])
+      .run(profiles)
+      .map(doc => doc.score);
+    profiles.forEach((profile, index) => {
+      assert.equal(scores[index], scoreProfileMatch(requirements, profile).score, `profile ${index}`);
+    });
+  });
+});
@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { cacheKey } = require('../utils/marketAnalytics');
+
+const OPTIONS = { top: 20, interval: 'month' };
+
+function keyFor(query) {
+  return cacheKey(query, ['skills'], OPTIONS);
+}
+
+test('cacheKey shares entries between spellings the filter treats the same', () => {
+  assert.equal(
+    keyFor({ skills: 'React,node.js', location: ' Berlin' }),
+    keyFor({ skills: 'Node.js, react', location: 'berlin' })
+  );
+});
+
+test('cacheKey keeps case where the filter is case-sensitive', () => {
+  assert.notEqual(keyFor({ skills: 'Go', skillsMatch: 'ALL' }), keyFor({ skills: 'Go', skillsMatch: 'all' }));
+});
+
+test('cacheKey does not reorder comma-separated text filters', () => {
+  assert.notEqual(keyFor({ location: 'Berlin, Germany' }), keyFor({ location: 'Germany, Berlin' }));
+});
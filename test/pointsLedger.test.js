@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Query } = require('mingo');
+const Dashboard = require('../models/Dashboard');
+const PointsTransaction = require('../models/PointsTransaction');
+const { SIGNUP_BONUS_POINTS, applyPoints, createDashboard } = require('../utils/pointsLedger');
+
+test('a points change right after signup does not add an opening balance on top of the bonus', async t => {
+  const dashboards = [];
+  const transactions = [];
+  const later = load => {
+    const query = {
+      select: () => query,
+      then: (resolve, reject) => new Promise(done => setImmediate(done)).then(load).then(resolve, reject)
+    };
+    return query;
+  };
+
+  t.mock.method(Dashboard, 'create', fields => later(() => {
+    dashboards.push({ ...fields, userId: String(fields.userId) });
+    return fields;
+  }));
+  t.mock.method(Dashboard, 'findOneAndUpdate', (filter, update) => later(() => {
+    const dashboard = dashboards.find(d => new Query({ ...filter, userId: String(filter.userId) }).test(d));
+    if (!dashboard) return null;
+    Object.assign(dashboard, update.$set);
+    dashboard.availablePoints += update.$inc?.availablePoints || 0;
+    return dashboard;
+  }));
+  t.mock.method(PointsTransaction, 'exists', filter => later(() => (
+    transactions.some(entry => entry.userId === String(filter.userId))
+  )));
+  // The signup bonus entry is written slowly, so the points change below runs before it lands
+  t.mock.method(PointsTransaction, 'insertMany', docs => new Promise(done => setTimeout(done, 20)).then(() => {
+    transactions.push(...docs.map(doc => ({ ...doc, userId: String(doc.userId) })));
+  }));
+
+  const signup = createDashboard('new-user', 'Welcome!');
+  await new Promise(done => setImmediate(done));
+  await new Promise(done => setImmediate(done));
+  await applyPoints('new-user', [{ type: 'admin_adjustment', amount: 5, description: 'Goodwill' }]);
+  await signup;
+
+  assert.deepEqual(transactions.map(entry => entry.type).sort(), ['admin_adjustment', 'signup_bonus']);
+  const ledgerBalance = transactions.reduce((sum, entry) => sum + entry.amount, 0);
+  assert.equal(ledgerBalance, SIGNUP_BONUS_POINTS + 5);
+  assert.equal(dashboards[0].availablePoints, ledgerBalance);
+});
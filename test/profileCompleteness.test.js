@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FIELD_WEIGHTS, computeCompleteness, uploadRewardFor } = require('../utils/profileCompleteness');
+
+test('field weights add up to 100', () => {
+  assert.equal(Object.values(FIELD_WEIGHTS).reduce((sum, weight) => sum + weight, 0), 100);
+});
+
+test('computeCompleteness scores partial skills and short work experience proportionally', () => {
+  const score = computeCompleteness({
+    name: 'Sara Ahmed',
+    jobTitle: 'Engineer',
+    skills: ['Go', 'SQL'],
+    workExperience: 'Engineer at Acme',
+    industry: 'Other'
+  });
+  // name 10 + jobTitle 10 + 2/5 of skills 12 + half of workExperience 12; "Other" industry earns nothing
+  assert.equal(score, Math.round(10 + 10 + 4.8 + 6));
+});
+
+test('uploadRewardFor adds the quality bonus of the highest tier reached', () => {
+  assert.equal(uploadRewardFor(0), 10);
+  assert.equal(uploadRewardFor(60), 13);
+  assert.equal(uploadRewardFor(95), 15);
+  assert.equal(uploadRewardFor(undefined), 10);
+});
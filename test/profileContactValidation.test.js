@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Profile = require('../models/profile');
+
+function storedProfile(fields) {
+  return Profile.hydrate({ _id: new mongoose.Types.ObjectId(), name: 'Sara Ahmed', ...fields });
+}
+
+test('stored records with unparseable contact values can still be saved when contacts are untouched', async () => {
+  const profile = storedProfile({ email: 'not an email', phone: 'call reception' });
+  profile.jobTitle = 'Engineer';
+
+  await assert.doesNotReject(profile.validate());
+});
+
+test('changing a contact field to an unparseable value is rejected', async () => {
+  const profile = storedProfile({ email: 'not an email' });
+  profile.email = 'still not an email';
+
+  await assert.rejects(profile.validate(), /invalid email/);
+});
+
+test('new profiles are normalized and validated', async () => {
+  const profile = new Profile({ name: 'Sara Ahmed', email: ' Sara@Example.com ' });
+  await profile.validate();
+  assert.equal(profile.email, 'sara@example.com');
+  assert.equal(profile.emailOriginal, 'Sara@Example.com');
+
+  await assert.rejects(new Profile({ name: 'Sara Ahmed', phone: 'call reception' }).validate(), /invalid phone number/);
+});
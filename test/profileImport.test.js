@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Profile = require('../models/profile');
+const { buildImportReport } = require('../utils/profileImport');
+
+const MAPPING = { Name: 'name', Phone: 'phone', Email: 'email', Experience: 'experience' };
+
+function row(rowNumber, values) {
+  return { rowNumber, values };
+}
+
+test('a dry run reports rows with an invalid phone the way the import would', async t => {
+  t.mock.method(Profile, 'find', () => ({ select: async () => [] }));
+
+  const report = await buildImportReport([
+    row(2, { Name: 'Sara Ahmed', Phone: '0100 123 4567', Email: 'sara@example.com' }),
+    row(3, { Name: 'Omar Hassan', Phone: '12', Email: 'omar@example.com' }),
+    row(4, { Name: 'Mona Ali', Phone: 'call reception', Experience: '4' })
+  ], MAPPING, Profile);
+
+  assert.deepEqual(report.map(entry => entry.status), ['accepted', 'invalid', 'invalid']);
+  assert.match(report[1].reasons.join(' '), /invalid phone number "12"/);
+  assert.match(report[2].reasons.join(' '), /invalid phone number "call reception"/);
+
+  // Every row the preview accepts also passes the schema the import saves through
+  report
+    .filter(entry => entry.status === 'accepted')
+    .forEach(entry => assert.equal(new Profile(entry.data).validateSync(), undefined));
+});
+
+test('a dry run runs schema validation on the mapped rows', async t => {
+  t.mock.method(Profile, 'find', () => ({ select: async () => [] }));
+  const validateSync = t.mock.method(Profile.prototype, 'validateSync');
+
+  await buildImportReport([row(2, { Name: 'Sara Ahmed', Email: 'sara@example.com' })], MAPPING, Profile);
+
+  assert.equal(validateSync.mock.callCount(), 1);
+});
@@ -0,0 +1,138 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Query } = require('mingo');
+const Dashboard = require('../models/Dashboard');
+const Profile = require('../models/profile');
+const ProfileReport = require('../models/ProfileReport');
+const PointsTransaction = require('../models/PointsTransaction');
+const { acceptReport, rejectReport } = require('../utils/profileReports');
+
+// In-memory stand-in for the collections acceptReport touches. Every query resolves on a later tick,
+// so requests started together interleave the way concurrent requests do against the database.
+function fakeDatabase(t) {
+  const db = {
+    profile: { _id: 'p1', name: 'Sara Ahmed', uploadedBy: 'uploader', uploadReward: 10 },
+    reports: [
+      { _id: 'r1', profileId: 'p1', reporterId: 'reporter-1', reason: 'fake', status: 'pending' },
+      { _id: 'r2', profileId: 'p1', reporterId: 'reporter-2', reason: 'fake', status: 'pending' }
+    ],
+    dashboards: [
+      { userId: 'unlocker-1', availablePoints: 0, unlockedContactIds: ['p1'] },
+      { userId: 'unlocker-2', availablePoints: 0, unlockedContactIds: ['p1'] },
+      { userId: 'uploader', availablePoints: 50, unlockedContactIds: [] }
+    ],
+    transactions: [
+      { type: 'unlock', profileId: 'p1', userId: 'unlocker-1', amount: -20 },
+      { type: 'unlock', profileId: 'p1', userId: 'unlocker-2', amount: -20 }
+    ]
+  };
+
+  const matching = filter => doc => new Query(filter).test(doc);
+  const later = load => {
+    const query = {
+      select: () => query,
+      sort: () => query,
+      then: (resolve, reject) => new Promise(done => setImmediate(done)).then(load).then(resolve, reject)
+    };
+    return query;
+  };
+  const applySet = (doc, update) => Object.assign(doc, update.$set);
+
+  t.mock.method(ProfileReport, 'findOneAndUpdate', (filter, update) => later(() => {
+    const report = db.reports.find(matching(filter));
+    if (!report) return null;
+    const before = { ...report };
+    applySet(report, update);
+    return before;
+  }));
+  t.mock.method(ProfileReport, 'find', filter => later(() => db.reports.filter(matching(filter))));
+  t.mock.method(ProfileReport, 'updateMany', (filter, update) => later(() => {
+    db.reports.filter(matching(filter)).forEach(report => applySet(report, update));
+  }));
+  t.mock.method(ProfileReport, 'updateOne', (filter, update) => later(() => {
+    const report = db.reports.find(matching(filter));
+    if (report) applySet(report, update);
+  }));
+
+  t.mock.method(Profile, 'updateOne', (filter, update) => later(() => {
+    if (!matching(filter)(db.profile)) return { modifiedCount: 0 };
+    applySet(db.profile, update);
+    Object.entries(update.$addToSet || {}).forEach(([field, value]) => {
+      db.profile[field] = [...new Set([...(db.profile[field] || []), value])];
+    });
+    return { modifiedCount: 1 };
+  }));
+
+  t.mock.method(Dashboard, 'find', filter => later(() => db.dashboards.filter(matching(filter))));
+  t.mock.method(Dashboard, 'updateOne', () => later(() => ({})));
+  t.mock.method(Dashboard, 'updateMany', () => later(() => ({})));
+  t.mock.method(Dashboard, 'findOneAndUpdate', (filter, update) => later(() => {
+    const dashboard = db.dashboards.find(d => d.userId === String(filter.userId));
+    const before = { ...dashboard };
+    if (Array.isArray(update)) {
+      // deductPoints: { $max: [0, { $subtract: ['$availablePoints', points] }] }
+      const points = update[0].$set.availablePoints.$max[1].$subtract[1];
+      dashboard.availablePoints = Math.max(0, dashboard.availablePoints - points);
+      return before;
+    }
+    dashboard.availablePoints += update.$inc.availablePoints;
+    return dashboard;
+  }));
+
+  t.mock.method(PointsTransaction, 'exists', () => later(() => true));
+  t.mock.method(PointsTransaction, 'find', filter => later(() => db.transactions.filter(matching(filter))));
+  t.mock.method(PointsTransaction, 'insertMany', docs => later(() => {
+    db.transactions.push(...docs.map(doc => ({ ...doc, userId: String(doc.userId) })));
+  }));
+
+  return db;
+}
+
+// What the route loads for each request: its own copy of the report and the profile
+function loaded(db, reportId) {
+  return {
+    report: { ...db.reports.find(r => r._id === reportId) },
+    profile: { ...db.profile, save: async () => {} }
+  };
+}
+
+function pointsOf(db, userId) {
+  return db.dashboards.find(d => d.userId === userId).availablePoints;
+}
+
+test('accepting two reports on one profile at once refunds and penalizes only once', async t => {
+  const db = fakeDatabase(t);
+  const first = loaded(db, 'r1');
+  const second = loaded(db, 'r2');
+
+  const outcomes = await Promise.all([
+    acceptReport(first.report, first.profile, { moderatorId: 'admin-1', action: 'hide' }),
+    acceptReport(second.report, second.profile, { moderatorId: 'admin-2', action: 'hide' })
+  ]);
+
+  const refunds = db.transactions.filter(entry => entry.type === 'report_refund');
+  assert.deepEqual(refunds.map(entry => entry.userId).sort(), ['unlocker-1', 'unlocker-2']);
+  assert.equal(db.transactions.filter(entry => entry.type === 'report_penalty').length, 1);
+
+  assert.equal(pointsOf(db, 'unlocker-1'), 20);
+  assert.equal(pointsOf(db, 'unlocker-2'), 20);
+  assert.equal(pointsOf(db, 'uploader'), 40);
+  assert.equal(outcomes.flatMap(outcome => outcome.refunds).length, 2);
+  assert.equal(outcomes.filter(outcome => outcome.penalty).length, 1);
+});
+
+test('a report accepted while it is being rejected stays accepted', async t => {
+  const db = fakeDatabase(t);
+  const accepting = loaded(db, 'r1');
+  const rejecting = loaded(db, 'r1');
+
+  const [accepted, rejected] = await Promise.allSettled([
+    acceptReport(accepting.report, accepting.profile, { moderatorId: 'admin-1', action: 'hide' }),
+    rejectReport(rejecting.report, rejecting.profile, { moderatorId: 'admin-2' })
+  ]);
+
+  assert.equal(accepted.status, 'fulfilled');
+  assert.equal(rejected.status, 'rejected');
+  assert.equal(rejected.reason.status, 409);
+  assert.equal(db.reports.find(r => r._id === 'r1').status, 'accepted');
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Aggregator } = require('mingo');
+const { scoreSimilarity, similarityScoreExpression } = require('../utils/profileSimilarity');
+
+const SOURCE = {
+  skills: ['Node.js', 'MongoDB', 'React'],
+  seniorityLevel: 'Senior',
+  industry: 'Software',
+  experience: 6,
+  location: 'Cairo, Egypt'
+};
+
+const CANDIDATES = [
+  { skills: ['node.js', 'MongoDB', 'Go'], seniorityLevel: 'senior', industry: 'software', experience: 5, location: 'Cairo, Egypt' },
+  { skills: ['Java'], seniorityLevel: 'Director', industry: 'Finance', experience: 15, location: 'Alexandria, Egypt' },
+  { skills: [], seniorityLevel: 'Mid-level', location: 'Berlin' },
+  { seniorityLevel: 'VP', industry: 'Software', experience: 20 },
+  { skills: ['React', 'React'], experience: 6, location: ' cairo ,  egypt ' },
+  {}
+];
+
+function databaseScores(profile, candidates) {
+  return new Aggregator([{ $project: { score: similarityScoreExpression(profile) } }])
+    .run(candidates)
+    .map(doc => doc.score);
+}
+
+test('scoreSimilarity explains the signals that matched', () => {
+  const { score, reasons } = scoreSimilarity(SOURCE, CANDIDATES[0]);
+  assert.ok(score > 0.7);
+  assert.deepEqual(reasons, [
+    '2 shared skills (node.js, MongoDB)',
+    'same seniority (Senior)',
+    'same industry (software)',
+    'similar experience (5 years)',
+    'same location (Cairo, Egypt)'
+  ]);
+});
+
+test('the database ranking expression gives the same score as scoreSimilarity', () => {
+  const scores = databaseScores(SOURCE, CANDIDATES);
+  CANDIDATES.forEach((candidate, index) => {
+    assert.equal(scores[index], scoreSimilarity(SOURCE, candidate).score, `candidate ${index}`);
+  });
+});
+
+test('the database ranking expression skips signals the source lacks', () => {
+  const source = { skills: ['Go'], industry: 'Other' };
+  const scores = databaseScores(source, CANDIDATES);
+  CANDIDATES.forEach((candidate, index) => {
+    assert.equal(scores[index], scoreSimilarity(source, candidate).score, `candidate ${index}`);
+  });
+  assert.equal(similarityScoreExpression({ industry: 'Other' }), null);
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Profile = require('../models/profile');
+const PricingRule = require('../models/PricingRule');
+const { insertEntries, writeErrorStatus } = require('../utils/profileValidation');
+const { parseSheet } = require('../utils/profileImport');
+
+test('writeErrorStatus reports invalid data as 400', () => {
+  const validationError = new Profile({ name: 'Sara Ahmed', experience: 'ten years' }).validateSync();
+  assert.equal(writeErrorStatus(validationError), 400);
+});
+
+test('writeErrorStatus reports server failures as 5xx so idempotency keys are released', () => {
+  assert.equal(writeErrorStatus(new Error('connection reset')), 500);
+  assert.equal(writeErrorStatus(Object.assign(new Error('not primary'), { name: 'MongoServerError', code: 10107 })), 500);
+});
+
+test('writeErrorStatus keeps an explicit status and treats duplicate keys as conflicts', () => {
+  assert.equal(writeErrorStatus(Object.assign(new Error('busy'), { status: 503 })), 503);
+  assert.equal(writeErrorStatus(Object.assign(new Error('E11000 duplicate key'), { code: 11000 })), 409);
+});
+
+test('parseSheet rejects unreadable uploads with a 400', async () => {
+  const file = { originalname: 'contacts.xlsx', buffer: Buffer.from('not a workbook') };
+  await assert.rejects(parseSheet(file), err => err.status === 400);
+  await assert.rejects(parseSheet({ originalname: 'contacts.txt', buffer: Buffer.alloc(0) }), err => err.status === 400);
+});
+
+test('insertEntries matches insert errors to the right rows when Mongoose drops invalid ones first', async t => {
+  t.mock.method(PricingRule, 'find', () => ({ sort: () => ({ lean: async () => [] }) }));
+  // The database already has linkedin.com/in/taken: the driver reports it by its index among the
+  // documents it was sent, which no longer counts the row Mongoose dropped
+  t.mock.method(Profile.collection, 'insertMany', async docs => {
+    const index = docs.findIndex(doc => doc.linkedinId === 'taken');
+    const errmsg = 'E11000 duplicate key error collection: profiles index: linkedinId_1';
+    throw Object.assign(new Error(errmsg), {
+      writeErrors: [{ index, code: 11000, errmsg, err: { index, code: 11000, errmsg, op: docs[index] } }]
+    });
+  });
+
+  const entries = [
+    { name: 'Sara Ahmed', positions: [{ title: 'Engineer', startMonth: 13 }] },
+    { name: 'Omar Hassan' },
+    { name: 'Mona Ali', linkedinUrl: 'https://www.linkedin.com/in/taken' },
+    { name: 'Youssef Adel' }
+  ].map((data, index) => ({ label: `item ${index}`, status: 'accepted', reasons: [], data }));
+
+  const created = await insertEntries(entries, Profile);
+
+  assert.deepEqual(entries.map(entry => entry.status), ['invalid', 'created', 'duplicate', 'created']);
+  assert.deepEqual(created.map(profile => profile.name), ['Omar Hassan', 'Youssef Adel']);
+  assert.deepEqual(entries[2].reasons, ['LinkedIn profile already exists']);
+});
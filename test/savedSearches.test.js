@@ -0,0 +1,16 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { sanitizeFilters } = require('../utils/savedSearches');
+
+test('sanitizeFilters keeps known filters as query-string values', () => {
+  const { filters, errors } = sanitizeFilters({ industry: ' Software ', skills: ['Go', ' ', 'SQL'], minExperience: 3 });
+  assert.deepEqual(errors, []);
+  assert.deepEqual(filters, { industry: 'Software', skills: ['Go', 'SQL'], minExperience: '3' });
+});
+
+test('sanitizeFilters rejects unknown keys, nested objects and empty filter sets', () => {
+  assert.deepEqual(sanitizeFilters({ password: 'x' }).errors, ['"password" is not a profile filter']);
+  assert.deepEqual(sanitizeFilters({ industry: { $ne: null } }).errors, ['"industry" must be a string, number or list']);
+  assert.deepEqual(sanitizeFilters({ industry: '' }).errors, ['At least one filter is required']);
+  assert.equal(sanitizeFilters([]).errors.length, 1);
+});
@@ -0,0 +1,173 @@
+// companyDirectory.js - Company pages: headcounts, alias merging and backfilling profile links
+const Company = require('../models/Company');
+const Profile = require('../models/profile');
+const { SENIORITY_LEVELS } = require('./linkedinScraping');
+const { normalizeCompany } = require('./duplicateFinder');
+const { formatSizeRange, resolveCompanyId } = require('./companyLinks');
+
+const BACKFILL_BATCH_SIZE = 500;
+const DUPLICATE_KEY_ERROR = 11000;
+
+// Only profiles visible in listings count towards headcounts
+const VISIBLE = { hidden: { $ne: true } };
+
+function presentCompany(company) {
+  const data = typeof company.toObject === 'function' ? company.toObject() : { ...company };
+  delete data.matchKeys;
+  return { ...data, size: formatSizeRange(data.sizeRange) };
+}
+
+// Visible profile counts for a set of companies: Map(companyId -> count)
+async function countProfiles(companyIds) {
+  const counts = await Profile.aggregate([
+    { $match: { ...VISIBLE, companyId: { $in: companyIds } } },
+    { $group: { _id: '$companyId', count: { $sum: 1 } } }
+  ]);
+  return new Map(counts.map(c => [String(c._id), c.count]));
+}
+
+// { total, bySeniority: { 'Entry-level': n, ..., unknown: n } }
+async function loadHeadcount(companyId) {
+  const groups = await Profile.aggregate([
+    { $match: { ...VISIBLE, companyId } },
+    { $group: { _id: '$seniorityLevel', count: { $sum: 1 } } }
+  ]);
+
+  const bySeniority = Object.fromEntries(SENIORITY_LEVELS.map(level => [level, 0]));
+  let total = 0;
+  groups.forEach(group => {
+    const level = SENIORITY_LEVELS.includes(group._id) ? group._id : 'unknown';
+    bySeniority[level] = (bySeniority[level] || 0) + group.count;
+    total += group.count;
+  });
+  return { total, bySeniority };
+}
+
+// Replace a company's aliases. Returns { error } when a spelling already belongs to another company.
+async function setCompanyAliases(company, aliases) {
+  const unique = [...new Map(
+    aliases
+      .map(alias => String(alias).trim())
+      .filter(alias => normalizeCompany(alias) && normalizeCompany(alias) !== company.normalizedName)
+      .map(alias => [normalizeCompany(alias), alias])
+  ).values()];
+  const matchKeys = [company.normalizedName, ...unique.map(normalizeCompany)];
+
+  const taken = await Company.findOne({ _id: { $ne: company._id }, matchKeys: { $in: matchKeys } }).select('name');
+  if (taken) {
+    return { error: `"${taken.name}" already uses one of these names - merge it into this company instead` };
+  }
+
+  company.aliases = unique;
+  company.matchKeys = matchKeys;
+  return {};
+}
+
+// Fold `sources` into `survivor`: their names become aliases, missing details are filled in and
+// their profiles are relinked. Returns { mergedCompanies, movedProfiles }.
+//
+// Sources are merged one at a time and a source is only deleted once the survivor has saved its
+// names. If the survivor cannot claim them (a spelling was taken in the meantime) the source keeps
+// its names and the merge stops with a 409, so nothing is lost; sources merged before it stay merged.
+async function mergeCompanies(survivor, sources) {
+  let mergedCompanies = 0;
+  let movedProfiles = 0;
+
+  for (const source of sources) {
+    const matchKeys = new Set(survivor.matchKeys);
+    const aliases = [...survivor.aliases];
+    [source.name, ...source.aliases].forEach(alias => {
+      const key = normalizeCompany(alias);
+      if (key && !matchKeys.has(key)) {
+        matchKeys.add(key);
+        aliases.push(alias);
+      }
+    });
+
+    survivor.aliases = aliases;
+    survivor.matchKeys = [...matchKeys];
+    if (!survivor.industry && source.industry) survivor.industry = source.industry;
+    if (!survivor.sizeRange?.min && source.sizeRange?.min !== undefined) survivor.sizeRange = source.sizeRange;
+    if (!survivor.linkedinUrl && source.linkedinUrl) survivor.linkedinUrl = source.linkedinUrl;
+
+    // A spelling belongs to at most one company, so the source swaps its names for a placeholder until
+    // the survivor has saved them. Normalized names never contain ':' and the id keeps it unique.
+    try {
+      await Company.updateOne({ _id: source._id }, { $set: { matchKeys: [`merging:${source._id}`] } });
+      await survivor.save();
+    } catch (err) {
+      await Company.updateOne({ _id: source._id }, { $set: { matchKeys: [...source.matchKeys] } });
+      if (err.code === DUPLICATE_KEY_ERROR) {
+        throw Object.assign(
+          new Error(`"${source.name}" could not be merged because one of its names was just taken - try again`),
+          { status: 409 }
+        );
+      }
+      throw err;
+    }
+
+    const moved = await Profile.updateMany(
+      { companyId: source._id },
+      { $set: { companyId: survivor._id } },
+      { timestamps: false }
+    );
+    await Company.deleteOne({ _id: source._id });
+
+    mergedCompanies++;
+    movedProfiles += moved.modifiedCount;
+  }
+
+  return { mergedCompanies, movedProfiles };
+}
+
+// Link profiles to companies. Only unlinked profiles unless `relink` is set.
+// Returns { scanned, linked, unlinked, companiesCreated }.
+async function backfillCompanyLinks({ relink = false } = {}) {
+  const companiesBefore = await Company.countDocuments();
+  const filter = relink ? {} : { companyId: null, company: { $nin: [null, ''] } };
+
+  const resolved = new Map();
+  let scanned = 0;
+  let linked = 0;
+  let unlinked = 0;
+  let operations = [];
+
+  const flush = async () => {
+    if (operations.length === 0) return;
+    await Profile.bulkWrite(operations, { ordered: false, timestamps: false });
+    operations = [];
+  };
+
+  const cursor = Profile.find(filter).select('company companyId').lean().cursor();
+  for await (const profile of cursor) {
+    scanned++;
+    const key = normalizeCompany(profile.company);
+    if (key && !resolved.has(key)) resolved.set(key, await resolveCompanyId(profile.company));
+    const companyId = key ? resolved.get(key) : null;
+
+    if (String(companyId || '') === String(profile.companyId || '')) continue;
+    if (companyId) linked++;
+    else unlinked++;
+
+    operations.push({
+      updateOne: {
+        filter: { _id: profile._id },
+        update: companyId ? { $set: { companyId } } : { $unset: { companyId: 1 } }
+      }
+    });
+    if (operations.length >= BACKFILL_BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  const companiesCreated = (await Company.countDocuments()) - companiesBefore;
+  return { scanned, linked, unlinked, companiesCreated };
+}
+
+module.exports = {
+  presentCompany,
+  countProfiles,
+  loadHeadcount,
+  setCompanyAliases,
+  mergeCompanies,
+  backfillCompanyLinks
+};
@@ -0,0 +1,75 @@
+// companyLinks.js - Resolve free-text company names to Company documents and keep scraped company details
+const Company = require('../models/Company');
+const { normalizeCompany } = require('./duplicateFinder');
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+// Apify employeeCountRange { start, end } -> { min, max }
+function sizeRangeFrom(range) {
+  const min = Number(range?.start);
+  const max = Number(range?.end);
+  if (!Number.isFinite(min) || min < 0) return undefined;
+  return Number.isFinite(max) && max >= min ? { min, max } : { min };
+}
+
+function formatSizeRange(sizeRange) {
+  if (!sizeRange || sizeRange.min === undefined || sizeRange.min === null) return null;
+  return sizeRange.max ? `${sizeRange.min}-${sizeRange.max} employees` : `${sizeRange.min}+ employees`;
+}
+
+// Id of the company matching `name` (by normalized name or alias), created on first sight.
+// Returns null for blank names.
+async function resolveCompanyId(name) {
+  const key = normalizeCompany(name);
+  if (!key) return null;
+
+  const existing = await Company.findOne({ matchKeys: key }).select('_id');
+  if (existing) return existing._id;
+
+  try {
+    const company = await Company.create({ name: String(name).trim(), normalizedName: key, matchKeys: [key] });
+    return company._id;
+  } catch (err) {
+    // Created concurrently by another request
+    if (err.code !== DUPLICATE_KEY_ERROR) throw err;
+    const company = await Company.findOne({ matchKeys: key }).select('_id');
+    if (!company) throw err;
+    return company._id;
+  }
+}
+
+// Resolve companyId for a batch of plain profile objects (insertMany skips save hooks)
+async function linkCompanies(docs) {
+  const resolved = new Map();
+  for (const doc of docs) {
+    if (!doc || !doc.company) continue;
+
+    const key = normalizeCompany(doc.company);
+    if (!resolved.has(key)) resolved.set(key, await resolveCompanyId(doc.company));
+    doc.companyId = resolved.get(key) || undefined;
+  }
+}
+
+// Store what the scraper learned about a company. Size is overwritten with the latest
+// report; industry and LinkedIn URL only fill gaps so admin edits are kept.
+// details: { industry, sizeRange, linkedinUrl }
+async function updateCompanyDetails(companyId, details) {
+  if (!companyId || !details) return;
+
+  const company = await Company.findById(companyId);
+  if (!company) return;
+
+  if (details.sizeRange) company.sizeRange = details.sizeRange;
+  if (details.industry && !company.industry) company.industry = details.industry;
+  if (details.linkedinUrl && !company.linkedinUrl) company.linkedinUrl = details.linkedinUrl;
+
+  if (company.isModified()) await company.save();
+}
+
+module.exports = {
+  sizeRangeFrom,
+  formatSizeRange,
+  resolveCompanyId,
+  linkCompanies,
+  updateCompanyDetails
+};
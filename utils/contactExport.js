@@ -0,0 +1,141 @@
+// contactExport.js - CSV and vCard serialization for exported contacts
+
+// Columns a CSV export may include, in their default order
+const CSV_COLUMNS = [
+  'name', 'jobTitle', 'company', 'location', 'industry', 'experience', 'seniorityLevel',
+  'skills', 'education', 'email', 'phone', 'linkedinUrl', 'extraLinks', 'uploadedAt'
+];
+const DEFAULT_CSV_COLUMNS = ['name', 'jobTitle', 'company', 'email', 'phone', 'linkedinUrl'];
+
+const VCARD_VERSIONS = ['3.0', '4.0'];
+
+// Resolve ?columns=a,b,c against the allowed list. Returns { columns, invalid }.
+function resolveCsvColumns(requested) {
+  if (!requested) return { columns: DEFAULT_CSV_COLUMNS, invalid: [] };
+
+  const list = String(requested).split(',').map(c => c.trim()).filter(Boolean);
+  return {
+    columns: list.filter(c => CSV_COLUMNS.includes(c)),
+    invalid: list.filter(c => !CSV_COLUMNS.includes(c))
+  };
+}
+
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.join('; ');
+  if (value instanceof Date) return value.toISOString();
+  return String(value);
+}
+
+// Values a spreadsheet would evaluate: = / @ / control prefixes, and + or - unless the rest is just
+// a number or phone number (E.164 phones like +201001234567 must export unchanged)
+function isFormulaLike(text) {
+  if (/^[=@\t\r]/.test(text)) return true;
+  return /^[+-]/.test(text) && !/^[+-][\d\s().-]+$/.test(text);
+}
+
+// Quote when needed and neutralize spreadsheet formula injection
+function csvEscape(value) {
+  let text = csvValue(value);
+  if (isFormulaLike(text)) text = `'${text}`;
+  if (/[",\r\n]/.test(text)) text = `"${text.replace(/"/g, '""')}"`;
+  return text;
+}
+
+function toCsvRow(values) {
+  return values.map(csvEscape).join(',') + '\r\n';
+}
+
+function toCsvHeader(columns) {
+  return toCsvRow(columns);
+}
+
+function profileToCsvRow(profile, columns) {
+  return toCsvRow(columns.map(column => profile[column]));
+}
+
+// Escape text values per RFC 6350 (also valid for vCard 3.0)
+function vcardEscape(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/\n/g, '\\n')
+    .replace(/\r/g, '')
+    .replace(/,/g, '\\,')
+    .replace(/;/g, '\\;');
+}
+
+// Fold lines longer than 75 octets with CRLF + space
+function foldLine(line) {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char, 'utf8');
+    const limit = parts.length === 0 ? 75 : 74; // continuation lines start with a space
+    if (currentBytes + charBytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+// Best-effort split of a display name into family/given parts for the N property
+function splitName(name) {
+  const parts = String(name || '').trim().split(/\s+/).filter(Boolean);
+  if (parts.length <= 1) return { given: parts[0] || '', family: '' };
+  return { given: parts.slice(0, -1).join(' '), family: parts[parts.length - 1] };
+}
+
+function profileToVCard(profile, version = '3.0') {
+  const is4 = version === '4.0';
+  const { given, family } = splitName(profile.name);
+  const lines = ['BEGIN:VCARD', `VERSION:${version}`];
+
+  lines.push(`FN:${vcardEscape(profile.name || 'Unknown')}`);
+  lines.push(`N:${vcardEscape(family)};${vcardEscape(given)};;;`);
+  if (profile.company) lines.push(`ORG:${vcardEscape(profile.company)}`);
+  if (profile.jobTitle) lines.push(`TITLE:${vcardEscape(profile.jobTitle)}`);
+
+  if (profile.email) {
+    lines.push(is4
+      ? `EMAIL;TYPE=work:${vcardEscape(profile.email)}`
+      : `EMAIL;TYPE=INTERNET,WORK:${vcardEscape(profile.email)}`);
+  }
+
+  if (profile.phone) {
+    lines.push(is4
+      ? `TEL;VALUE=uri;TYPE=cell:tel:${String(profile.phone).replace(/[^\d+]/g, '')}`
+      : `TEL;TYPE=CELL:${vcardEscape(profile.phone)}`);
+  }
+
+  if (profile.linkedinUrl) {
+    lines.push(`URL;TYPE=${is4 ? 'linkedin' : 'LINKEDIN'}:${profile.linkedinUrl}`);
+  }
+  (profile.extraLinks || []).filter(Boolean).forEach(link => {
+    lines.push(`URL:${link}`);
+  });
+
+  if (profile._id) lines.push(`UID:${profile._id.toString()}`);
+  lines.push('END:VCARD');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  CSV_COLUMNS,
+  DEFAULT_CSV_COLUMNS,
+  VCARD_VERSIONS,
+  resolveCsvColumns,
+  csvEscape,
+  toCsvHeader,
+  profileToCsvRow,
+  profileToVCard
+};
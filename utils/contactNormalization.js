@@ -0,0 +1,75 @@
+// contactNormalization.js - Email and phone normalization/validation for profile writes
+// Phones are parsed to E.164 with libphonenumber-js, which ships its country metadata offline.
+const { parsePhoneNumberFromString } = require('libphonenumber-js');
+
+// Country used for numbers written in local format (e.g. 0100 123 4567)
+const DEFAULT_PHONE_COUNTRY = (process.env.DEFAULT_PHONE_COUNTRY || 'EG').toUpperCase();
+
+const EMAIL_REGEX = /^[^\s@<>()[\]\\,;:"]+@[a-z0-9](?:[a-z0-9-]*[a-z0-9])?(?:\.[a-z0-9](?:[a-z0-9-]*[a-z0-9])?)*\.[a-z]{2,}$/;
+
+// Returns { value, valid, error } - value is trimmed, mailto:/<> stripped and lowercased
+function normalizeEmail(raw) {
+  const original = String(raw).trim();
+  const value = original
+    .replace(/^mailto:/i, '')
+    .replace(/^<(.*)>$/, '$1')
+    .split('?')[0] // mailto: links may carry ?subject=...
+    .trim()
+    .toLowerCase();
+
+  if (!EMAIL_REGEX.test(value)) {
+    return { value, valid: false, error: `invalid email "${original}"` };
+  }
+  return { value, valid: true };
+}
+
+// Returns { value, country, valid, error } - value is E.164 (+201001234567)
+function normalizePhone(raw, defaultCountry = DEFAULT_PHONE_COUNTRY) {
+  const original = String(raw).trim();
+  const cleaned = original
+    .replace(/^tel:/i, '')
+    .replace(/^00/, '+') // international 00 prefix
+    .trim();
+
+  const parsed = parsePhoneNumberFromString(cleaned, defaultCountry || undefined);
+  if (!parsed || !parsed.isValid()) {
+    return { value: original, valid: false, error: `invalid phone number "${original}"` };
+  }
+  return { value: parsed.number, country: parsed.country || null, valid: true };
+}
+
+// Normalize email/phone on a plain profile object in place, keeping the submitted values in
+// emailOriginal/phoneOriginal. Returns a list of errors for values that could not be normalized.
+function normalizeContactFields(data, { defaultCountry } = {}) {
+  const errors = [];
+
+  if (data.email !== undefined && data.email !== null && String(data.email).trim() !== '') {
+    const email = normalizeEmail(data.email);
+    if (data.emailOriginal === undefined) data.emailOriginal = String(data.email).trim();
+    if (email.valid) {
+      data.email = email.value;
+    } else {
+      errors.push({ field: 'email', message: email.error });
+    }
+  }
+
+  if (data.phone !== undefined && data.phone !== null && String(data.phone).trim() !== '') {
+    const phone = normalizePhone(data.phone, data.phoneCountry || defaultCountry);
+    if (data.phoneOriginal === undefined) data.phoneOriginal = String(data.phone).trim();
+    if (phone.valid) {
+      data.phone = phone.value;
+      data.phoneCountry = phone.country;
+    } else {
+      errors.push({ field: 'phone', message: phone.error });
+    }
+  }
+
+  return errors;
+}
+
+module.exports = {
+  DEFAULT_PHONE_COUNTRY,
+  normalizeEmail,
+  normalizePhone,
+  normalizeContactFields
+};
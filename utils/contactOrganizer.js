@@ -0,0 +1,149 @@
+// contactOrganizer.js - User-owned contact lists and tags over profiles the user unlocked or uploaded
+const mongoose = require('mongoose');
+const Profile = require('../models/profile');
+const ContactList = require('../models/ContactList');
+const UserContact = require('../models/UserContact');
+const { toList } = require('./profileQuery');
+const { loadViewerAccess, canViewContact } = require('./contactPolicy');
+
+const MAX_TAG_LENGTH = 40;
+const MAX_TAGS_PER_CONTACT = 20;
+const MAX_IDS_PER_REQUEST = 500;
+const NOT_ORGANIZABLE = 'Only profiles you unlocked or uploaded can be organized';
+
+// Tags are compared case-insensitively, so they're stored trimmed and lowercased
+function normalizeTag(tag) {
+  return String(tag || '').trim().replace(/\s+/g, ' ').toLowerCase().slice(0, MAX_TAG_LENGTH);
+}
+
+// "a, b" or ['a', 'b'] -> unique normalized tags
+function normalizeTags(tags) {
+  return [...new Set(toList(tags).map(normalizeTag).filter(Boolean))];
+}
+
+// Split requested profile ids into those the user may organize (unlocked or uploaded) and rejected ones.
+// Returns { allowed: [ObjectId], rejected: [{ id, reason }] }.
+async function filterOrganizableIds(userId, ids) {
+  const requested = [...new Set(toList(ids))];
+  const rejected = [];
+
+  const validIds = requested.filter(id => {
+    if (mongoose.Types.ObjectId.isValid(id)) return true;
+    rejected.push({ id, reason: 'Invalid profile id' });
+    return false;
+  });
+
+  const [access, profiles] = await Promise.all([
+    loadViewerAccess(userId),
+    Profile.find({ _id: { $in: validIds } }).select('uploadedBy')
+  ]);
+  const profilesById = new Map(profiles.map(p => [p._id.toString(), p]));
+
+  const allowed = [];
+  validIds.forEach(id => {
+    const profile = profilesById.get(String(id));
+    if (!profile) {
+      rejected.push({ id, reason: 'Profile not found' });
+    } else if (!canViewContact(profile, access)) {
+      rejected.push({ id, reason: NOT_ORGANIZABLE });
+    } else {
+      allowed.push(profile._id);
+    }
+  });
+
+  return { allowed, rejected };
+}
+
+// Profile ids selected by ?list=<listId> and/or ?tag=a,b (profiles carrying every tag).
+// Returns { scope: Set<string> } or { scope: null } when neither is set, or { error } for an unknown list.
+async function resolveContactScope(userId, { list, tag } = {}) {
+  let scope = null;
+
+  if (list) {
+    const contactList = mongoose.Types.ObjectId.isValid(list)
+      ? await ContactList.findOne({ _id: list, userId }).select('profileIds')
+      : null;
+    if (!contactList) {
+      return { error: 'Contact list not found' };
+    }
+    scope = new Set(contactList.profileIds.map(String));
+  }
+
+  const tags = normalizeTags(tag);
+  if (tags.length) {
+    const tagged = await UserContact.find({ userId, tags: { $all: tags } }).select('profileId');
+    const taggedIds = new Set(tagged.map(c => String(c.profileId)));
+    scope = scope ? new Set([...scope].filter(id => taggedIds.has(id))) : taggedIds;
+  }
+
+  return { scope };
+}
+
+// Tags and list memberships of the given profiles for one user: Map<profileId, { tags, lists }>
+async function loadContactLabels(userId, profileIds) {
+  const [contacts, lists] = await Promise.all([
+    UserContact.find({ userId, profileId: { $in: profileIds } }).select('profileId tags'),
+    ContactList.find({ userId, profileIds: { $in: profileIds } }).select('name profileIds')
+  ]);
+
+  const labels = new Map(profileIds.map(id => [String(id), { tags: [], lists: [] }]));
+  contacts.forEach(contact => {
+    const entry = labels.get(String(contact.profileId));
+    if (entry) entry.tags = contact.tags;
+  });
+  lists.forEach(list => {
+    list.profileIds.forEach(id => {
+      const entry = labels.get(String(id));
+      if (entry) entry.lists.push({ id: list._id.toString(), name: list.name });
+    });
+  });
+  return labels;
+}
+
+// Drop a deleted profile from every list and private contact record
+async function removeProfileFromCollections(profileId) {
+  await Promise.all([
+    ContactList.updateMany({ profileIds: profileId }, { $pull: { profileIds: profileId } }),
+    UserContact.deleteMany({ profileId })
+  ]);
+}
+
+// After a merge, move list memberships and private contact records from the source profile to the survivor
+async function moveProfileInCollections(sourceId, survivorId) {
+  // Add the survivor before pulling the source so no list loses the contact in between
+  await ContactList.updateMany({ profileIds: sourceId }, { $addToSet: { profileIds: survivorId } });
+  await ContactList.updateMany({ profileIds: sourceId }, { $pull: { profileIds: sourceId } });
+
+  const sourceContacts = await UserContact.find({ profileId: sourceId });
+  for (const contact of sourceContacts) {
+    const survivorContact = await UserContact.findOne({ userId: contact.userId, profileId: survivorId });
+    if (!survivorContact) {
+      await UserContact.updateOne({ _id: contact._id }, { $set: { profileId: survivorId } });
+      continue;
+    }
+
+    // Both profiles had a record for this user: keep everything, the survivor's stage wins
+    survivorContact.tags = [...new Set([...survivorContact.tags, ...contact.tags])];
+    survivorContact.notes.push(...contact.notes.map(note => note.toObject()));
+    survivorContact.reminders.push(...contact.reminders.map(reminder => reminder.toObject()));
+    if (!survivorContact.stage && contact.stage) {
+      survivorContact.stage = contact.stage;
+      survivorContact.stageHistory.push(...contact.stageHistory);
+    }
+    await survivorContact.save();
+    await UserContact.deleteOne({ _id: contact._id });
+  }
+}
+
+module.exports = {
+  MAX_TAGS_PER_CONTACT,
+  MAX_IDS_PER_REQUEST,
+  NOT_ORGANIZABLE,
+  normalizeTag,
+  normalizeTags,
+  filterOrganizableIds,
+  resolveContactScope,
+  loadContactLabels,
+  removeProfileFromCollections,
+  moveProfileInCollections
+};
@@ -0,0 +1,80 @@
+// contactPipeline.js - Per-user outreach pipeline (stages and follow-up reminders) for unlocked contacts
+const mongoose = require('mongoose');
+const Dashboard = require('../models/Dashboard');
+const UserContact = require('../models/UserContact');
+const { toList } = require('./profileQuery');
+
+const DEFAULT_PIPELINE_STAGES = ['new', 'contacted', 'interviewing', 'hired', 'rejected'];
+const MAX_STAGES = 20;
+const MAX_STAGE_LENGTH = 40;
+
+function normalizeStage(stage) {
+  return String(stage || '').trim().replace(/\s+/g, ' ').toLowerCase().slice(0, MAX_STAGE_LENGTH);
+}
+
+async function loadPipelineStages(userId) {
+  const dashboard = await Dashboard.findOne({ userId }).select('pipelineStages');
+  return dashboard?.pipelineStages?.length ? dashboard.pipelineStages : DEFAULT_PIPELINE_STAGES;
+}
+
+// A contact without a stage sits in the first stage
+function stageOf(contact, stages) {
+  return contact?.stage || stages[0];
+}
+
+// Validate a replacement stage list. Stages that contacts are currently in can't be dropped.
+// Returns { stages, errors }.
+async function validatePipelineStages(userId, input) {
+  const stages = [...new Set(toList(input).map(normalizeStage).filter(Boolean))];
+  const errors = [];
+
+  if (stages.length < 2) errors.push('A pipeline needs at least 2 stages');
+  if (stages.length > MAX_STAGES) errors.push(`A pipeline can have at most ${MAX_STAGES} stages`);
+
+  const inUse = await UserContact.distinct('stage', { userId, stage: { $ne: null } });
+  const dropped = inUse.filter(stage => !stages.includes(stage));
+  if (dropped.length) {
+    errors.push(`Move contacts out of these stages first: ${dropped.join(', ')}`);
+  }
+
+  return { stages, errors };
+}
+
+// Every contact in the user's pipeline - their unlocked profiles plus any profile they keep a
+// record for - with its current stage: [{ profileId, stage, contact }]
+async function loadPipeline(userId, stages) {
+  const [dashboard, contacts] = await Promise.all([
+    Dashboard.findOne({ userId }).select('unlockedContactIds'),
+    UserContact.find({ userId })
+  ]);
+
+  const contactsById = new Map(contacts.map(c => [c.profileId.toString(), c]));
+  const profileIds = new Set([...(dashboard?.unlockedContactIds || []), ...contactsById.keys()]);
+
+  return [...profileIds].map(profileId => {
+    const contact = contactsById.get(profileId) || null;
+    return { profileId, stage: stageOf(contact, stages), contact };
+  });
+}
+
+// Open reminders due on or before `before`, oldest first: [{ profileId, stage, reminder }]
+async function findDueReminders(userId, before, limit) {
+  return UserContact.aggregate([
+    { $match: { userId: new mongoose.Types.ObjectId(userId), 'reminders.dueAt': { $lte: before } } },
+    { $unwind: '$reminders' },
+    { $match: { 'reminders.done': false, 'reminders.dueAt': { $lte: before } } },
+    { $sort: { 'reminders.dueAt': 1 } },
+    { $limit: limit },
+    { $project: { _id: 0, profileId: 1, stage: 1, reminder: '$reminders' } }
+  ]);
+}
+
+module.exports = {
+  DEFAULT_PIPELINE_STAGES,
+  normalizeStage,
+  loadPipelineStages,
+  stageOf,
+  validatePipelineStages,
+  loadPipeline,
+  findDueReminders
+};
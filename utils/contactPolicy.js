@@ -0,0 +1,85 @@
+// contactPolicy.js - Decides which contact fields a viewer may see on a profile
+const Dashboard = require('../models/Dashboard');
+
+// Fields hidden until the viewer unlocks the profile (or uploaded it themselves)
+const CONTACT_FIELDS = ['email', 'emailOriginal', 'phone', 'phoneOriginal', 'extraLinks'];
+
+// a.person@domain.com -> a***@domain.com
+function maskEmail(email) {
+  if (!email) return email;
+  const [local, domain] = String(email).split('@');
+  if (!domain) return '***';
+  return `${local.charAt(0)}***@${domain}`;
+}
+
+// +20 100 123 4567 -> *********67 (only the last 2 digits are kept)
+function maskPhone(phone) {
+  if (!phone) return phone;
+  const digits = String(phone).replace(/\D/g, '');
+  if (digits.length <= 2) return '*'.repeat(digits.length);
+  return '*'.repeat(digits.length - 2) + digits.slice(-2);
+}
+
+// Load what the given user is allowed to see. Anonymous viewers get an empty access object.
+async function loadViewerAccess(userId) {
+  if (!userId) {
+    return { userId: null, unlockedIds: new Set() };
+  }
+
+  const dashboard = await Dashboard.findOne({ userId }).select('unlockedContactIds');
+  return {
+    userId: String(userId),
+    unlockedIds: new Set(dashboard?.unlockedContactIds || [])
+  };
+}
+
+// Access object for a known uploader, e.g. when echoing back what they just submitted
+function uploaderAccess(userId) {
+  return { userId: userId ? String(userId) : null, unlockedIds: new Set() };
+}
+
+function isUnlockedFor(profile, access) {
+  return access.unlockedIds.has(profile._id.toString());
+}
+
+function canViewContact(profile, access) {
+  if (isUnlockedFor(profile, access)) return true;
+  return Boolean(access.userId && profile.uploadedBy && String(profile.uploadedBy) === access.userId);
+}
+
+// Strip or mask contact fields from a plain profile object
+function redactContactFields(data) {
+  return {
+    ...data,
+    email: maskEmail(data.email),
+    emailOriginal: maskEmail(data.emailOriginal),
+    phone: maskPhone(data.phone),
+    phoneOriginal: maskPhone(data.phoneOriginal),
+    extraLinks: []
+  };
+}
+
+// Shape a profile document for API responses, applying the contact projection policy
+function presentProfile(profile, access) {
+  const data = typeof profile.toObject === 'function' ? profile.toObject() : { ...profile };
+  const visible = canViewContact(profile, access);
+
+  return {
+    ...(visible ? data : redactContactFields(data)),
+    id: profile._id.toString(),
+    isUnlocked: isUnlockedFor(profile, access),
+    contactMasked: !visible
+  };
+}
+
+module.exports = {
+  CONTACT_FIELDS,
+  maskEmail,
+  maskPhone,
+  loadViewerAccess,
+  uploaderAccess,
+  isUnlockedFor,
+  canViewContact,
+  redactContactFields,
+  presentProfile
+};
@@ -0,0 +1,163 @@
+// dashboardAudit.js - Dashboard counters derived from real data, and an audit of dashboard state
+// against the profiles and the points ledger
+const mongoose = require('mongoose');
+const Dashboard = require('../models/Dashboard');
+const Profile = require('../models/profile');
+const PointsTransaction = require('../models/PointsTransaction');
+
+const MAX_REPORTED_DASHBOARDS = 200;
+const MAX_LISTED_IDS = 20;
+
+// Counters as the data supports them: uploads are the profiles the user uploaded, unlocked profiles
+// the unlocked ids that still point at a profile.
+// Returns { myUploads, totalContacts, unlockedProfiles, uploadedProfileIds, missingUnlockedIds }.
+async function deriveCounters(dashboard) {
+  const unlockedIds = (dashboard.unlockedContactIds || []).filter(id => mongoose.Types.ObjectId.isValid(id));
+  const [uploaded, unlocked] = await Promise.all([
+    Profile.find({ uploadedBy: String(dashboard.userId) }).select('_id').lean(),
+    Profile.find({ _id: { $in: unlockedIds } }).select('_id').lean()
+  ]);
+
+  const existingUnlocked = new Set(unlocked.map(p => p._id.toString()));
+  return {
+    myUploads: uploaded.length,
+    totalContacts: uploaded.length,
+    unlockedProfiles: existingUnlocked.size,
+    uploadedProfileIds: uploaded.map(p => p._id.toString()),
+    missingUnlockedIds: (dashboard.unlockedContactIds || []).filter(id => !existingUnlocked.has(id))
+  };
+}
+
+// Bring a dashboard's counters in line with the data (cached balance and unlocks are left alone)
+async function syncCounters(dashboard) {
+  const derived = await deriveCounters(dashboard);
+  const changed = ['myUploads', 'totalContacts', 'unlockedProfiles'].some(field => dashboard[field] !== derived[field]);
+  if (changed) {
+    await Dashboard.updateOne(
+      { _id: dashboard._id },
+      { $set: { myUploads: derived.myUploads, totalContacts: derived.totalContacts, unlockedProfiles: derived.unlockedProfiles } }
+    );
+    dashboard.myUploads = derived.myUploads;
+    dashboard.totalContacts = derived.totalContacts;
+    dashboard.unlockedProfiles = derived.unlockedProfiles;
+  }
+  return derived;
+}
+
+function sampleIds(ids) {
+  return ids.length > MAX_LISTED_IDS ? [...ids.slice(0, MAX_LISTED_IDS), `... ${ids.length - MAX_LISTED_IDS} more`] : ids;
+}
+
+// Everything about one dashboard that the data doesn't support: [{ check, message, ...details }]
+async function auditDashboard(dashboard) {
+  const issues = [];
+  const derived = await deriveCounters(dashboard);
+
+  ['myUploads', 'totalContacts', 'unlockedProfiles'].forEach(field => {
+    if (dashboard[field] !== derived[field]) {
+      issues.push({ check: 'counter', field, stored: dashboard[field], derived: derived[field], message: `${field} is ${dashboard[field]}, data supports ${derived[field]}` });
+    }
+  });
+
+  const stored = new Set(dashboard.uploadedProfileIds || []);
+  const actual = new Set(derived.uploadedProfileIds);
+  const foreign = [...stored].filter(id => !actual.has(id));
+  const unlisted = [...actual].filter(id => !stored.has(id));
+  if (foreign.length) {
+    issues.push({ check: 'uploaded_ids', ids: sampleIds(foreign), message: `${foreign.length} uploaded id(s) are not profiles this user uploaded` });
+  }
+  if (unlisted.length) {
+    issues.push({ check: 'uploaded_ids', ids: sampleIds(unlisted), message: `${unlisted.length} uploaded profile(s) are missing from uploadedProfileIds` });
+  }
+
+  if (derived.missingUnlockedIds.length) {
+    issues.push({ check: 'unlocked_ids', ids: sampleIds(derived.missingUnlockedIds), message: `${derived.missingUnlockedIds.length} unlocked id(s) point at no profile` });
+  }
+
+  const ledger = await PointsTransaction.aggregate([
+    { $match: { userId: dashboard.userId } },
+    {
+      $group: {
+        _id: null,
+        balance: { $sum: '$amount' },
+        count: { $sum: 1 },
+        opened: { $max: { $eq: ['$type', 'opening_balance'] } },
+        unlocked: { $addToSet: { $cond: [{ $eq: ['$type', 'unlock'] }, { $toString: '$profileId' }, '$$REMOVE'] } }
+      }
+    }
+  ]);
+  const entry = ledger[0];
+
+  if (dashboard.availablePoints < 0) {
+    issues.push({ check: 'balance', message: `Balance is negative (${dashboard.availablePoints})` });
+  }
+  if (!entry) {
+    issues.push({ check: 'balance', message: 'No points ledger entries (run points:reconcile -- --open-missing)' });
+  } else {
+    if (entry.balance !== dashboard.availablePoints) {
+      issues.push({
+        check: 'balance',
+        stored: dashboard.availablePoints,
+        derived: entry.balance,
+        message: `Balance is ${dashboard.availablePoints}, ledger supports ${entry.balance}`
+      });
+    }
+
+    // Only a ledger that covers the whole history can prove each unlock was paid for
+    if (!entry.opened) {
+      const paid = new Set(entry.unlocked);
+      const uploadedSet = new Set(derived.uploadedProfileIds);
+      const unpaid = (dashboard.unlockedContactIds || []).filter(id => !paid.has(id) && !uploadedSet.has(id));
+      if (unpaid.length) {
+        issues.push({ check: 'unpaid_unlocks', ids: sampleIds(unpaid), message: `${unpaid.length} unlocked profile(s) have no unlock transaction` });
+      }
+    }
+  }
+
+  return { issues, derived };
+}
+
+// Audit every dashboard. With `fix`, counters, uploadedProfileIds and unlocked ids of deleted profiles
+// are repaired; balance and unpaid-unlock findings are only reported (settle them with an admin adjustment).
+// Returns { checked, flagged, fixed, dashboards: [{ userId, issues }] }.
+async function auditAllDashboards({ fix = false } = {}) {
+  const report = { checked: 0, flagged: 0, fixed: 0, dashboards: [] };
+
+  const cursor = Dashboard.find().cursor();
+  for await (const dashboard of cursor) {
+    report.checked++;
+    const { issues, derived } = await auditDashboard(dashboard);
+    if (issues.length === 0) continue;
+
+    report.flagged++;
+    if (report.dashboards.length < MAX_REPORTED_DASHBOARDS) {
+      report.dashboards.push({ userId: String(dashboard.userId), issues });
+    }
+
+    const repairable = issues.some(issue => ['counter', 'uploaded_ids', 'unlocked_ids'].includes(issue.check));
+    if (fix && repairable) {
+      const update = {
+        $set: {
+          myUploads: derived.myUploads,
+          totalContacts: derived.totalContacts,
+          unlockedProfiles: derived.unlockedProfiles,
+          uploadedProfileIds: derived.uploadedProfileIds
+        }
+      };
+      if (derived.missingUnlockedIds.length) {
+        update.$pull = { unlockedContactIds: { $in: derived.missingUnlockedIds } };
+      }
+      await Dashboard.updateOne({ _id: dashboard._id }, update);
+      report.fixed++;
+    }
+  }
+
+  return report;
+}
+
+module.exports = {
+  deriveCounters,
+  syncCounters,
+  auditDashboard,
+  auditAllDashboards
+};
@@ -0,0 +1,254 @@
+// duplicateFinder.js - Fuzzy duplicate detection and field-by-field merging for profiles
+const { escapeRegex } = require('./profileQuery');
+
+const DEFAULT_MIN_SCORE = 0.6;
+const CANDIDATE_LIMIT = 200; // Name-token candidates scored per lookup
+
+const SAME_EMAIL = 'same email';
+const SAME_PHONE = 'same phone number';
+
+// Company suffixes ignored when comparing company names
+const COMPANY_SUFFIXES = ['inc', 'llc', 'ltd', 'limited', 'corp', 'corporation', 'co', 'company', 'group', 'sae', 'gmbh', 'plc'];
+
+// Lowercase, strip mailto:, and drop gmail dots/+tags so aliases compare equal
+function normalizeEmail(email) {
+  if (!email) return '';
+  const value = String(email).trim().toLowerCase().replace(/^mailto:/, '');
+  const [local, domain] = value.split('@');
+  if (!domain) return value;
+
+  let user = local.split('+')[0];
+  if (domain === 'gmail.com' || domain === 'googlemail.com') {
+    user = user.replace(/\./g, '');
+    return `${user}@gmail.com`;
+  }
+  return `${user}@${domain}`;
+}
+
+// Compare phones on their last 9 digits so +20 / 0 prefixes don't matter
+function normalizePhone(phone) {
+  if (!phone) return '';
+  const digits = String(phone).replace(/\D/g, '');
+  return digits.length >= 7 ? digits.slice(-9) : '';
+}
+
+function normalizeName(name) {
+  return String(name || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+}
+
+function normalizeCompany(company) {
+  return normalizeName(company).filter(token => !COMPANY_SUFFIXES.includes(token)).join(' ');
+}
+
+// Jaro-Winkler similarity between two strings (0..1)
+function jaroWinkler(a, b) {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  const matchWindow = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+  const aMatches = new Array(a.length).fill(false);
+  const bMatches = new Array(b.length).fill(false);
+  let matches = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    const start = Math.max(0, i - matchWindow);
+    const end = Math.min(i + matchWindow + 1, b.length);
+    for (let j = start; j < end; j++) {
+      if (bMatches[j] || a[i] !== b[j]) continue;
+      aMatches[i] = true;
+      bMatches[j] = true;
+      matches++;
+      break;
+    }
+  }
+  if (matches === 0) return 0;
+
+  let transpositions = 0;
+  let k = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (!aMatches[i]) continue;
+    while (!bMatches[k]) k++;
+    if (a[i] !== b[k]) transpositions++;
+    k++;
+  }
+
+  const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+  let prefix = 0;
+  while (prefix < 4 && a[prefix] && a[prefix] === b[prefix]) prefix++;
+  return jaro + prefix * 0.1 * (1 - jaro);
+}
+
+// Order-insensitive name similarity: each token is paired with its best match in the other name
+function nameSimilarity(a, b) {
+  const tokensA = normalizeName(a);
+  const tokensB = normalizeName(b);
+  if (!tokensA.length || !tokensB.length) return 0;
+
+  const [shorter, longer] = tokensA.length <= tokensB.length ? [tokensA, tokensB] : [tokensB, tokensA];
+  const total = shorter.reduce((sum, token) => {
+    return sum + Math.max(...longer.map(other => jaroWinkler(token, other)));
+  }, 0);
+
+  // Penalize names with extra unmatched tokens slightly
+  return (total / shorter.length) * (0.9 + 0.1 * (shorter.length / longer.length));
+}
+
+function companySimilarity(a, b) {
+  return jaroWinkler(normalizeCompany(a), normalizeCompany(b));
+}
+
+// Score how likely `candidate` is the same person as `profile`. Returns { score, reasons }.
+function scoreDuplicate(profile, candidate) {
+  const reasons = [];
+  let score = 0;
+
+  const email = normalizeEmail(profile.email);
+  if (email && email === normalizeEmail(candidate.email)) {
+    score = Math.max(score, 0.95);
+    reasons.push(SAME_EMAIL);
+  }
+
+  const phone = normalizePhone(profile.phone);
+  if (phone && phone === normalizePhone(candidate.phone)) {
+    score = Math.max(score, 0.9);
+    reasons.push(SAME_PHONE);
+  }
+
+  if (profile.linkedinId && profile.linkedinId === candidate.linkedinId) {
+    score = 1;
+    reasons.push('same LinkedIn profile');
+  }
+
+  const names = nameSimilarity(profile.name, candidate.name);
+  if (names >= 0.85) {
+    const companies = profile.company && candidate.company ? companySimilarity(profile.company, candidate.company) : 0;
+    const combined = names * 0.6 + companies * 0.4;
+    if (companies >= 0.85) {
+      reasons.push(`similar name (${names.toFixed(2)}) and company (${companies.toFixed(2)})`);
+    } else {
+      reasons.push(`similar name (${names.toFixed(2)})`);
+    }
+    // Matching signals reinforce each other
+    score = score > 0 ? Math.min(1, score + combined * 0.05) : combined;
+  }
+
+  return { score: Math.round(score * 1000) / 1000, reasons };
+}
+
+// Reasons for viewers who can't see both profiles' contact fields: that contact details match is
+// kept, which one (and so the masked value) is not
+function redactContactReasons(reasons) {
+  const contactMatch = reasons.some(reason => reason === SAME_EMAIL || reason === SAME_PHONE);
+  const rest = reasons.filter(reason => reason !== SAME_EMAIL && reason !== SAME_PHONE);
+  return contactMatch ? ['matching contact details', ...rest] : rest;
+}
+
+// Regex that matches a phone ending in the given digits with any separators in between
+function phoneSuffixRegex(digits) {
+  return new RegExp(`${digits.split('').join('\\D*')}\\D*$`);
+}
+
+// Cheap DB prefilters: `contact` finds profiles sharing an email or phone suffix (few, and the strongest
+// signals, so never cut off), `name` finds profiles sharing a name token (can be many, so capped)
+function buildCandidateQueries(profile) {
+  const contact = [];
+  const name = [];
+
+  if (profile.email) {
+    const email = String(profile.email).trim().replace(/^mailto:/i, '');
+    contact.push({ email: new RegExp(`^${escapeRegex(email)}$`, 'i') });
+    const [local, domain] = email.toLowerCase().split('@');
+    if (domain) {
+      contact.push({ email: new RegExp(`^${escapeRegex(local.split('+')[0])}(\\+[^@]*)?@`, 'i') });
+    }
+  }
+
+  const phone = normalizePhone(profile.phone);
+  if (phone) contact.push({ phone: phoneSuffixRegex(phone.slice(-7)) });
+
+  normalizeName(profile.name)
+    .filter(token => token.length >= 3)
+    .forEach(token => name.push({ name: new RegExp(escapeRegex(token.slice(0, 4)), 'i') }));
+
+  const query = or => (or.length ? { _id: { $ne: profile._id }, $or: or } : null);
+  return { contact: query(contact), name: query(name) };
+}
+
+async function findDuplicateCandidates(profile, Profile, { minScore = DEFAULT_MIN_SCORE, limit = 20 } = {}) {
+  const queries = buildCandidateQueries(profile);
+  const [contactMatches, nameMatches] = await Promise.all([
+    queries.contact ? Profile.find(queries.contact) : [],
+    queries.name ? Profile.find(queries.name).sort({ _id: -1 }).limit(CANDIDATE_LIMIT) : []
+  ]);
+
+  const candidates = new Map();
+  [...contactMatches, ...nameMatches].forEach(candidate => candidates.set(candidate._id.toString(), candidate));
+
+  return [...candidates.values()]
+    .map(candidate => ({ profile: candidate, ...scoreDuplicate(profile, candidate) }))
+    .filter(result => result.score >= minScore)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+const MERGE_FIELDS = [
+  'name', 'jobTitle', 'company', 'location', 'industry', 'experience', 'seniorityLevel',
+  'skills', 'education', 'workExperience', 'positions', 'educations',
+  'email', 'phone', 'avatar', 'linkedinUrl', 'extraLinks'
+];
+const MERGE_UNION_FIELDS = ['skills', 'extraLinks'];
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+// Combine two profiles field by field. The survivor's values win unless empty, list fields are unioned,
+// and `overrides` ({ field: 'survivor' | 'source' }) forces a side per field.
+function mergeProfileData(survivor, source, overrides = {}) {
+  const merged = {};
+  const fieldSources = {};
+
+  MERGE_FIELDS.forEach(field => {
+    const mine = survivor[field];
+    const theirs = source[field];
+
+    if (overrides[field] === 'source' || overrides[field] === 'survivor') {
+      merged[field] = overrides[field] === 'source' ? theirs : mine;
+      fieldSources[field] = overrides[field];
+    } else if (MERGE_UNION_FIELDS.includes(field)) {
+      merged[field] = [...new Set([...(mine || []), ...(theirs || [])])];
+      fieldSources[field] = 'union';
+    } else if (field === 'experience' && !isEmpty(mine) && !isEmpty(theirs)) {
+      merged[field] = Math.max(mine, theirs);
+      fieldSources[field] = mine >= theirs ? 'survivor' : 'source';
+    } else if (isEmpty(mine) && !isEmpty(theirs)) {
+      merged[field] = theirs;
+      fieldSources[field] = 'source';
+    } else {
+      merged[field] = mine;
+      fieldSources[field] = 'survivor';
+    }
+  });
+
+  return { merged, fieldSources };
+}
+
+module.exports = {
+  DEFAULT_MIN_SCORE,
+  MERGE_FIELDS,
+  normalizeEmail,
+  normalizePhone,
+  normalizeCompany,
+  nameSimilarity,
+  companySimilarity,
+  scoreDuplicate,
+  redactContactReasons,
+  findDuplicateCandidates,
+  mergeProfileData
+};
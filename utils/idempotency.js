@@ -0,0 +1,71 @@
+// idempotency.js - Idempotency-Key support for endpoints that move points
+//
+// The first request with a given key runs normally and its response is stored; retries with the same
+// key get that response back (with an Idempotent-Replayed header) instead of running again.
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+const MAX_KEY_LENGTH = 255;
+const DUPLICATE_KEY_ERROR = 11000;
+
+function requestFingerprint(scope, req) {
+  const hash = crypto.createHash('sha256');
+  hash.update(`${scope}\n${req.method} ${req.baseUrl}${req.path}\n${JSON.stringify(req.body || {})}`);
+  if (req.file?.buffer) hash.update(req.file.buffer);
+  return hash.digest('hex');
+}
+
+// Middleware for authenticated routes - must run after authMiddleware (keys are per user).
+// Requests without the header are not affected. 5xx responses release the key so the client can retry.
+function idempotent(scope) {
+  return async (req, res, next) => {
+    const key = req.get(IDEMPOTENCY_HEADER);
+    if (!key || !req.userId) return next();
+
+    if (key.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({ error: `${IDEMPOTENCY_HEADER} must be at most ${MAX_KEY_LENGTH} characters` });
+    }
+
+    const fingerprint = requestFingerprint(scope, req);
+    let record;
+    try {
+      record = await IdempotencyKey.create({ userId: req.userId, key, scope, fingerprint });
+    } catch (err) {
+      if (err.code !== DUPLICATE_KEY_ERROR) return next(err);
+
+      const existing = await IdempotencyKey.findOne({ userId: req.userId, key });
+      if (!existing || existing.status === 'pending') {
+        return res.status(409).json({ error: `A request with this ${IDEMPOTENCY_HEADER} is still being processed` });
+      }
+      if (existing.fingerprint !== fingerprint) {
+        return res.status(422).json({ error: `This ${IDEMPOTENCY_HEADER} was already used for a different request` });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.responseStatus).json(existing.responseBody);
+    }
+
+    // Store the response before sending it, so a retry never finds a finished request still pending
+    const send = res.json.bind(res);
+    res.json = body => {
+      const stored = res.statusCode >= 500
+        ? IdempotencyKey.deleteOne({ _id: record._id })
+        : IdempotencyKey.updateOne(
+          { _id: record._id },
+          { $set: { status: 'completed', responseStatus: res.statusCode, responseBody: JSON.parse(JSON.stringify(body ?? null)) } }
+        );
+      stored
+        .catch(err => console.error('Idempotency key store error:', err))
+        .then(() => send(body));
+      return res;
+    };
+
+    next();
+  };
+}
+
+module.exports = {
+  IDEMPOTENCY_HEADER,
+  idempotent
+};
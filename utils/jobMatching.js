@@ -0,0 +1,220 @@
+// jobMatching.js - Offline job-description parsing and deterministic candidate ranking
+//
+// Requirements come from the pasted text: skills are the directory's own `skills` vocabulary found in it,
+// seniority uses the scraper's title rules and the minimum years of experience is read from phrases
+// like "5+ years". Each can be overridden explicitly.
+const { escapeRegex } = require('./profileQuery');
+const { SENIORITY_LEVELS, seniorityFromTitle } = require('./linkedinScraping');
+
+const MAX_DESCRIPTION_LENGTH = 20000;
+const MAX_REQUIRED_SKILLS = 30;
+
+const MATCH_WEIGHTS = {
+  skills: 0.5,
+  seniority: 0.3,
+  experience: 0.2
+};
+
+// "5+ years", "3-5 years", "at least 4 yrs", "minimum of 2 years"
+const YEARS_PATTERN = /(\d{1,2})\s*(?:(?:-|–|to)\s*\d{1,2}\s*)?\+?\s*(?:years?|yrs?)\b/gi;
+
+function normalizeSkill(skill) {
+  return String(skill || '').trim().toLowerCase();
+}
+
+// Skill terms may contain symbols (C++, Node.js, C#), so word boundaries are spelled out
+function skillPattern(skill) {
+  return new RegExp(`(^|[^a-z0-9+#.])${escapeRegex(normalizeSkill(skill))}($|[^a-z0-9+#])`, 'i');
+}
+
+// First non-empty line, which is where the job title sits in a pasted JD
+function titleOf(description) {
+  return (description.split(/\r?\n/).map(line => line.trim()).find(Boolean) || '').slice(0, 200);
+}
+
+function extractMinYears(description) {
+  const years = [...description.matchAll(YEARS_PATTERN)].map(match => Number(match[1]));
+  return years.length ? Math.min(...years) : null;
+}
+
+// Known skills mentioned in the text, one spelling each, in alphabetical order
+function extractSkills(description, vocabulary) {
+  const seen = new Set();
+  const found = [];
+  [...vocabulary].sort().forEach(skill => {
+    const key = normalizeSkill(skill);
+    if (key.length < 2 || seen.has(key)) return;
+    seen.add(key);
+    if (skillPattern(skill).test(description)) found.push(skill);
+  });
+  return found.slice(0, MAX_REQUIRED_SKILLS);
+}
+
+function normalizeSeniority(level) {
+  return SENIORITY_LEVELS.find(l => l.toLowerCase() === normalizeSkill(level)) || null;
+}
+
+// Turn a JD into requirements: { title, skills, seniorityLevel, minExperience }.
+// overrides: { title, skills, seniorityLevel, minExperience } win over what the text says.
+function parseJobDescription(description, vocabulary, overrides = {}) {
+  const text = String(description || '').slice(0, MAX_DESCRIPTION_LENGTH);
+  const title = String(overrides.title || titleOf(text)).trim();
+
+  const yearsOverride = overrides.minExperience === '' || overrides.minExperience === null
+    ? NaN
+    : Number(overrides.minExperience);
+  const minExperience = Number.isFinite(yearsOverride) ? Math.max(0, yearsOverride) : extractMinYears(text);
+
+  const skills = Array.isArray(overrides.skills) && overrides.skills.length
+    ? [...new Set(overrides.skills.map(s => String(s).trim()).filter(Boolean))].slice(0, MAX_REQUIRED_SKILLS)
+    : extractSkills(text, vocabulary);
+
+  const seniorityLevel = normalizeSeniority(overrides.seniorityLevel)
+    || seniorityFromTitle(title, minExperience ?? undefined);
+
+  return { title, skills, seniorityLevel, minExperience };
+}
+
+// Per-criterion scorers: { score: 0..1, ...details } or null when the JD doesn't ask for it
+const criteria = {
+  skills(requirements, profile) {
+    if (requirements.skills.length === 0) return null;
+
+    const owned = new Set((profile.skills || []).map(normalizeSkill));
+    const matched = requirements.skills.filter(skill => owned.has(normalizeSkill(skill)));
+    const missing = requirements.skills.filter(skill => !owned.has(normalizeSkill(skill)));
+    return { score: matched.length / requirements.skills.length, matched, missing };
+  },
+
+  seniority(requirements, profile) {
+    const required = SENIORITY_LEVELS.indexOf(requirements.seniorityLevel);
+    if (required === -1) return null;
+
+    const actual = SENIORITY_LEVELS.indexOf(normalizeSeniority(profile.seniorityLevel));
+    const distance = actual === -1 ? null : Math.abs(actual - required);
+    const score = distance === 0 ? 1 : distance === 1 ? 0.5 : 0;
+    return { score, required: requirements.seniorityLevel, actual: profile.seniorityLevel || null };
+  },
+
+  experience(requirements, profile) {
+    if (requirements.minExperience === null) return null;
+
+    const years = typeof profile.experience === 'number' ? profile.experience : 0;
+    const score = requirements.minExperience === 0 || years >= requirements.minExperience
+      ? 1
+      : years / requirements.minExperience;
+    return { score, required: requirements.minExperience, actual: years };
+  }
+};
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+// Score one profile against the requirements: { score, breakdown: { criterion: { score, weight, ... } } }.
+// Criteria the JD doesn't specify are left out and the remaining weights rescaled.
+function scoreProfileMatch(requirements, profile) {
+  const breakdown = {};
+  let weighted = 0;
+  let totalWeight = 0;
+
+  Object.entries(MATCH_WEIGHTS).forEach(([criterion, weight]) => {
+    const result = criteria[criterion](requirements, profile);
+    if (!result) return;
+
+    totalWeight += weight;
+    weighted += weight * result.score;
+    breakdown[criterion] = { ...result, score: round(result.score), weight };
+  });
+
+  return { score: totalWeight > 0 ? round(weighted / totalWeight) : 0, breakdown };
+}
+
+// DB prefilter on top of the caller's filter: profiles with a required skill or a same/adjacent seniority
+function buildMatchQuery(requirements, baseFilter) {
+  const or = [];
+  if (requirements.skills.length) {
+    or.push({ skills: { $in: requirements.skills.map(s => new RegExp(`^${escapeRegex(s)}$`, 'i')) } });
+  }
+
+  const level = SENIORITY_LEVELS.indexOf(requirements.seniorityLevel);
+  if (level !== -1) {
+    or.push({ seniorityLevel: { $in: SENIORITY_LEVELS.filter((l, index) => Math.abs(index - level) <= 1) } });
+  }
+
+  return or.length ? { $and: [baseFilter, { $or: or }] } : baseFilter;
+}
+
+// The same weighted score as scoreProfileMatch, as an aggregation expression, so the whole prefiltered
+// directory is ranked in the database. Returns null when the JD specifies no criterion.
+function matchScoreExpression(requirements) {
+  const parts = [];
+
+  if (requirements.skills.length) {
+    const owned = { $map: { input: { $ifNull: ['$skills', []] }, as: 'skill', in: { $toLower: { $trim: { input: '$$skill' } } } } };
+    const matched = {
+      $size: {
+        $filter: { input: requirements.skills.map(normalizeSkill), as: 'required', cond: { $in: ['$$required', owned] } }
+      }
+    };
+    parts.push({ weight: MATCH_WEIGHTS.skills, score: { $divide: [matched, requirements.skills.length] } });
+  }
+
+  const required = SENIORITY_LEVELS.indexOf(requirements.seniorityLevel);
+  if (required !== -1) {
+    const actual = {
+      $indexOfArray: [SENIORITY_LEVELS.map(l => l.toLowerCase()), { $toLower: { $trim: { input: { $ifNull: ['$seniorityLevel', ''] } } } }]
+    };
+    const distance = { $cond: [{ $eq: [actual, -1] }, -1, { $abs: { $subtract: [actual, required] } }] };
+    parts.push({
+      weight: MATCH_WEIGHTS.seniority,
+      score: { $switch: { branches: [{ case: { $eq: [distance, 0] }, then: 1 }, { case: { $eq: [distance, 1] }, then: 0.5 }], default: 0 } }
+    });
+  }
+
+  if (requirements.minExperience !== null) {
+    const years = { $cond: [{ $isNumber: '$experience' }, '$experience', 0] };
+    parts.push({
+      weight: MATCH_WEIGHTS.experience,
+      score: requirements.minExperience === 0
+        ? 1
+        : { $cond: [{ $gte: [years, requirements.minExperience] }, 1, { $divide: [years, requirements.minExperience] }] }
+    });
+  }
+
+  if (parts.length === 0) return null;
+  const totalWeight = parts.reduce((sum, part) => sum + part.weight, 0);
+  return {
+    $round: [{ $divide: [{ $add: parts.map(part => ({ $multiply: [part.weight, part.score] })) }, totalWeight] }, 3]
+  };
+}
+
+// Ranked matches, best first: [{ profile, score, breakdown }]. options: { minScore, limit }
+// Every prefiltered profile is scored and sorted in the database; only the returned page is
+// re-scored here for its breakdown.
+async function rankProfilesForJob(requirements, Profile, baseFilter, { minScore = 0, limit = 20 } = {}) {
+  const score = matchScoreExpression(requirements);
+  if (!score) return [];
+
+  const ranked = await Profile.aggregate([
+    { $match: buildMatchQuery(requirements, baseFilter) },
+    { $addFields: { matchScore: score } },
+    { $match: { matchScore: { $gt: 0, $gte: minScore } } },
+    { $sort: { matchScore: -1, _id: 1 } },
+    { $limit: limit },
+    { $project: { matchScore: 0 } }
+  ]);
+
+  return ranked
+    .map(doc => Profile.hydrate(doc))
+    .map(profile => ({ profile, ...scoreProfileMatch(requirements, profile) }));
+}
+
+module.exports = {
+  MAX_DESCRIPTION_LENGTH,
+  MATCH_WEIGHTS,
+  parseJobDescription,
+  scoreProfileMatch,
+  matchScoreExpression,
+  rankProfilesForJob
+};
@@ -10,14 +10,19 @@ function extractLinkedInId(url) {
 }
 
 // Helper function to check if a LinkedIn URL already exists
-async function checkLinkedInDuplicate(url, Profile) {
+// Pass excludeId when updating a profile so it doesn't match itself
+async function checkLinkedInDuplicate(url, Profile, excludeId) {
   if (!url) return null;
   
   const linkedinId = extractLinkedInId(url);
   if (!linkedinId) return null;
 
   try {
-    const existingProfile = await Profile.findOne({ linkedinId });
+    const query = { linkedinId };
+    if (excludeId) {
+      query._id = { $ne: excludeId };
+    }
+    const existingProfile = await Profile.findOne(query);
     return existingProfile ? {
       exists: true,
       message: 'A profile with this LinkedIn URL already exists'
@@ -0,0 +1,253 @@
+// linkedinScraping.js - Apify LinkedIn scraping pipeline shared by /api/scrape-linkedin and the profile refresher
+const { extractLinkedInId } = require('./linkedinHelper');
+const {
+  positionsFromLinkedIn,
+  educationsFromLinkedIn,
+  formatWorkExperience,
+  formatEducation
+} = require('./profileStructure');
+const { sizeRangeFrom } = require('./companyLinks');
+
+const APIFY_ACTOR_URL = 'https://api.apify.com/v2/acts/supreme_coder~linkedin-profile-scraper/runs';
+const POLL_INTERVAL_MS = 3000;
+const MAX_POLL_ATTEMPTS = 60; // 3 minutes max wait time
+
+// Profile fields that come from LinkedIn. Refreshes only ever overwrite these - contact fields
+// (email, phone, extraLinks) are user-supplied and stay untouched.
+const SCRAPER_OWNED_FIELDS = [
+  'name', 'jobTitle', 'company', 'location', 'industry', 'experience', 'seniorityLevel',
+  'skills', 'education', 'workExperience', 'positions', 'educations', 'avatar'
+];
+
+// Run the Apify LinkedIn actor for the given profile URLs and return the scraped items in input order
+// (null where nothing came back). Throws when the scraping service fails.
+async function runLinkedInScraper(urls) {
+  const apiToken = process.env.APIFY_API_KEY;
+  if (!apiToken) {
+    throw new Error('LinkedIn scraping service not configured');
+  }
+
+  // Start the Apify actor run with just URLs
+  const runResponse = await fetch(`${APIFY_ACTOR_URL}?token=${apiToken}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      urls: urls.map(url => ({ url })),
+      "findContacts.contactCompassToken": ""
+    })
+  });
+
+  if (!runResponse.ok) {
+    const errorText = await runResponse.text();
+    console.error('Apify run failed:', runResponse.status, errorText);
+    throw new Error(`LinkedIn scraping service failed: ${runResponse.status}`);
+  }
+
+  const runData = await runResponse.json();
+  const runId = runData.data.id;
+
+  console.log(`Apify run started with ID: ${runId}`);
+
+  // Poll for completion
+  let runStatus = 'RUNNING';
+  let attempts = 0;
+
+  while (runStatus === 'RUNNING' && attempts < MAX_POLL_ATTEMPTS) {
+    await new Promise(resolve => setTimeout(resolve, POLL_INTERVAL_MS));
+
+    const statusResponse = await fetch(`${APIFY_ACTOR_URL}/${runId}?token=${apiToken}`);
+
+    if (!statusResponse.ok) {
+      throw new Error('Failed to check scraping status');
+    }
+
+    const statusData = await statusResponse.json();
+    runStatus = statusData.data.status;
+    attempts++;
+
+    console.log(`Scraping status: ${runStatus} (attempt ${attempts})`);
+  }
+
+  if (runStatus !== 'SUCCEEDED') {
+    throw new Error(`Scraping failed with status: ${runStatus}`);
+  }
+
+  // Get the scraped data
+  const datasetId = runData.data.defaultDatasetId;
+  const itemsResponse = await fetch(`https://api.apify.com/v2/datasets/${datasetId}/items?token=${apiToken}`);
+
+  if (!itemsResponse.ok) {
+    throw new Error(`Failed to fetch scraping results: ${itemsResponse.status}`);
+  }
+
+  const items = await itemsResponse.json();
+  console.log(`Received ${items.length} scraped profiles`);
+
+  return alignScrapedItems(urls, items);
+}
+
+// Match scraped items back to the requested URLs by LinkedIn id, falling back to position
+function alignScrapedItems(urls, items) {
+  const itemsById = new Map();
+  items.forEach(item => {
+    const id = extractLinkedInId(item?.inputUrl || item?.url || item?.linkedinUrl);
+    if (id && !itemsById.has(id)) itemsById.set(id, item);
+  });
+
+  return urls.map((url, index) => {
+    const id = extractLinkedInId(url);
+    return (id && itemsById.get(id)) || items[index] || null;
+  });
+}
+
+// Seniority vocabulary shared by everything that classifies profiles
+const SENIORITY_LEVELS = ['Entry-level', 'Mid-level', 'Senior', 'Director', 'VP', 'C-Level'];
+
+// Classify a job title (and years of experience) into one of SENIORITY_LEVELS
+function seniorityFromTitle(jobTitle, experienceYears) {
+  const titleLower = (jobTitle || '').toLowerCase();
+
+  if (titleLower.includes('ceo') || titleLower.includes('cto') || titleLower.includes('cfo') || titleLower.includes('chief')) {
+    return 'C-Level';
+  } else if (titleLower.includes('vp') || titleLower.includes('vice president')) {
+    return 'VP';
+  } else if (titleLower.includes('director') || titleLower.includes('manager')) {
+    return 'Director';
+  } else if (titleLower.includes('senior') || titleLower.includes('lead') || titleLower.includes('principal')) {
+    return 'Senior';
+  } else if (titleLower.includes('junior') || experienceYears < 2) {
+    return 'Entry-level';
+  }
+  return 'Mid-level';
+}
+
+// Updated helper function to transform LinkedIn data with user-provided phone info only
+function transformLinkedInDataWithPhone(linkedInProfile, userId, profileInput) {
+  if (!linkedInProfile) {
+    throw new Error('No profile data received');
+  }
+
+  // Ensure extraLinks are properly handled from profileInput
+  const extraLinks = Array.isArray(profileInput.extraLinks) ? profileInput.extraLinks.filter(Boolean) : [];
+
+  // Structured positions; the legacy workExperience text is derived from them
+  const positions = positionsFromLinkedIn(linkedInProfile.positions);
+  const workExperience = formatWorkExperience(positions);
+
+  // Extract skills from multiple sources: skills array, courses, and certifications
+  let skills = [];
+  
+  // Primary skills from skills array
+  if (linkedInProfile.skills && Array.isArray(linkedInProfile.skills)) {
+    const primarySkills = linkedInProfile.skills.map(skill => 
+      typeof skill === 'string' ? skill : skill.name || skill.title || ''
+    ).filter(skill => skill.trim());
+    skills.push(...primarySkills);
+  }
+  
+  // Additional skills from courses
+  if (linkedInProfile.courses && Array.isArray(linkedInProfile.courses)) {
+    const courseSkills = linkedInProfile.courses.map(course => 
+      typeof course === 'string' ? course : course.name || course.title || ''
+    ).filter(skill => skill.trim());
+    skills.push(...courseSkills);
+  }
+  
+  // Additional skills from certifications
+  if (linkedInProfile.certifications && Array.isArray(linkedInProfile.certifications)) {
+    const certificationSkills = linkedInProfile.certifications
+      .map(cert => typeof cert === 'string' ? cert : cert.name || cert.title || '')
+      .filter(skill => skill.trim())
+      .slice(0, 10); // Limit certifications to avoid too many skills
+    skills.push(...certificationSkills);
+  }
+  
+  // Remove duplicates and limit total skills
+  skills = [...new Set(skills)].slice(0, 25); // Remove duplicates and limit to 25 skills
+
+  // Structured educations; the legacy education text is derived from them
+  const educations = educationsFromLinkedIn(linkedInProfile.educations);
+  const education = formatEducation(educations);
+
+  // Determine industry from profile data or positions
+  let industry = linkedInProfile.industryName || 'Other';
+  if (!industry || industry === 'Other') {
+    if (linkedInProfile.positions && linkedInProfile.positions.length > 0) {
+      const currentPosition = linkedInProfile.positions[0];
+      if (currentPosition.company?.industries && currentPosition.company.industries.length > 0) {
+        industry = currentPosition.company.industries[0];
+      }
+    }
+  }
+
+  // Calculate total experience years based on all positions
+  let experienceYears = 0;
+  if (linkedInProfile.positions && linkedInProfile.positions.length > 0) {
+    // Find the earliest start date across all positions
+    let earliestStartYear = null;
+    
+    linkedInProfile.positions.forEach(position => {
+      if (position.timePeriod && position.timePeriod.startDate && position.timePeriod.startDate.year) {
+        if (!earliestStartYear || position.timePeriod.startDate.year < earliestStartYear) {
+          earliestStartYear = position.timePeriod.startDate.year;
+        }
+      }
+    });
+    
+    if (earliestStartYear) {
+      const currentYear = new Date().getFullYear();
+      experienceYears = Math.max(0, currentYear - earliestStartYear);
+    }
+  }
+
+  // Determine seniority level based on job title and experience
+  const jobTitle = linkedInProfile.jobTitle || linkedInProfile.occupation || linkedInProfile.positions?.[0]?.title || '';
+  const seniorityLevel = seniorityFromTitle(jobTitle, experienceYears);
+
+  // Details of the current employer, stored on its Company rather than the profile
+  const currentCompany = linkedInProfile.positions?.[0]?.company;
+  const companyDetails = {
+    industry: currentCompany?.industries?.[0] || undefined,
+    sizeRange: sizeRangeFrom(currentCompany?.employeeCountRange),
+    linkedinUrl: currentCompany?.url || linkedInProfile.positions?.[0]?.companyUrl || undefined
+  };
+
+  // Get location from profile or current position
+  const location = linkedInProfile.geoLocationName || linkedInProfile.geoCountryName || 
+                  linkedInProfile.positions?.[0]?.locationName || '';
+
+  // Use user-provided phone info as priority, fallback to LinkedIn data
+  const finalPhone = profileInput.phone || linkedInProfile.phone || '';
+
+  return {
+    name: `${linkedInProfile.firstName || ''} ${linkedInProfile.lastName || ''}`.trim() || linkedInProfile.fullName || '',
+    jobTitle,
+    company: linkedInProfile.companyName || linkedInProfile.positions?.[0]?.companyName || '',
+    location,
+    industry,
+    experience: experienceYears,
+    seniorityLevel,
+    skills,
+    education,
+    workExperience,
+    positions,
+    educations,
+    email: profileInput.email || linkedInProfile.email || '', // Prioritize user-provided email
+    phone: finalPhone, // Prioritize user-provided phone
+    avatar: linkedInProfile.pictureUrl || linkedInProfile.profilePicture || 'https://images.pexels.com/photos/771742/pexels-photo-771742.jpeg?auto=compress&cs=tinysrgb&w=150&h=150&fit=crop',
+    uploadedBy: userId,
+    companyDetails,
+    linkedinUrl: linkedInProfile.inputUrl || linkedInProfile.url || linkedInProfile.linkedinUrl || profileInput.url,
+    extraLinks: profileInput.extraLinks || []
+  };
+}
+
+module.exports = {
+  SCRAPER_OWNED_FIELDS,
+  SENIORITY_LEVELS,
+  seniorityFromTitle,
+  runLinkedInScraper,
+  transformLinkedInDataWithPhone
+};
@@ -0,0 +1,88 @@
+// mailTransport.js - Pluggable outgoing mail. MAIL_TRANSPORT selects the transport ("console" by default).
+//
+// Built-in transports:
+//   console - prints each message to the server log
+//   file    - writes each message as an .eml file to MAIL_OUTPUT_DIR (default .tmp/mail)
+// A real provider can be added with registerMailTransport(name, factory), where factory() returns
+// an object with `async send({ from, to, subject, text })`.
+const fs = require('fs/promises');
+const path = require('path');
+
+const DEFAULT_FROM = 'ContactPro <no-reply@contactpro.local>';
+
+// Header values must stay on one line
+function headerValue(value) {
+  return String(value || '').replace(/[\r\n]+/g, ' ').trim();
+}
+
+function toEml(message) {
+  return [
+    `From: ${headerValue(message.from)}`,
+    `To: ${headerValue(message.to)}`,
+    `Subject: ${headerValue(message.subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    '',
+    message.text || ''
+  ].join('\r\n');
+}
+
+const transportFactories = {
+  console: () => ({
+    async send(message) {
+      console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+      return { transport: 'console' };
+    }
+  }),
+
+  file: () => {
+    const outputDir = process.env.MAIL_OUTPUT_DIR || path.join(process.cwd(), '.tmp', 'mail');
+    return {
+      async send(message) {
+        await fs.mkdir(outputDir, { recursive: true });
+        const recipient = headerValue(message.to).replace(/[^\w.@-]/g, '_');
+        const file = path.join(outputDir, `${Date.now()}-${recipient}.eml`);
+        await fs.writeFile(file, toEml(message), 'utf8');
+        return { transport: 'file', file };
+      }
+    };
+  }
+};
+
+const transports = new Map();
+
+function registerMailTransport(name, factory) {
+  transportFactories[name] = factory;
+  transports.delete(name);
+}
+
+function getMailTransport() {
+  const name = process.env.MAIL_TRANSPORT || 'console';
+  if (!transportFactories[name]) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+  }
+  if (!transports.has(name)) {
+    transports.set(name, transportFactories[name]());
+  }
+  return transports.get(name);
+}
+
+// Send a plain-text message through the configured transport
+async function sendMail({ to, subject, text }) {
+  if (!to) {
+    throw new Error('Mail recipient is required');
+  }
+  return getMailTransport().send({
+    from: process.env.MAIL_FROM || DEFAULT_FROM,
+    to,
+    subject,
+    text
+  });
+}
+
+module.exports = {
+  registerMailTransport,
+  getMailTransport,
+  sendMail
+};
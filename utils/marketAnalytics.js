@@ -0,0 +1,227 @@
+// marketAnalytics.js - Aggregate statistics over the profile directory (no individual or contact data)
+//
+// Configuration (environment):
+//   ANALYTICS_CACHE_TTL_SECONDS   how long computed results are reused (default 600, 0 disables caching)
+const Profile = require('../models/profile');
+const { FILTER_PARAMS, buildProfileFilter, toList } = require('./profileQuery');
+const { SENIORITY_LEVELS } = require('./linkedinScraping');
+
+const ANALYTICS_SECTIONS = ['skills', 'seniorityByIndustry', 'experienceByTitle', 'locations', 'uploads'];
+const UPLOAD_INTERVALS = {
+  day: '%Y-%m-%d',
+  week: '%G-W%V',
+  month: '%Y-%m'
+};
+const DEFAULT_TOP = 20;
+const MAX_TOP = 100;
+const MAX_CACHE_ENTRIES = 500;
+
+// Filters buildProfileFilter matches case-insensitively, and those it reads as comma-separated lists
+const CASE_INSENSITIVE_FILTERS = new Set(['industry', 'seniorityLevel', 'location', 'company', 'skills', 'positionCompany']);
+const LIST_FILTERS = new Set(['industry', 'seniorityLevel', 'skills']);
+
+// Words that set the level of a job title rather than the job itself
+const TITLE_LEVEL_WORDS = new Set([
+  'senior', 'sr', 'junior', 'jr', 'lead', 'principal', 'staff', 'associate', 'assistant',
+  'intern', 'trainee', 'head', 'chief', 'i', 'ii', 'iii', 'iv'
+]);
+
+function cacheTtlMs() {
+  const seconds = Number(process.env.ANALYTICS_CACHE_TTL_SECONDS);
+  return (Number.isFinite(seconds) && seconds >= 0 ? seconds : 600) * 1000;
+}
+
+// Narrow `match` to profiles with a non-empty `field`, keeping any filter already set on it
+function withNonEmpty(match, field) {
+  const present = { [field]: { $nin: [null, ''] } };
+  return match[field] === undefined ? { ...match, ...present } : { $and: [match, present] };
+}
+
+function parseTop(value) {
+  const top = parseInt(value, 10);
+  if (!Number.isFinite(top) || top <= 0) return DEFAULT_TOP;
+  return Math.min(top, MAX_TOP);
+}
+
+// "Senior Software Engineer @ Acme | React" -> "software engineer"
+function titleCluster(jobTitle) {
+  const role = String(jobTitle || '').split(/\s+(?:at|@|-|–)\s+|\||,|\(/i)[0];
+  const words = role
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .split(/\s+/)
+    .filter(word => word && !TITLE_LEVEL_WORDS.has(word));
+  return words.join(' ');
+}
+
+function round(value, digits = 1) {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+const sections = {
+  // Most common skills, case-insensitive
+  async skills(match, { top }) {
+    const rows = await Profile.aggregate([
+      { $match: match },
+      { $unwind: '$skills' },
+      { $group: { _id: { $toLower: { $trim: { input: '$skills' } } }, name: { $first: '$skills' }, count: { $sum: 1 } } },
+      { $match: { _id: { $ne: '' } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: top }
+    ]);
+    return rows.map(row => ({ skill: row.name.trim(), count: row.count }));
+  },
+
+  // seniorityLevel distribution within each of the largest industries
+  async seniorityByIndustry(match, { top }) {
+    const rows = await Profile.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { industry: { $ifNull: ['$industry', 'Other'] }, seniorityLevel: '$seniorityLevel' },
+          count: { $sum: 1 }
+        }
+      }
+    ]);
+
+    const industries = new Map();
+    rows.forEach(row => {
+      const name = row._id.industry || 'Other';
+      if (!industries.has(name)) {
+        industries.set(name, {
+          industry: name,
+          total: 0,
+          seniority: Object.fromEntries(SENIORITY_LEVELS.map(level => [level, 0]))
+        });
+      }
+      const entry = industries.get(name);
+      const level = SENIORITY_LEVELS.includes(row._id.seniorityLevel) ? row._id.seniorityLevel : 'unknown';
+      entry.seniority[level] = (entry.seniority[level] || 0) + row.count;
+      entry.total += row.count;
+    });
+
+    return [...industries.values()]
+      .sort((a, b) => b.total - a.total || a.industry.localeCompare(b.industry))
+      .slice(0, top);
+  },
+
+  // Average years of experience per job title cluster (level words like "Senior" are ignored)
+  async experienceByTitle(match, { top }) {
+    const rows = await Profile.aggregate([
+      { $match: withNonEmpty(match, 'jobTitle') },
+      {
+        $group: {
+          _id: { $toLower: { $trim: { input: '$jobTitle' } } },
+          count: { $sum: 1 },
+          withExperience: { $sum: { $cond: [{ $isNumber: '$experience' }, 1, 0] } },
+          totalExperience: { $sum: { $cond: [{ $isNumber: '$experience' }, '$experience', 0] } }
+        }
+      }
+    ]);
+
+    const clusters = new Map();
+    rows.forEach(row => {
+      const cluster = titleCluster(row._id);
+      if (!cluster) return;
+      const entry = clusters.get(cluster) || { cluster, count: 0, withExperience: 0, totalExperience: 0 };
+      entry.count += row.count;
+      entry.withExperience += row.withExperience;
+      entry.totalExperience += row.totalExperience;
+      clusters.set(cluster, entry);
+    });
+
+    return [...clusters.values()]
+      .sort((a, b) => b.count - a.count || a.cluster.localeCompare(b.cluster))
+      .slice(0, top)
+      .map(entry => ({
+        cluster: entry.cluster,
+        count: entry.count,
+        averageExperience: entry.withExperience ? round(entry.totalExperience / entry.withExperience) : null
+      }));
+  },
+
+  // Most common locations, case-insensitive
+  async locations(match, { top }) {
+    const rows = await Profile.aggregate([
+      { $match: withNonEmpty(match, 'location') },
+      { $group: { _id: { $toLower: { $trim: { input: '$location' } } }, name: { $first: '$location' }, count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: top }
+    ]);
+    return rows.map(row => ({ location: row.name.trim(), count: row.count }));
+  },
+
+  // Profiles uploaded per day, ISO week or month
+  async uploads(match, { interval }) {
+    const rows = await Profile.aggregate([
+      { $match: { ...match, uploadedAt: { $type: 'date', ...(match.uploadedAt || {}) } } },
+      { $group: { _id: { $dateToString: { format: UPLOAD_INTERVALS[interval], date: '$uploadedAt' } }, count: { $sum: 1 } } },
+      { $sort: { _id: 1 } }
+    ]);
+    return rows.map(row => ({ period: row._id, count: row.count }));
+  }
+};
+
+const cache = new Map();
+
+// Normalize a filter value the way buildProfileFilter reads it, so only equivalent queries share a key
+function cacheKeyValue(param, value) {
+  const values = (LIST_FILTERS.has(param) ? toList(value) : [String(value).trim()])
+    .map(v => (CASE_INSENSITIVE_FILTERS.has(param) ? v.toLowerCase() : v));
+  return LIST_FILTERS.has(param) ? values.sort() : values;
+}
+
+// Cache key: the requested sections and options plus every filter parameter, normalized
+function cacheKey(query, requested, options) {
+  const filters = FILTER_PARAMS
+    .filter(param => query[param] !== undefined && query[param] !== '')
+    .map(param => [param, cacheKeyValue(param, query[param])]);
+  return JSON.stringify([requested, options, filters]);
+}
+
+// Compute the requested analytics sections for the profiles matching `query` (same filters as GET /profiles).
+// query also accepts: sections (comma-separated), top, interval=day|week|month
+// Returns { sections, filters, generatedAt, cached }.
+async function loadMarketAnalytics(query = {}) {
+  const requested = toList(query.sections).filter(section => ANALYTICS_SECTIONS.includes(section));
+  const selected = requested.length ? requested : ANALYTICS_SECTIONS;
+  const options = {
+    top: parseTop(query.top),
+    interval: UPLOAD_INTERVALS[query.interval] ? query.interval : 'month'
+  };
+
+  const ttl = cacheTtlMs();
+  const key = cacheKey(query, selected, options);
+  const hit = cache.get(key);
+  if (ttl > 0 && hit && Date.now() - hit.generatedAt.getTime() < ttl) {
+    return { ...hit, cached: true };
+  }
+
+  const match = buildProfileFilter(query);
+  const results = {};
+  // One aggregation at a time - these scan the whole matching set
+  for (const section of selected) {
+    results[section] = await sections[section](match, options);
+  }
+
+  const filters = Object.fromEntries(
+    FILTER_PARAMS.filter(param => query[param] !== undefined && query[param] !== '').map(param => [param, query[param]])
+  );
+  const result = { sections: results, filters, ...options, generatedAt: new Date() };
+
+  if (ttl > 0) {
+    if (cache.size >= MAX_CACHE_ENTRIES) cache.delete(cache.keys().next().value);
+    cache.delete(key);
+    cache.set(key, result);
+  }
+  return { ...result, cached: false };
+}
+
+module.exports = {
+  ANALYTICS_SECTIONS,
+  UPLOAD_INTERVALS,
+  titleCluster,
+  cacheKey,
+  loadMarketAnalytics
+};
@@ -0,0 +1,187 @@
+// pointsLedger.js - Append-only points ledger. Every change to Dashboard.availablePoints goes through here
+// and is recorded as a PointsTransaction carrying the balance it left behind.
+const mongoose = require('mongoose');
+const Dashboard = require('../models/Dashboard');
+const PointsTransaction = require('../models/PointsTransaction');
+
+// Points every new user starts with
+const SIGNUP_BONUS_POINTS = 100;
+const TRANSACTION_TYPES = PointsTransaction.schema.path('type').enumValues;
+const MAX_REPORTED_MISMATCHES = 200;
+const DUPLICATE_KEY_ERROR = 11000;
+
+// Record ledger entries that were applied together and left the balance at `finalBalance`.
+// Zero-point entries are skipped unless pricing rules set them (e.g. a free-unlock promotion).
+async function recordEntries(userId, entries, finalBalance) {
+  let balance = finalBalance - entries.reduce((sum, entry) => sum + entry.amount, 0);
+  const docs = entries
+    .filter(entry => entry.amount !== 0 || entry.pricing)
+    .map(entry => {
+      balance += entry.amount;
+      return { ...entry, userId, balanceAfter: balance };
+    });
+  if (docs.length) await PointsTransaction.insertMany(docs);
+}
+
+// Dashboards from before the ledger have points but no entries. Before the first ledger write for such a
+// user, record their balance as an opening_balance. The dashboard is claimed first so concurrent writes
+// open it only once, and the balance read by the claim comes before any of their changes.
+// Returns true when this call opened the ledger.
+async function openLedger(userId) {
+  if (await PointsTransaction.exists({ userId })) return false;
+
+  const dashboard = await Dashboard.findOneAndUpdate(
+    { userId, ledgerOpenedAt: null },
+    { $set: { ledgerOpenedAt: new Date() } },
+    { new: true }
+  ).select('availablePoints');
+  if (!dashboard) return false;
+
+  const balance = dashboard.availablePoints || 0;
+  await recordEntries(userId, [{
+    type: 'opening_balance',
+    amount: balance,
+    description: 'Balance before the points ledger'
+  }], balance);
+  return true;
+}
+
+// Apply points changes to a user's dashboard in one update and record them in the ledger.
+// entries: [{ type, amount, profileId, jobId, reportId, pricing, description }]
+// options: { filter, update } - extra dashboard conditions (checked atomically with the update) and
+// other dashboard changes made in the same update.
+// Returns the updated dashboard, or null when no dashboard matched (nothing is recorded then).
+async function applyPoints(userId, entries, { filter = {}, update = {} } = {}) {
+  await openLedger(userId);
+
+  const total = entries.reduce((sum, entry) => sum + entry.amount, 0);
+  const dashboard = await Dashboard.findOneAndUpdate(
+    { ...filter, userId },
+    {
+      ...update,
+      $inc: { ...update.$inc, availablePoints: total },
+      updatedAt: new Date()
+    },
+    { new: true }
+  );
+  if (!dashboard) return null;
+
+  await recordEntries(userId, entries, dashboard.availablePoints);
+  return dashboard;
+}
+
+// Deduct up to `points` without taking the balance below zero. `entry` describes the transaction
+// ({ type, profileId, reportId, description }); `activity` is added to the dashboard feed.
+// Returns the points actually deducted.
+async function deductPoints(userId, points, entry, { activity } = {}) {
+  const set = {
+    availablePoints: { $max: [0, { $subtract: ['$availablePoints', points] }] },
+    updatedAt: '$$NOW'
+  };
+  if (activity) {
+    set.recentActivity = { $slice: [{ $concatArrays: [{ $ifNull: ['$recentActivity', []] }, [activity]] }, -10] };
+  }
+
+  await openLedger(userId);
+  const before = await Dashboard.findOneAndUpdate({ userId }, [{ $set: set }], { new: false });
+  if (!before) return 0;
+
+  const deducted = Math.min(points, Math.max(0, before.availablePoints));
+  await recordEntries(userId, [{ ...entry, amount: -deducted }], before.availablePoints - deducted);
+  return deducted;
+}
+
+// Create a user's dashboard with the signup bonus on the ledger. Its ledger starts with that bonus,
+// so it is opened right away and openLedger never adds an opening balance for it.
+async function createDashboard(userId, welcomeMessage) {
+  const dashboard = await Dashboard.create({
+    userId,
+    availablePoints: SIGNUP_BONUS_POINTS,
+    recentActivity: [welcomeMessage],
+    ledgerOpenedAt: new Date()
+  });
+  await recordEntries(userId, [{ type: 'signup_bonus', amount: SIGNUP_BONUS_POINTS, description: 'Welcome bonus' }], SIGNUP_BONUS_POINTS);
+  return dashboard;
+}
+
+// The user's dashboard, created with the signup bonus when it doesn't exist yet (safe to call concurrently)
+async function ensureDashboard(userId, welcomeMessage) {
+  const dashboard = await Dashboard.findOne({ userId });
+  if (dashboard) return dashboard;
+
+  try {
+    return await createDashboard(userId, welcomeMessage);
+  } catch (err) {
+    if (err.code !== DUPLICATE_KEY_ERROR) throw err;
+    return Dashboard.findOne({ userId });
+  }
+}
+
+// Compare a user's cached balance with their ledger.
+// Returns { userId, cachedBalance, ledgerBalance, difference, transactions, consistent }.
+async function reconcileBalance(userId) {
+  const [dashboard, totals] = await Promise.all([
+    Dashboard.findOne({ userId }).select('availablePoints'),
+    PointsTransaction.aggregate([
+      { $match: { userId: new mongoose.Types.ObjectId(String(userId)) } },
+      { $group: { _id: null, balance: { $sum: '$amount' }, count: { $sum: 1 } } }
+    ])
+  ]);
+
+  const cachedBalance = dashboard ? dashboard.availablePoints : 0;
+  const ledgerBalance = totals[0]?.balance || 0;
+  return {
+    userId: String(userId),
+    cachedBalance,
+    ledgerBalance,
+    difference: cachedBalance - ledgerBalance,
+    transactions: totals[0]?.count || 0,
+    consistent: cachedBalance === ledgerBalance
+  };
+}
+
+// Reconcile every dashboard against the ledger. With `openMissing`, dashboards that predate the
+// ledger and haven't been written to since (no transactions at all) are opened now (see openLedger).
+// Returns { checked, consistent, opened, mismatches: [...] }.
+async function reconcileAllBalances({ openMissing = false } = {}) {
+  const totals = await PointsTransaction.aggregate([
+    { $group: { _id: '$userId', balance: { $sum: '$amount' }, count: { $sum: 1 } } }
+  ]);
+  const ledgerByUser = new Map(totals.map(t => [String(t._id), t]));
+
+  const report = { checked: 0, consistent: 0, opened: 0, mismatches: [] };
+  const cursor = Dashboard.find().select('userId availablePoints').lean().cursor();
+  for await (const dashboard of cursor) {
+    report.checked++;
+    const userId = String(dashboard.userId);
+    const ledger = ledgerByUser.get(userId);
+    const cachedBalance = dashboard.availablePoints || 0;
+
+    if (!ledger && openMissing && await openLedger(dashboard.userId)) {
+      report.opened++;
+      report.consistent++;
+      continue;
+    }
+
+    const ledgerBalance = ledger?.balance || 0;
+    if (cachedBalance === ledgerBalance) {
+      report.consistent++;
+    } else if (report.mismatches.length < MAX_REPORTED_MISMATCHES) {
+      report.mismatches.push({ userId, cachedBalance, ledgerBalance, difference: cachedBalance - ledgerBalance });
+    }
+  }
+
+  report.mismatched = report.checked - report.consistent;
+  return report;
+}
+
+module.exports = {
+  SIGNUP_BONUS_POINTS,
+  TRANSACTION_TYPES,
+  applyPoints,
+  deductPoints,
+  createDashboard,
+  ensureDashboard,
+  reconcileBalance,
+  reconcileAllBalances
+};
@@ -0,0 +1,141 @@
+// pricingRules.js - Prices profile unlocks and upload rewards from the admin-defined PricingRule documents
+//
+// The highest-priority active price rule matching the profile sets the base points (falling back to the
+// built-in defaults), then the highest-priority running promotion scales them. Every quote names the rules
+// that produced it so the ledger entry can record them.
+const PricingRule = require('../models/PricingRule');
+const { computeCompleteness, uploadRewardFor } = require('./profileCompleteness');
+
+// Default points a user pays to unlock a profile's contact fields
+const UNLOCK_COST_POINTS = 20;
+
+const PRICING_TARGETS = PricingRule.schema.path('target').enumValues;
+const RULE_KINDS = PricingRule.schema.path('kind').enumValues;
+
+function fieldOf(profile, field) {
+  return typeof profile.get === 'function' ? profile.get(field) : profile[field];
+}
+
+function hasText(value) {
+  return typeof value === 'string' ? value.trim().length > 0 : Boolean(value);
+}
+
+function completenessOf(profile) {
+  const score = fieldOf(profile, 'completenessScore');
+  return typeof score === 'number' ? score : computeCompleteness(profile);
+}
+
+function isRunning(rule, now) {
+  return (!rule.startsAt || rule.startsAt <= now) && (!rule.endsAt || rule.endsAt > now);
+}
+
+function matchesConditions(rule, profile) {
+  const conditions = rule.conditions || {};
+
+  if (conditions.seniorityLevels?.length) {
+    const level = String(fieldOf(profile, 'seniorityLevel') || '').toLowerCase();
+    if (!conditions.seniorityLevels.some(l => l.toLowerCase() === level)) return false;
+  }
+
+  const score = completenessOf(profile);
+  if (typeof conditions.minCompleteness === 'number' && score < conditions.minCompleteness) return false;
+  if (typeof conditions.maxCompleteness === 'number' && score > conditions.maxCompleteness) return false;
+
+  if (typeof conditions.hasEmail === 'boolean' && hasText(fieldOf(profile, 'email')) !== conditions.hasEmail) return false;
+  if (typeof conditions.hasPhone === 'boolean' && hasText(fieldOf(profile, 'phone')) !== conditions.hasPhone) return false;
+
+  return true;
+}
+
+// Active rules for a target that are running at `now`, highest priority first
+async function loadActiveRules(target, now = new Date()) {
+  const rules = await PricingRule.find({ target, active: true }).sort({ priority: -1, createdAt: -1 }).lean();
+  return rules.filter(rule => isRunning(rule, now));
+}
+
+function defaultPoints(target, profile) {
+  return target === 'unlock_cost' ? UNLOCK_COST_POINTS : uploadRewardFor(completenessOf(profile));
+}
+
+// Price one profile against already loaded rules (see loadActiveRules).
+// Returns { target, points, basePoints, rule, promotion } - rule/promotion are { id, name, ... } or null.
+function priceProfile(rules, target, profile) {
+  const matching = rules.filter(rule => rule.target === target && matchesConditions(rule, profile));
+  const rule = matching.find(r => r.kind !== 'promotion');
+  const promotion = matching.find(r => r.kind === 'promotion');
+
+  const basePoints = rule ? rule.points : defaultPoints(target, profile);
+  const points = promotion ? Math.max(0, Math.round(basePoints * promotion.multiplier)) : basePoints;
+
+  return {
+    target,
+    points,
+    basePoints,
+    rule: rule ? { id: rule._id.toString(), name: rule.name } : null,
+    promotion: promotion
+      ? { id: promotion._id.toString(), name: promotion.name, multiplier: promotion.multiplier, endsAt: promotion.endsAt }
+      : null
+  };
+}
+
+async function quoteUnlockCost(profile, { now = new Date() } = {}) {
+  return priceProfile(await loadActiveRules('unlock_cost', now), 'unlock_cost', profile);
+}
+
+async function quoteUploadReward(profile, { now = new Date() } = {}) {
+  return priceProfile(await loadActiveRules('upload_reward', now), 'upload_reward', profile);
+}
+
+// What a ledger entry or profile stores about how its points were priced
+function pricingRecord(quote) {
+  return {
+    ruleId: quote.rule?.id,
+    promotionId: quote.promotion?.id,
+    basePoints: quote.basePoints
+  };
+}
+
+// Set uploadReward (and the pricing behind it) on new profiles. Rewards are always priced here,
+// replacing whatever the document came with. Rules are loaded once for the whole batch.
+async function priceUploads(docs, { now = new Date() } = {}) {
+  const uploads = docs.filter(Boolean);
+  if (uploads.length === 0) return;
+
+  const rules = await loadActiveRules('upload_reward', now);
+  uploads.forEach(doc => {
+    const quote = priceProfile(rules, 'upload_reward', doc);
+    doc.uploadReward = quote.points;
+    doc.uploadPricing = pricingRecord(quote);
+  });
+}
+
+function presentRule(rule) {
+  return {
+    id: rule._id.toString(),
+    name: rule.name,
+    target: rule.target,
+    kind: rule.kind,
+    points: rule.points,
+    multiplier: rule.multiplier,
+    priority: rule.priority,
+    active: rule.active,
+    startsAt: rule.startsAt,
+    endsAt: rule.endsAt,
+    conditions: rule.conditions || {},
+    createdAt: rule.createdAt,
+    updatedAt: rule.updatedAt
+  };
+}
+
+module.exports = {
+  UNLOCK_COST_POINTS,
+  PRICING_TARGETS,
+  RULE_KINDS,
+  loadActiveRules,
+  priceProfile,
+  quoteUnlockCost,
+  quoteUploadReward,
+  pricingRecord,
+  priceUploads,
+  presentRule
+};
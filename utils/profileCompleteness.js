@@ -0,0 +1,74 @@
+// profileCompleteness.js - Completeness/quality score (0-100) for profiles and the upload reward it earns
+
+// Points each field contributes to the score; they add up to 100
+const FIELD_WEIGHTS = {
+  name: 10,
+  jobTitle: 10,
+  company: 8,
+  location: 5,
+  industry: 5,
+  experience: 5,
+  seniorityLevel: 4,
+  skills: 12,
+  education: 8,
+  workExperience: 12,
+  email: 8,
+  phone: 8,
+  linkedinUrl: 5
+};
+
+const FULL_SKILLS_COUNT = 5; // skills earn their full weight from this many entries
+const FULL_WORK_EXPERIENCE_LENGTH = 200; // characters of workExperience for the full weight
+
+const UPLOAD_REWARD_POINTS = 10;
+
+// Extra upload points for high-quality records, highest threshold first
+const QUALITY_BONUSES = [
+  { minScore: 80, bonus: 5 },
+  { minScore: 60, bonus: 3 }
+];
+
+function hasText(value) {
+  return typeof value === 'string' ? value.trim().length > 0 : Boolean(value);
+}
+
+// Fraction (0..1) of a field's weight the profile earns
+function fieldCoverage(field, value) {
+  switch (field) {
+    case 'skills': {
+      const count = Array.isArray(value) ? value.filter(hasText).length : 0;
+      return Math.min(count / FULL_SKILLS_COUNT, 1);
+    }
+    case 'workExperience': {
+      const length = hasText(value) ? String(value).trim().length : 0;
+      if (length === 0) return 0;
+      return Math.max(0.5, Math.min(length / FULL_WORK_EXPERIENCE_LENGTH, 1));
+    }
+    case 'experience':
+      return typeof value === 'number' && value > 0 ? 1 : 0;
+    case 'industry':
+      return hasText(value) && value !== 'Other' ? 1 : 0;
+    default:
+      return hasText(value) ? 1 : 0;
+  }
+}
+
+function computeCompleteness(profile) {
+  const get = field => (typeof profile.get === 'function' ? profile.get(field) : profile[field]);
+  const score = Object.entries(FIELD_WEIGHTS)
+    .reduce((total, [field, weight]) => total + weight * fieldCoverage(field, get(field)), 0);
+  return Math.round(score);
+}
+
+function uploadRewardFor(completenessScore) {
+  const tier = QUALITY_BONUSES.find(t => (completenessScore || 0) >= t.minScore);
+  return UPLOAD_REWARD_POINTS + (tier ? tier.bonus : 0);
+}
+
+module.exports = {
+  FIELD_WEIGHTS,
+  UPLOAD_REWARD_POINTS,
+  QUALITY_BONUSES,
+  computeCompleteness,
+  uploadRewardFor
+};
@@ -0,0 +1,166 @@
+// profileHistory.js - Versioned change tracking for Profile documents
+const ProfileHistory = require('../models/ProfileHistory');
+const { CONTACT_FIELDS, maskEmail, maskPhone } = require('./contactPolicy');
+
+// Fields whose changes are recorded and restored on revert
+const TRACKED_FIELDS = [
+  'name', 'jobTitle', 'company', 'location', 'industry', 'experience', 'seniorityLevel',
+  'skills', 'education', 'workExperience', 'positions', 'educations',
+  'email', 'emailOriginal', 'phone', 'phoneOriginal', 'phoneCountry',
+  'avatar', 'linkedinUrl', 'extraLinks', 'uploadedBy'
+];
+
+function plainValue(value) {
+  if (value === undefined) return null;
+  if (value && typeof value.toObject === 'function') return value.toObject();
+  if (Array.isArray(value)) return [...value];
+  return value;
+}
+
+// Plain copy of the tracked fields of a document or object
+function snapshotOf(doc) {
+  const snapshot = {};
+  TRACKED_FIELDS.forEach(field => {
+    snapshot[field] = plainValue(typeof doc.get === 'function' ? doc.get(field) : doc[field]);
+  });
+  return snapshot;
+}
+
+function isBlank(value) {
+  return value === null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+// [{ field, before, after }] for every tracked field that differs
+function diffSnapshots(before, after) {
+  return TRACKED_FIELDS
+    .filter(field => {
+      if (isBlank(before[field]) && isBlank(after[field])) return false;
+      return JSON.stringify(before[field]) !== JSON.stringify(after[field]);
+    })
+    .map(field => ({ field, before: before[field], after: after[field] }));
+}
+
+// Attach who/what is writing a profile before calling save().
+// context: { actor, source: 'user' | 'bulk' | 'import' | 'scraper' | 'admin' | 'system', action, revertedTo }
+function setHistoryContext(doc, context) {
+  doc.$locals.historyContext = context;
+  return doc;
+}
+
+// Stored revision condition for a save: documents from before history tracking have no revision field
+function revisionCondition(revision) {
+  return revision ? revision : { $in: [0, null] };
+}
+
+// Schema middleware: remember the stored state, bump revision on save and write the history entry.
+// Updates only apply if the stored revision is still the one this document was loaded with, so two
+// concurrent saves can't claim the same version - the later one fails without writing anything.
+function profileHistoryPlugin(schema) {
+  schema.post('init', function() {
+    this.$locals.originalSnapshot = snapshotOf(this);
+    this.$locals.originalRevision = this.revision;
+  });
+
+  schema.pre('save', function(next) {
+    const before = this.isNew ? snapshotOf({}) : (this.$locals.originalSnapshot || snapshotOf({}));
+    const after = snapshotOf(this);
+    const changes = diffSnapshots(before, after);
+
+    if (!this.isNew && changes.length === 0) {
+      this.$locals.pendingHistory = null;
+      return next();
+    }
+
+    const context = this.$locals.historyContext || {};
+    const storedRevision = this.isNew ? 0 : (this.$locals.originalRevision ?? this.revision);
+    if (!this.isNew) {
+      this.$where = { ...this.$where, revision: revisionCondition(storedRevision) };
+    }
+    this.revision = (storedRevision || 0) + 1;
+    this.$locals.pendingHistory = {
+      profileId: this._id,
+      version: this.revision,
+      action: context.action || (this.isNew ? 'create' : 'update'),
+      source: context.source || 'user',
+      actor: context.actor ? String(context.actor) : null,
+      changes,
+      snapshot: after,
+      revertedTo: context.revertedTo
+    };
+    next();
+  });
+
+  schema.post('save', async function() {
+    const entry = this.$locals.pendingHistory;
+    this.$locals.pendingHistory = null;
+    this.$locals.historyContext = null;
+    this.$locals.originalSnapshot = snapshotOf(this);
+    this.$locals.originalRevision = this.revision;
+    if (this.$where) delete this.$where.revision;
+
+    if (entry) {
+      await ProfileHistory.create(entry);
+    }
+  });
+
+  schema.post('save', function(error, doc, next) {
+    if (error.name === 'DocumentNotFoundError') {
+      return next(new Error('This profile was changed or deleted by another request - reload it and try again'));
+    }
+    next(error);
+  });
+}
+
+// insertMany skips save middleware - record create entries for bulk-inserted profiles explicitly
+async function recordBulkCreates(docs, context = {}) {
+  if (!docs.length) return;
+
+  await ProfileHistory.insertMany(docs.map(doc => {
+    const snapshot = snapshotOf(doc);
+    return {
+      profileId: doc._id,
+      version: doc.revision || 1,
+      action: 'create',
+      source: context.source || 'bulk',
+      actor: context.actor ? String(context.actor) : null,
+      changes: diffSnapshots(snapshotOf({}), snapshot),
+      snapshot
+    };
+  }), { ordered: false });
+}
+
+function maskHistoryValue(field, value) {
+  if (value === null || value === undefined) return value;
+  if (field === 'email' || field === 'emailOriginal') return maskEmail(value);
+  if (field === 'phone' || field === 'phoneOriginal') return maskPhone(value);
+  if (field === 'extraLinks') return [];
+  return value;
+}
+
+// Apply the contact policy to a history entry for viewers who can't see contact fields
+function redactHistoryEntry(entry) {
+  const snapshot = { ...(entry.snapshot || {}) };
+  CONTACT_FIELDS.forEach(field => {
+    if (field in snapshot) snapshot[field] = maskHistoryValue(field, snapshot[field]);
+  });
+
+  return {
+    ...entry,
+    changes: (entry.changes || []).map(change => ({
+      field: change.field,
+      before: maskHistoryValue(change.field, change.before),
+      after: maskHistoryValue(change.field, change.after)
+    })),
+    snapshot
+  };
+}
+
+module.exports = {
+  TRACKED_FIELDS,
+  snapshotOf,
+  diffSnapshots,
+  setHistoryContext,
+  profileHistoryPlugin,
+  recordBulkCreates,
+  redactHistoryEntry
+};
@@ -0,0 +1,149 @@
+// profileImport.js - Parses CSV/XLSX contact sheets and validates rows for the Profile schema
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+const { buildEntries, markDuplicates } = require('./profileValidation');
+
+const MAX_IMPORT_ROWS = 5000;
+
+// Problems with the uploaded file itself - reported as a 400, unlike server errors
+function fileError(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+// Profile fields a spreadsheet column can be mapped to
+const IMPORTABLE_FIELDS = [
+  'name', 'jobTitle', 'company', 'location', 'industry', 'experience', 'seniorityLevel',
+  'skills', 'education', 'workExperience', 'email', 'phone', 'avatar', 'linkedinUrl', 'extraLinks'
+];
+const LIST_FIELDS = ['skills', 'extraLinks'];
+
+function detectFormat(file) {
+  const name = (file.originalname || '').toLowerCase();
+  if (name.endsWith('.xlsx') || file.mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet') {
+    return 'xlsx';
+  }
+  if (name.endsWith('.csv') || file.mimetype === 'text/csv' || file.mimetype === 'application/vnd.ms-excel') {
+    return 'csv';
+  }
+  return null;
+}
+
+// ExcelJS cell values can be rich text, hyperlinks, formulas or dates
+function cellToString(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') {
+    if (value.text !== undefined) return cellToString(value.text);
+    if (value.hyperlink) return String(value.hyperlink);
+    if (value.result !== undefined) return cellToString(value.result);
+    if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('');
+  }
+  return String(value).trim();
+}
+
+// Read the first worksheet into { headers, rows } where rows are { rowNumber, values: {header: text} }
+async function parseSheet(file) {
+  const format = detectFormat(file);
+  if (!format) {
+    throw fileError('Unsupported file type - upload a .csv or .xlsx file');
+  }
+
+  const workbook = new ExcelJS.Workbook();
+  let worksheet;
+  try {
+    if (format === 'xlsx') {
+      await workbook.xlsx.load(file.buffer);
+      worksheet = workbook.worksheets[0];
+    } else {
+      worksheet = await workbook.csv.read(Readable.from(file.buffer), {
+        parserOptions: { trim: true },
+        map: value => value // keep every cell as text, don't coerce numbers/dates
+      });
+    }
+  } catch (err) {
+    throw fileError(`The uploaded file could not be read: ${err.message}`);
+  }
+
+  if (!worksheet || worksheet.rowCount === 0) {
+    throw fileError('The uploaded file is empty');
+  }
+
+  const headers = [];
+  worksheet.getRow(1).eachCell({ includeEmpty: true }, (cell, col) => {
+    headers[col] = cellToString(cell.value);
+  });
+
+  const rows = [];
+  worksheet.eachRow({ includeEmpty: false }, (row, rowNumber) => {
+    if (rowNumber === 1) return;
+    const values = {};
+    row.eachCell({ includeEmpty: true }, (cell, col) => {
+      if (headers[col]) values[headers[col]] = cellToString(cell.value);
+    });
+    if (Object.values(values).some(Boolean)) {
+      rows.push({ rowNumber, values });
+    }
+  });
+
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw fileError(`Too many rows - the limit is ${MAX_IMPORT_ROWS} per import`);
+  }
+
+  return { headers: headers.filter(Boolean), rows };
+}
+
+// Validate a { column: field } mapping. Without one, columns named like a field map to it.
+function resolveMapping(headers, mapping) {
+  if (!mapping || Object.keys(mapping).length === 0) {
+    const auto = {};
+    headers.forEach(header => {
+      const field = IMPORTABLE_FIELDS.find(f => f.toLowerCase() === header.trim().toLowerCase());
+      if (field) auto[header] = field;
+    });
+    return { mapping: auto, errors: [] };
+  }
+
+  const errors = [];
+  Object.entries(mapping).forEach(([column, field]) => {
+    if (!headers.includes(column)) errors.push(`Column "${column}" not found in file`);
+    if (!IMPORTABLE_FIELDS.includes(field)) errors.push(`"${field}" is not an importable profile field`);
+  });
+  return { mapping, errors };
+}
+
+// Build profile data from one row using the column mapping
+function mapRow(values, mapping) {
+  const data = {};
+  Object.entries(mapping).forEach(([column, field]) => {
+    const raw = (values[column] || '').trim();
+    if (!raw) return;
+
+    if (LIST_FIELDS.includes(field)) {
+      data[field] = raw.split(/[,;|]/).map(v => v.trim()).filter(Boolean);
+    } else {
+      data[field] = raw;
+    }
+  });
+  return data;
+}
+
+// Classify every row as accepted, duplicate (linkedinId/email, in the DB or earlier in the file) or invalid
+async function buildImportReport(rows, mapping, Profile) {
+  const entries = buildEntries(
+    rows.map(({ values }) => mapRow(values, mapping)),
+    index => `row ${rows[index].rowNumber}`,
+    Profile // Schema validation too, so a dry run classifies rows exactly like the import itself
+  );
+  await markDuplicates(entries, Profile);
+
+  return entries.map(({ label, ...entry }, index) => ({ row: rows[index].rowNumber, ...entry }));
+}
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  IMPORTABLE_FIELDS,
+  parseSheet,
+  resolveMapping,
+  mapRow,
+  buildImportReport
+};
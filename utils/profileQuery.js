@@ -0,0 +1,237 @@
+// profileQuery.js - Builds MongoDB filters, sorts and cursors for profile listings
+const mongoose = require('mongoose');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Fields the listing can be sorted by, and how to revive their cursor values
+const SORT_FIELDS = {
+  uploadedAt: 'date',
+  updatedAt: 'date',
+  experience: 'number',
+  completenessScore: 'number',
+  name: 'string'
+};
+
+// Query parameters read by buildProfileFilter (saved searches store exactly these)
+const FILTER_PARAMS = [
+  'industry', 'seniorityLevel', 'location', 'company', 'companyId', 'skills', 'skillsMatch',
+  'minExperience', 'maxExperience', 'minCompleteness', 'maxCompleteness',
+  'positionCompany', 'positionFrom', 'positionTo', 'uploadedFrom', 'uploadedTo'
+];
+
+// Escape user input before using it inside a RegExp
+function escapeRegex(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Accept "a,b,c" or repeated query params (?x=a&x=b) and return a clean array
+function toList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  const raw = Array.isArray(value) ? value : String(value).split(',');
+  return raw.map(v => String(v).trim()).filter(Boolean);
+}
+
+function toNumber(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const num = Number(value);
+  return Number.isFinite(num) ? num : undefined;
+}
+
+function toDate(value) {
+  if (!value) return undefined;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+}
+
+// Exact, case-insensitive match against one of the given values
+function exactAnyOf(values) {
+  return { $in: values.map(v => new RegExp(`^${escapeRegex(v)}$`, 'i')) };
+}
+
+// Build a Profile filter from listing query parameters:
+// industry, seniorityLevel (comma-separated, exact match)
+// location, company (case-insensitive substring), companyId (linked Company, aliases included)
+// skills + skillsMatch=any|all
+// minExperience / maxExperience, minCompleteness / maxCompleteness, uploadedFrom / uploadedTo
+// positionCompany + positionFrom / positionTo (years) - "worked at X between 2018 and 2021"
+function buildProfileFilter(query = {}) {
+  // Profiles hidden by moderation never show up in listings (older documents have no `hidden` field)
+  const filter = { hidden: { $ne: true } };
+
+  const industries = toList(query.industry);
+  if (industries.length) filter.industry = exactAnyOf(industries);
+
+  const seniorityLevels = toList(query.seniorityLevel);
+  if (seniorityLevels.length) filter.seniorityLevel = exactAnyOf(seniorityLevels);
+
+  if (query.location) {
+    filter.location = { $regex: escapeRegex(String(query.location).trim()), $options: 'i' };
+  }
+
+  if (query.company) {
+    filter.company = { $regex: escapeRegex(String(query.company).trim()), $options: 'i' };
+  }
+
+  if (query.companyId && mongoose.Types.ObjectId.isValid(String(query.companyId))) {
+    filter.companyId = new mongoose.Types.ObjectId(String(query.companyId));
+  }
+
+  const skills = toList(query.skills);
+  if (skills.length) {
+    const patterns = skills.map(s => new RegExp(`^${escapeRegex(s)}$`, 'i'));
+    filter.skills = query.skillsMatch === 'all' ? { $all: patterns } : { $in: patterns };
+  }
+
+  const minExperience = toNumber(query.minExperience);
+  const maxExperience = toNumber(query.maxExperience);
+  if (minExperience !== undefined || maxExperience !== undefined) {
+    filter.experience = {};
+    if (minExperience !== undefined) filter.experience.$gte = minExperience;
+    if (maxExperience !== undefined) filter.experience.$lte = maxExperience;
+  }
+
+  const minCompleteness = toNumber(query.minCompleteness);
+  const maxCompleteness = toNumber(query.maxCompleteness);
+  if (minCompleteness !== undefined || maxCompleteness !== undefined) {
+    filter.completenessScore = {};
+    if (minCompleteness !== undefined) filter.completenessScore.$gte = minCompleteness;
+    if (maxCompleteness !== undefined) filter.completenessScore.$lte = maxCompleteness;
+  }
+
+  const positionMatch = buildPositionMatch(query);
+  if (positionMatch) filter.positions = { $elemMatch: positionMatch };
+
+  const uploadedFrom = toDate(query.uploadedFrom);
+  const uploadedTo = toDate(query.uploadedTo);
+  if (uploadedFrom || uploadedTo) {
+    filter.uploadedAt = {};
+    if (uploadedFrom) filter.uploadedAt.$gte = uploadedFrom;
+    if (uploadedTo) filter.uploadedAt.$lte = uploadedTo;
+  }
+
+  return filter;
+}
+
+// $elemMatch for a position at a company overlapping a year range (open-ended positions count as ongoing)
+function buildPositionMatch(query) {
+  const positionFrom = toNumber(query.positionFrom);
+  const positionTo = toNumber(query.positionTo);
+  if (!query.positionCompany && positionFrom === undefined && positionTo === undefined) return null;
+
+  const match = {};
+  if (query.positionCompany) {
+    match.company = { $regex: escapeRegex(String(query.positionCompany).trim()), $options: 'i' };
+  }
+  if (positionTo !== undefined) {
+    match.startYear = { $lte: positionTo };
+  }
+  if (positionFrom !== undefined) {
+    match.$or = [
+      { current: true },
+      { endYear: { $gte: positionFrom } },
+      { endYear: null, startYear: { $gte: positionFrom } }
+    ];
+  }
+  return match;
+}
+
+// Resolve sortBy/order into a stable sort (always tie-broken by _id)
+function buildSort(query = {}) {
+  const field = SORT_FIELDS[query.sortBy] ? query.sortBy : 'uploadedAt';
+  const direction = query.order === 'asc' ? 1 : -1;
+  return { field, direction, sort: { [field]: direction, _id: direction } };
+}
+
+function parseLimit(value) {
+  const limit = parseInt(value, 10);
+  if (!Number.isFinite(limit) || limit <= 0) return DEFAULT_LIMIT;
+  return Math.min(limit, MAX_LIMIT);
+}
+
+// Cursors are opaque base64url strings holding the last item's sort value and id
+function encodeCursor(doc, field) {
+  const value = doc[field];
+  const payload = {
+    v: value instanceof Date ? value.toISOString() : (value === undefined ? null : value),
+    id: doc._id.toString()
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+function decodeCursor(cursor, field) {
+  try {
+    const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!payload || !mongoose.Types.ObjectId.isValid(payload.id)) return null;
+
+    let value = payload.v;
+    if (value !== null && SORT_FIELDS[field] === 'date') {
+      value = new Date(value);
+      if (isNaN(value.getTime())) return null;
+    }
+    return { value, id: new mongoose.Types.ObjectId(payload.id) };
+  } catch (err) {
+    return null;
+  }
+}
+
+// Filter that selects everything strictly after the cursor in the given sort.
+// Missing/null values sort lowest in MongoDB, so they come first ascending and last descending.
+function buildCursorFilter({ value, id }, field, direction) {
+  const idOp = direction === 1 ? '$gt' : '$lt';
+
+  if (value === null) {
+    if (direction === 1) {
+      return { $or: [{ [field]: null, _id: { $gt: id } }, { [field]: { $ne: null } }] };
+    }
+    return { [field]: null, _id: { $lt: id } };
+  }
+
+  const or = [
+    { [field]: { [idOp]: value } },
+    { [field]: value, _id: { [idOp]: id } }
+  ];
+  if (direction === -1) or.push({ [field]: null });
+  return { $or: or };
+}
+
+// Run one cursor-paginated page of `filter` using the sortBy/order/limit/cursor query parameters.
+// Returns { profiles, nextCursor, total, limit }, or null when the cursor is invalid.
+async function paginateProfiles(Profile, filter, query = {}) {
+  const { field, direction, sort } = buildSort(query);
+  const limit = parseLimit(query.limit);
+
+  let pageFilter = filter;
+  if (query.cursor) {
+    const decoded = decodeCursor(query.cursor, field);
+    if (!decoded) return null;
+    pageFilter = { $and: [filter, buildCursorFilter(decoded, field, direction)] };
+  }
+
+  // Fetch one extra document to know whether another page exists
+  const [profiles, total] = await Promise.all([
+    Profile.find(pageFilter).sort(sort).limit(limit + 1),
+    Profile.countDocuments(filter)
+  ]);
+
+  const hasMore = profiles.length > limit;
+  const page = hasMore ? profiles.slice(0, limit) : profiles;
+  const nextCursor = hasMore ? encodeCursor(page[page.length - 1], field) : null;
+
+  return { profiles: page, nextCursor, total, limit };
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  FILTER_PARAMS,
+  escapeRegex,
+  toList,
+  buildProfileFilter,
+  buildSort,
+  parseLimit,
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter,
+  paginateProfiles
+};
@@ -0,0 +1,210 @@
+// profileRefresh.js - Re-scrapes stale LinkedIn profiles in batches and updates the scraper-owned fields
+//
+// Configuration (environment):
+//   LINKEDIN_REFRESH_MAX_AGE_DAYS   profiles not updated for this long are stale (default 30)
+//   LINKEDIN_REFRESH_BATCH_SIZE     profiles per scraper run (default 25)
+//   LINKEDIN_REFRESH_MAX_PER_RUN    profiles per refresh run (default 200)
+//   LINKEDIN_REFRESH_INTERVAL_HOURS run on a timer inside the server process (unset = only on demand)
+const Profile = require('../models/profile');
+const { SCRAPER_OWNED_FIELDS, runLinkedInScraper, transformLinkedInDataWithPhone } = require('./linkedinScraping');
+const { setHistoryContext, snapshotOf, diffSnapshots } = require('./profileHistory');
+const { updateCompanyDetails } = require('./companyLinks');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_REPORTED_RESULTS = 200;
+
+function envNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+}
+
+function refreshConfig(overrides = {}) {
+  return {
+    maxAgeDays: overrides.maxAgeDays || envNumber('LINKEDIN_REFRESH_MAX_AGE_DAYS', 30),
+    batchSize: overrides.batchSize || envNumber('LINKEDIN_REFRESH_BATCH_SIZE', 25),
+    limit: overrides.limit || envNumber('LINKEDIN_REFRESH_MAX_PER_RUN', 200)
+  };
+}
+
+// Profiles due for a refresh: explicitly requested ones first, then the longest-untouched stale ones.
+// Profiles attempted within the max age (including failed attempts) are skipped.
+async function findRefreshCandidates(cutoff, limit) {
+  const base = {
+    linkedinUrl: { $nin: [null, ''] },
+    hidden: { $ne: true }
+  };
+
+  const requested = await Profile.find({ ...base, refreshRequestedAt: { $ne: null } })
+    .sort({ refreshRequestedAt: 1 })
+    .limit(limit);
+  if (requested.length >= limit) return requested;
+
+  const stale = await Profile.find({
+    ...base,
+    _id: { $nin: requested.map(p => p._id) },
+    updatedAt: { $lt: cutoff },
+    $or: [{ lastRefreshAt: null }, { lastRefreshAt: { $lt: cutoff } }]
+  })
+    .sort({ updatedAt: 1 })
+    .limit(limit - requested.length);
+
+  return [...requested, ...stale];
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+// Scraper-owned values worth writing. Missing data never blanks a stored field, and the
+// scraper's fallbacks (placeholder avatar, "Other" industry, 0 years) don't overwrite real values.
+function scrapedUpdates(data, item, profile) {
+  const updates = {};
+  SCRAPER_OWNED_FIELDS.forEach(field => {
+    if (isEmpty(data[field])) return;
+    if (field === 'avatar' && !(item.pictureUrl || item.profilePicture)) return;
+    if (field === 'industry' && data.industry === 'Other' && profile.industry) return;
+    if (field === 'experience' && data.experience === 0 && profile.experience) return;
+    updates[field] = data[field];
+  });
+  return updates;
+}
+
+// Re-scrape one batch of profiles in a single scraper run.
+// Returns [{ id, status: 'updated' | 'unchanged' | 'failed', changes?, error? }].
+async function refreshBatch(profiles, { actor } = {}) {
+  let scraped;
+  let batchError = null;
+  try {
+    scraped = await runLinkedInScraper(profiles.map(p => p.linkedinUrl));
+  } catch (err) {
+    console.error('LinkedIn refresh scraping error:', err);
+    scraped = profiles.map(() => null);
+    batchError = err.message;
+  }
+
+  const results = [];
+  for (let i = 0; i < profiles.length; i++) {
+    const profile = profiles[i];
+    const now = new Date();
+
+    try {
+      if (!scraped[i]) {
+        throw new Error(batchError || 'No profile data received');
+      }
+
+      const data = transformLinkedInDataWithPhone(scraped[i], profile.uploadedBy, { url: profile.linkedinUrl });
+      if (!data.name) {
+        throw new Error('Scraped profile has no name');
+      }
+
+      const before = snapshotOf(profile);
+      profile.set(scrapedUpdates(data, scraped[i], profile));
+      profile.lastRefreshAt = now;
+      profile.lastRefreshError = undefined;
+      profile.refreshRequestedAt = undefined;
+
+      // The history entry records exactly what the refresh changed
+      setHistoryContext(profile, { actor, source: 'scraper' });
+      await profile.save();
+      await updateCompanyDetails(profile.companyId, data.companyDetails);
+
+      const changes = diffSnapshots(before, snapshotOf(profile)).map(change => change.field);
+      results.push({ id: profile._id.toString(), status: changes.length ? 'updated' : 'unchanged', changes });
+    } catch (err) {
+      // Leave updatedAt alone so the profile still reads as stale, but don't retry it until the max age passes
+      await Profile.updateOne(
+        { _id: profile._id },
+        { $set: { lastRefreshAt: now, lastRefreshError: err.message }, $unset: { refreshRequestedAt: 1 } },
+        { timestamps: false }
+      );
+      results.push({ id: profile._id.toString(), status: 'failed', error: err.message });
+    }
+  }
+
+  return results;
+}
+
+let activeRun = null;
+let lastRun = null;
+
+// Refresh stale and requested profiles batch by batch. options: { maxAgeDays, batchSize, limit, actor }
+async function refreshStaleProfiles(options = {}) {
+  if (activeRun) {
+    throw new Error('A LinkedIn refresh run is already in progress');
+  }
+
+  const config = refreshConfig(options);
+  const cutoff = new Date(Date.now() - config.maxAgeDays * DAY_MS);
+  const report = {
+    startedAt: new Date(),
+    finishedAt: null,
+    ...config,
+    batches: 0,
+    processed: 0,
+    updated: 0,
+    unchanged: 0,
+    failed: 0,
+    results: []
+  };
+  activeRun = report;
+
+  try {
+    const seen = new Set();
+    while (report.processed < config.limit) {
+      const size = Math.min(config.batchSize, config.limit - report.processed);
+      const batch = (await findRefreshCandidates(cutoff, size + seen.size))
+        .filter(p => !seen.has(p._id.toString()))
+        .slice(0, size);
+      if (batch.length === 0) break;
+
+      batch.forEach(p => seen.add(p._id.toString()));
+      const results = await refreshBatch(batch, { actor: options.actor });
+
+      report.batches++;
+      report.processed += results.length;
+      results.forEach(result => {
+        report[result.status]++;
+        if (report.results.length < MAX_REPORTED_RESULTS) report.results.push(result);
+      });
+    }
+  } finally {
+    report.finishedAt = new Date();
+    activeRun = null;
+    lastRun = report;
+  }
+
+  return report;
+}
+
+// Start a run without waiting for it. Returns false when one is already running.
+function startRefreshRun(options = {}) {
+  if (activeRun) return false;
+
+  refreshStaleProfiles(options).catch(err => console.error('LinkedIn refresh run failed:', err));
+  return true;
+}
+
+function getRefreshStatus() {
+  return { running: Boolean(activeRun), current: activeRun, lastRun, config: refreshConfig() };
+}
+
+// Run on a timer inside this process when LINKEDIN_REFRESH_INTERVAL_HOURS is set (long-running servers only)
+function scheduleProfileRefresh() {
+  const hours = envNumber('LINKEDIN_REFRESH_INTERVAL_HOURS', 0);
+  if (!hours) return null;
+
+  console.log(`🔄 LinkedIn profile refresh scheduled every ${hours}h`);
+  const timer = setInterval(() => startRefreshRun({ actor: null }), hours * 60 * 60 * 1000);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  refreshConfig,
+  findRefreshCandidates,
+  refreshBatch,
+  refreshStaleProfiles,
+  startRefreshRun,
+  getRefreshStatus,
+  scheduleProfileRefresh
+};
@@ -0,0 +1,234 @@
+// profileReports.js - Moderation outcomes for reported profiles: unlock refunds, uploader penalties, hiding and fixes
+const Dashboard = require('../models/Dashboard');
+const Profile = require('../models/profile');
+const ProfileReport = require('../models/ProfileReport');
+const PointsTransaction = require('../models/PointsTransaction');
+const { rewardOf, recordActivity } = require('./profileService');
+const { UNLOCK_COST_POINTS } = require('./pricingRules');
+const { setHistoryContext } = require('./profileHistory');
+const { applyPoints, deductPoints } = require('./pointsLedger');
+
+// Report reasons and how they read in activity messages
+const REPORT_REASONS = {
+  wrong_contact_info: 'wrong contact info',
+  duplicate: 'a duplicate',
+  fake: 'fake',
+  outdated: 'outdated',
+  opt_out: 'an opt-out request'
+};
+
+// What accepting a report does unless the moderator chooses otherwise
+const DEFAULT_ACTIONS = {
+  wrong_contact_info: 'fix',
+  outdated: 'fix',
+  duplicate: 'hide',
+  fake: 'hide',
+  opt_out: 'hide'
+};
+const RESOLUTION_ACTIONS = ['hide', 'fix', 'none'];
+
+function activityName(report, profile) {
+  return (profile && profile.name) || report.profileName || 'Unknown';
+}
+
+// Users already refunded / uploaders already penalized by earlier accepted reports on the same profile,
+// including reports resolved before outcomes were claimed on the profile (see claimOutcome)
+async function priorOutcomes(profileId) {
+  const accepted = await ProfileReport.find({ profileId, status: 'accepted' }).select('resolution');
+  const refunded = new Set();
+  let penalized = false;
+  accepted.forEach(report => {
+    (report.resolution?.refunds || []).forEach(refund => refunded.add(refund.userId));
+    if (report.resolution?.penalty?.points) penalized = true;
+  });
+  return { refunded, penalized };
+}
+
+// Record an outcome on the profile in one conditional update. Accepts of different reports on the same
+// profile can run at once, so each refund and the penalty is claimed here before any points move.
+// Returns false when another accept already claimed it.
+async function claimOutcome(profileId, unclaimed, claim) {
+  const result = await Profile.updateOne({ _id: profileId, ...unclaimed }, claim, { timestamps: false });
+  return result.modifiedCount > 0;
+}
+
+// Points each user paid to unlock the profile, from their unlock ledger entries
+async function unlockPayments(profileId) {
+  const unlocks = await PointsTransaction.find({ type: 'unlock', profileId }).select('userId amount').sort({ createdAt: 1 });
+  return new Map(unlocks.map(entry => [String(entry.userId), -entry.amount]));
+}
+
+// Refund everyone who paid to unlock the profile (once per profile) what they paid - the default unlock
+// cost for unlocks from before the ledger. Hidden profiles are also removed from their unlocked contacts.
+// Returns [{ userId, points }].
+async function refundUnlockers(profile, report, { revoke, alreadyRefunded, label }) {
+  const profileId = profile._id.toString();
+  const [unlockers, paid] = await Promise.all([
+    Dashboard.find({ unlockedContactIds: profileId }).select('userId'),
+    unlockPayments(profile._id)
+  ]);
+
+  const candidates = unlockers
+    .map(dashboard => String(dashboard.userId))
+    .filter(userId => !alreadyRefunded.has(userId) && userId !== String(profile.uploadedBy))
+    .map(userId => ({ userId, points: paid.get(userId) ?? UNLOCK_COST_POINTS }))
+    .filter(refund => refund.points > 0);
+
+  const outcome = revoke ? 'removed from your contacts' : 'corrected';
+  const refunds = [];
+  for (const refund of candidates) {
+    const unclaimed = { reportRefundedUserIds: { $ne: refund.userId } };
+    if (!await claimOutcome(profile._id, unclaimed, { $addToSet: { reportRefundedUserIds: refund.userId } })) continue;
+
+    refunds.push(refund);
+    await applyPoints(
+      refund.userId,
+      [{
+        type: 'report_refund',
+        amount: refund.points,
+        profileId: profile._id,
+        reportId: report._id,
+        description: `Refund for ${profile.name || 'Unknown'} (${label})`
+      }],
+      {
+        update: {
+          $push: {
+            recentActivity: {
+              $each: [`Refund: +${refund.points} points, ${profile.name || 'Unknown'} was reported as ${label} and ${outcome}`],
+              $slice: -10
+            }
+          }
+        }
+      }
+    );
+  }
+
+  if (revoke) {
+    await Dashboard.updateMany(
+      { unlockedContactIds: profileId },
+      {
+        $pull: { unlockedContactIds: profileId },
+        $inc: { unlockedProfiles: -1 },
+        updatedAt: new Date()
+      }
+    );
+  }
+
+  return refunds;
+}
+
+// Accept a report: fix or hide the profile, refund unlockers, penalize the uploader and close every
+// other pending report on the same profile. options: { moderatorId, action, updates, penalty, note }
+async function acceptReport(report, profile, options = {}) {
+  const { moderatorId, updates = {}, note } = options;
+  const action = options.action || DEFAULT_ACTIONS[report.reason];
+  const label = REPORT_REASONS[report.reason];
+  const name = activityName(report, profile);
+
+  // Claim the report first: only one accept can move it out of pending, so concurrent accepts can't
+  // refund or penalize twice
+  const resolvedAt = new Date();
+  const claimed = await ProfileReport.findOneAndUpdate(
+    { _id: report._id, status: 'pending' },
+    { $set: { status: 'accepted', resolution: { action, note, moderatorId, resolvedAt } } }
+  );
+  if (!claimed) {
+    throw Object.assign(new Error('This report has already been resolved'), { status: 409 });
+  }
+
+  // Apply the profile change before any points move; an invalid fix puts the report back in the queue
+  try {
+    if (action === 'fix') {
+      profile.set(updates);
+      setHistoryContext(profile, { actor: moderatorId, source: 'admin' });
+      await profile.save();
+    } else if (action === 'hide') {
+      profile.hidden = true;
+      profile.hiddenReason = report.reason;
+      profile.hiddenAt = new Date();
+      await profile.save();
+    }
+  } catch (err) {
+    await ProfileReport.updateOne(
+      { _id: report._id, status: 'accepted' },
+      { $set: { status: 'pending' }, $unset: { resolution: 1 } }
+    );
+    throw err;
+  }
+
+  // Other open reports on this profile are settled by the same decision
+  const others = await ProfileReport.find({ profileId: profile._id, status: 'pending', _id: { $ne: report._id } });
+  if (others.length) {
+    await ProfileReport.updateMany(
+      { _id: { $in: others.map(r => r._id) }, status: 'pending' },
+      { $set: { status: 'accepted', resolution: { action, note, moderatorId, resolvedAt, resolvedWith: report._id } } }
+    );
+  }
+
+  const { refunded, penalized } = await priorOutcomes(profile._id);
+  const refunds = await refundUnlockers(profile, report, { revoke: action === 'hide', alreadyRefunded: refunded, label });
+
+  let penalty = null;
+  if (profile.uploadedBy) {
+    const points = penalized ? 0 : (options.penalty ?? rewardOf(profile));
+    if (points > 0 && await claimOutcome(profile._id, { reportPenalizedAt: null }, { $set: { reportPenalizedAt: new Date() } })) {
+      penalty = { userId: String(profile.uploadedBy), points };
+      // Never takes the uploader below zero
+      await deductPoints(
+        profile.uploadedBy,
+        points,
+        { type: 'report_penalty', profileId: profile._id, reportId: report._id, description: `Penalty for ${name} (${label})` },
+        { activity: `Penalty: -${points} points, your upload ${name} was reported as ${label}` }
+      );
+    } else {
+      await recordActivity(profile.uploadedBy, [`A report on your upload ${name} (${label}) was accepted`]);
+    }
+  }
+
+  // Record what the decision paid out on the claimed report
+  report.status = 'accepted';
+  report.resolution = { action, note, moderatorId, resolvedAt, refunds, penalty };
+  await ProfileReport.updateOne({ _id: report._id }, { $set: { resolution: report.resolution } });
+
+  const outcome = action === 'hide' ? 'the profile was removed' : action === 'fix' ? 'the profile was corrected' : 'no change was needed';
+  const reporters = [...new Set([report, ...others].map(r => String(r.reporterId)))];
+  await Promise.all(reporters.map(reporterId => (
+    recordActivity(reporterId, [`Your report on ${name} (${label}) was accepted, ${outcome}`])
+  )));
+
+  return { action, refunds, penalty, closedReports: others.length + 1 };
+}
+
+// Reject a report. options: { moderatorId, note }
+async function rejectReport(report, profile, options = {}) {
+  const { moderatorId, note } = options;
+  const label = REPORT_REASONS[report.reason];
+  const name = activityName(report, profile);
+
+  // Claimed like acceptReport so a reject can't overwrite a concurrent accept
+  const resolution = { action: 'none', note, moderatorId, resolvedAt: new Date() };
+  const claimed = await ProfileReport.findOneAndUpdate(
+    { _id: report._id, status: 'pending' },
+    { $set: { status: 'rejected', resolution } }
+  );
+  if (!claimed) {
+    throw Object.assign(new Error('This report has already been resolved'), { status: 409 });
+  }
+  report.status = 'rejected';
+  report.resolution = resolution;
+
+  await recordActivity(report.reporterId, [`Your report on ${name} (${label}) was rejected${note ? `: ${note}` : ''}`]);
+  if (profile?.uploadedBy) {
+    await recordActivity(profile.uploadedBy, [`A report on your upload ${name} (${label}) was reviewed and rejected`]);
+  }
+
+  return { action: 'none' };
+}
+
+module.exports = {
+  REPORT_REASONS,
+  DEFAULT_ACTIONS,
+  RESOLUTION_ACTIONS,
+  acceptReport,
+  rejectReport
+};
@@ -0,0 +1,118 @@
+// profileService.js - Profile write operations shared by the upload routes and the LinkedIn scraper
+const Profile = require('../models/profile');
+const Dashboard = require('../models/Dashboard');
+const { checkLinkedInDuplicate } = require('./linkedinHelper');
+const { setHistoryContext } = require('./profileHistory');
+const { UPLOAD_REWARD_POINTS } = require('./profileCompleteness');
+const { queueSavedSearchMatches } = require('./savedSearches');
+const { updateCompanyDetails } = require('./companyLinks');
+const { applyPoints, ensureDashboard } = require('./pointsLedger');
+
+// Points a created profile earned its uploader, as priced by the upload reward rules when it was created
+function rewardOf(profile) {
+  return profile.uploadReward ?? UPLOAD_REWARD_POINTS;
+}
+
+// Credit the uploader's dashboard for newly created profiles (single, bulk, import and scraper uploads).
+// Each profile's reward is a separate upload_reward ledger entry; `jobId` ties a bulk run's entries together.
+// The credit is conditional on none of the profiles being on the dashboard yet, so profiles are never
+// credited twice. Returns the number of points awarded.
+async function creditUploads(uploadedBy, createdProfiles, { jobId } = {}) {
+  if (!uploadedBy || createdProfiles.length === 0) return 0;
+
+  await ensureDashboard(uploadedBy, 'Welcome! Dashboard created.');
+
+  const points = createdProfiles.reduce((sum, p) => sum + rewardOf(p), 0);
+
+  const profileIds = createdProfiles.map(p => p._id.toString());
+  const activityMessages = createdProfiles.map(p => `Uploaded contact: ${p.name || 'Unknown'} (+${rewardOf(p)} points)`);
+
+  const dashboard = await applyPoints(
+    uploadedBy,
+    createdProfiles.map(p => ({
+      type: 'upload_reward',
+      amount: rewardOf(p),
+      profileId: p._id,
+      jobId,
+      pricing: p.uploadPricing,
+      description: `Uploaded ${p.name || 'Unknown'}`
+    })),
+    {
+      update: {
+        $inc: {
+          totalContacts: createdProfiles.length,
+          myUploads: createdProfiles.length
+        },
+        $push: {
+          uploadedProfileIds: { $each: profileIds },
+          recentActivity: {
+            $each: activityMessages,
+            $slice: -10 // Keep only last 10 activities
+          }
+        }
+      },
+      filter: { uploadedProfileIds: { $nin: profileIds } }
+    }
+  );
+
+  return dashboard ? points : 0;
+}
+
+// Append messages to a user's dashboard activity (only the last 10 are kept)
+async function recordActivity(userId, messages) {
+  if (!userId || messages.length === 0) return;
+
+  await Dashboard.updateOne(
+    { userId },
+    {
+      $push: { recentActivity: { $each: messages, $slice: -10 } },
+      updatedAt: new Date()
+    }
+  );
+}
+
+// Queue newly created profiles for saved-search matching, which runs outside the request.
+// The profiles are already stored, so a queueing failure is logged instead of failing the upload.
+async function announceNewProfiles(createdProfiles) {
+  try {
+    await queueSavedSearchMatches(createdProfiles);
+  } catch (err) {
+    console.error('Saved search matching error:', err);
+  }
+}
+
+// Create a single profile after the LinkedIn duplicate check, record its history, credit the uploader
+// and queue it for saved-search matching.
+// Returns { duplicate } instead of creating when the LinkedIn URL is already on file.
+// context: { actor, source } as used by the profile history.
+// Scraped `companyDetails` ({ industry, sizeRange, linkedinUrl }) are stored on the linked Company.
+async function createProfile(input, context = {}) {
+  const { companyDetails, ...data } = input;
+  if (data.linkedinUrl) {
+    const duplicate = await checkLinkedInDuplicate(data.linkedinUrl, Profile);
+    if (duplicate) {
+      return { duplicate };
+    }
+  }
+
+  const profile = setHistoryContext(new Profile(data), {
+    actor: context.actor || data.uploadedBy,
+    source: context.source || 'user'
+  });
+  await profile.save();
+  await updateCompanyDetails(profile.companyId, companyDetails);
+
+  await creditUploads(data.uploadedBy, [profile]);
+  await announceNewProfiles([profile]);
+
+  return { profile };
+}
+
+module.exports = {
+  UPLOAD_REWARD_POINTS,
+  rewardOf,
+  creditUploads,
+  recordActivity,
+  announceNewProfiles,
+  createProfile
+};
@@ -0,0 +1,280 @@
+// profileSimilarity.js - "Similar profiles" scoring on skills, seniority, industry, location and experience
+const mongoose = require('mongoose');
+const { escapeRegex } = require('./profileQuery');
+const { SENIORITY_LEVELS } = require('./linkedinScraping');
+
+const DEFAULT_MIN_SIMILARITY = 0.2;
+
+// Relative weight of each signal. Signals the source profile has no data for are left out,
+// so a profile without skills is still compared fairly on the rest.
+const SIMILARITY_WEIGHTS = {
+  skills: 0.4,
+  seniorityLevel: 0.2,
+  industry: 0.15,
+  experience: 0.15,
+  location: 0.1
+};
+
+function normalizeText(value) {
+  return String(value || '').trim().toLowerCase();
+}
+
+function seniorityIndex(level) {
+  return SENIORITY_LEVELS.findIndex(l => l.toLowerCase() === normalizeText(level));
+}
+
+// "Cairo, Egypt" -> { city: 'cairo', country: 'egypt' }
+function splitLocation(location) {
+  const parts = normalizeText(location).split(',').map(p => p.trim()).filter(Boolean);
+  return { city: parts[0] || '', country: parts[parts.length - 1] || '' };
+}
+
+// Each scorer returns { score: 0..1, reason } or null when the source has nothing to compare
+const scorers = {
+  skills(profile, candidate) {
+    const mine = new Set((profile.skills || []).map(normalizeText).filter(Boolean));
+    if (mine.size === 0) return null;
+
+    const theirs = new Set((candidate.skills || []).map(normalizeText).filter(Boolean));
+    const shared = (candidate.skills || []).filter(skill => mine.has(normalizeText(skill)));
+    const sharedCount = new Set(shared.map(normalizeText)).size;
+    if (sharedCount === 0) return { score: 0 };
+
+    // Jaccard overlap
+    const union = new Set([...mine, ...theirs]).size;
+    const listed = [...new Set(shared)].slice(0, 5).join(', ');
+    return {
+      score: sharedCount / union,
+      reason: `${sharedCount} shared skill${sharedCount === 1 ? '' : 's'} (${listed}${sharedCount > 5 ? ', ...' : ''})`
+    };
+  },
+
+  seniorityLevel(profile, candidate) {
+    const mine = seniorityIndex(profile.seniorityLevel);
+    if (mine === -1) return null;
+
+    const theirs = seniorityIndex(candidate.seniorityLevel);
+    if (theirs === mine) return { score: 1, reason: `same seniority (${SENIORITY_LEVELS[mine]})` };
+    if (theirs !== -1 && Math.abs(theirs - mine) === 1) {
+      return { score: 0.5, reason: `adjacent seniority (${SENIORITY_LEVELS[theirs]})` };
+    }
+    return { score: 0 };
+  },
+
+  industry(profile, candidate) {
+    const mine = normalizeText(profile.industry);
+    if (!mine || mine === 'other') return null;
+    return mine === normalizeText(candidate.industry)
+      ? { score: 1, reason: `same industry (${candidate.industry})` }
+      : { score: 0 };
+  },
+
+  experience(profile, candidate) {
+    if (typeof profile.experience !== 'number' || typeof candidate.experience !== 'number') return null;
+
+    const diff = Math.abs(profile.experience - candidate.experience);
+    const score = Math.max(0, 1 - diff / 10);
+    if (diff <= 2) {
+      return { score, reason: `similar experience (${candidate.experience} years)` };
+    }
+    return { score };
+  },
+
+  location(profile, candidate) {
+    const mine = splitLocation(profile.location);
+    if (!mine.city) return null;
+
+    const theirs = splitLocation(candidate.location);
+    if (theirs.city && theirs.city === mine.city) {
+      return { score: 1, reason: `same location (${candidate.location})` };
+    }
+    if (theirs.country && theirs.country === mine.country) {
+      return { score: 0.5, reason: `same country (${candidate.location.split(',').pop().trim()})` };
+    }
+    return { score: 0 };
+  }
+};
+
+// Score how similar `candidate` is to `profile`. Returns { score: 0..1, reasons }.
+function scoreSimilarity(profile, candidate) {
+  let weighted = 0;
+  let totalWeight = 0;
+  const reasons = [];
+
+  Object.entries(SIMILARITY_WEIGHTS).forEach(([signal, weight]) => {
+    const result = scorers[signal](profile, candidate);
+    if (!result) return;
+
+    totalWeight += weight;
+    weighted += weight * result.score;
+    if (result.reason) reasons.push(result.reason);
+  });
+
+  const score = totalWeight > 0 ? weighted / totalWeight : 0;
+  return { score: Math.round(score * 1000) / 1000, reasons };
+}
+
+// Cheap DB prefilter: visible profiles sharing a skill, the industry or a same/adjacent seniority
+function buildCandidateQuery(profile, excludeIds = []) {
+  const or = [];
+
+  const skills = (profile.skills || []).filter(Boolean);
+  if (skills.length) {
+    or.push({ skills: { $in: skills.map(s => new RegExp(`^${escapeRegex(s)}$`, 'i')) } });
+  }
+
+  if (profile.industry) {
+    or.push({ industry: new RegExp(`^${escapeRegex(profile.industry)}$`, 'i') });
+  }
+
+  const level = seniorityIndex(profile.seniorityLevel);
+  if (level !== -1) {
+    const levels = SENIORITY_LEVELS.filter((l, index) => Math.abs(index - level) <= 1);
+    or.push({ seniorityLevel: { $in: levels } });
+  }
+
+  if (or.length === 0) return null;
+  return {
+    // Aggregation doesn't cast, so ids are turned into ObjectIds here
+    _id: { $nin: [profile._id, ...excludeIds.filter(id => mongoose.Types.ObjectId.isValid(id)).map(id => new mongoose.Types.ObjectId(String(id)))] },
+    hidden: { $ne: true },
+    $or: or
+  };
+}
+
+// Lowercased, trimmed value of a string field, '' when missing
+function normalizedField(path) {
+  return { $toLower: { $trim: { input: { $ifNull: [path, ''] } } } };
+}
+
+// The same weighted score as scoreSimilarity, as an aggregation expression, so every prefiltered
+// candidate is ranked in the database. Returns null when the source has no signal to compare.
+function similarityScoreExpression(profile) {
+  const parts = [];
+
+  const mySkills = [...new Set((profile.skills || []).map(normalizeText).filter(Boolean))];
+  if (mySkills.length) {
+    const theirs = {
+      $setUnion: [{
+        $filter: {
+          input: { $map: { input: { $ifNull: ['$skills', []] }, as: 'skill', in: { $toLower: { $trim: { input: '$$skill' } } } } },
+          as: 'skill',
+          cond: { $ne: ['$$skill', ''] }
+        }
+      }]
+    };
+    const shared = { $size: { $setIntersection: [theirs, mySkills] } };
+    const union = { $size: { $setUnion: [theirs, mySkills] } };
+    parts.push({
+      weight: SIMILARITY_WEIGHTS.skills,
+      score: { $cond: [{ $eq: [shared, 0] }, 0, { $divide: [shared, union] }] }
+    });
+  }
+
+  const level = seniorityIndex(profile.seniorityLevel);
+  if (level !== -1) {
+    const theirs = { $indexOfArray: [SENIORITY_LEVELS.map(l => l.toLowerCase()), normalizedField('$seniorityLevel')] };
+    parts.push({
+      weight: SIMILARITY_WEIGHTS.seniorityLevel,
+      score: {
+        $switch: {
+          branches: [
+            { case: { $eq: [theirs, level] }, then: 1 },
+            { case: { $and: [{ $ne: [theirs, -1] }, { $eq: [{ $abs: { $subtract: [theirs, level] } }, 1] }] }, then: 0.5 }
+          ],
+          default: 0
+        }
+      }
+    });
+  }
+
+  const industry = normalizeText(profile.industry);
+  if (industry && industry !== 'other') {
+    parts.push({
+      weight: SIMILARITY_WEIGHTS.industry,
+      score: { $cond: [{ $eq: [normalizedField('$industry'), industry] }, 1, 0] }
+    });
+  }
+
+  // Only counted for candidates that have experience, like the scorer
+  if (typeof profile.experience === 'number') {
+    parts.push({
+      weight: { $cond: [{ $isNumber: '$experience' }, SIMILARITY_WEIGHTS.experience, 0] },
+      score: {
+        $cond: [
+          { $isNumber: '$experience' },
+          { $max: [0, { $subtract: [1, { $divide: [{ $abs: { $subtract: ['$experience', profile.experience] } }, 10] }] }] },
+          0
+        ]
+      }
+    });
+  }
+
+  const location = splitLocation(profile.location);
+  if (location.city) {
+    const locationParts = {
+      $filter: {
+        input: { $map: { input: { $split: [normalizedField('$location'), ','] }, as: 'part', in: { $trim: { input: '$$part' } } } },
+        as: 'part',
+        cond: { $ne: ['$$part', ''] }
+      }
+    };
+    const city = { $ifNull: [{ $arrayElemAt: [locationParts, 0] }, ''] };
+    const country = { $ifNull: [{ $arrayElemAt: [locationParts, -1] }, ''] };
+    parts.push({
+      weight: SIMILARITY_WEIGHTS.location,
+      score: {
+        $switch: {
+          branches: [
+            { case: { $and: [{ $ne: [city, ''] }, { $eq: [city, location.city] }] }, then: 1 },
+            { case: { $and: [{ $ne: [country, ''] }, { $eq: [country, location.country] }] }, then: 0.5 }
+          ],
+          default: 0
+        }
+      }
+    });
+  }
+
+  if (parts.length === 0) return null;
+  const totalWeight = { $add: parts.map(part => part.weight) };
+  return {
+    $round: [{
+      $cond: [
+        { $gt: [totalWeight, 0] },
+        { $divide: [{ $add: parts.map(part => ({ $multiply: [part.weight, part.score] })) }, totalWeight] },
+        0
+      ]
+    }, 3]
+  };
+}
+
+// Most similar profiles to `profile`: [{ profile, score, reasons }], best first.
+// options: { excludeIds, minScore, limit }
+// Every prefiltered candidate is scored and sorted in the database; only the returned page is
+// re-scored here for its reasons.
+async function findSimilarProfiles(profile, Profile, { excludeIds = [], minScore = DEFAULT_MIN_SIMILARITY, limit = 10 } = {}) {
+  const query = buildCandidateQuery(profile, excludeIds);
+  const score = similarityScoreExpression(profile);
+  if (!query || !score) return [];
+
+  const ranked = await Profile.aggregate([
+    { $match: query },
+    { $addFields: { similarityScore: score } },
+    { $match: { similarityScore: { $gte: minScore } } },
+    { $sort: { similarityScore: -1, _id: -1 } },
+    { $limit: limit },
+    { $project: { similarityScore: 0 } }
+  ]);
+
+  return ranked
+    .map(doc => Profile.hydrate(doc))
+    .map(candidate => ({ profile: candidate, ...scoreSimilarity(profile, candidate) }));
+}
+
+module.exports = {
+  DEFAULT_MIN_SIMILARITY,
+  SIMILARITY_WEIGHTS,
+  scoreSimilarity,
+  similarityScoreExpression,
+  findSimilarProfiles
+};
@@ -0,0 +1,170 @@
+// profileStructure.js - Structured positions/educations and the legacy text fields derived from them
+//
+// workExperience text format (one block per position, blocks joined by "\n\n---\n\n"):
+//   Title at Company (MM/YYYY - MM/YYYY|Present) - Location
+//   Description
+// education text format (entries joined by "; "):
+//   Degree in Field at School (YYYY-YYYY)
+
+const POSITION_SEPARATOR = '\n\n---\n\n';
+const EDUCATION_SEPARATOR = '; ';
+
+function monthYear(month, year) {
+  if (!year) return '';
+  return month ? `${String(month).padStart(2, '0')}/${year}` : `${year}`;
+}
+
+function formatPosition(position) {
+  let dateRange = '';
+  if (position.startYear) {
+    const endStr = position.current ? 'Present' : monthYear(position.endMonth, position.endYear);
+    dateRange = ` (${monthYear(position.startMonth, position.startYear)} - ${endStr})`;
+  }
+
+  let text = `${position.title || ''} at ${position.company || ''}${dateRange}`;
+  if (position.location) text += ` - ${position.location}`;
+  if (position.description) text += `\n${position.description}`;
+  return text;
+}
+
+function formatWorkExperience(positions) {
+  return (positions || []).map(formatPosition).join(POSITION_SEPARATOR);
+}
+
+function formatEducationEntry(education) {
+  const { degree, field, school, startYear, endYear } = education;
+
+  let text = '';
+  if (degree && field) {
+    text = `${degree} in ${field}`;
+  } else if (degree) {
+    text = degree;
+  } else if (field) {
+    text = field;
+  }
+
+  if (school) {
+    text += text ? ` at ${school}` : school;
+  }
+
+  if (startYear || endYear) {
+    const years = startYear && endYear ? `${startYear}-${endYear}` : `${startYear || endYear}`;
+    text += ` (${years})`;
+  }
+  return text;
+}
+
+function formatEducation(educations) {
+  return (educations || [])
+    .map(formatEducationEntry)
+    .filter(text => text.trim())
+    .join(EDUCATION_SEPARATOR);
+}
+
+// Apify LinkedIn positions -> structured positions
+function positionsFromLinkedIn(linkedInPositions) {
+  if (!Array.isArray(linkedInPositions)) return [];
+
+  return linkedInPositions.map(position => {
+    const start = position.timePeriod?.startDate;
+    const end = position.timePeriod?.endDate;
+    return {
+      title: position.title || '',
+      company: position.companyName || position.company?.name || '',
+      location: position.locationName || '',
+      description: position.description || '',
+      startMonth: start?.month || undefined,
+      startYear: start?.year || undefined,
+      endMonth: end?.month || undefined,
+      endYear: end?.year || undefined,
+      current: Boolean(start) && !end
+    };
+  });
+}
+
+// Apify LinkedIn educations -> structured educations
+function educationsFromLinkedIn(linkedInEducations) {
+  if (!Array.isArray(linkedInEducations)) return [];
+
+  return linkedInEducations
+    .map(edu => ({
+      school: edu.schoolName || '',
+      degree: edu.degreeName || '',
+      field: edu.fieldOfStudy || '',
+      startYear: edu.timePeriod?.startDate?.year || undefined,
+      endYear: edu.timePeriod?.endDate?.year || undefined
+    }))
+    .filter(edu => formatEducationEntry(edu).trim());
+}
+
+const POSITION_HEADER_REGEX = /^(.*?) at (.*?)(?: \((?:(\d{1,2})\/)?(\d{4}) - (Present|(?:(\d{1,2})\/)?(\d{4})?)\))?(?: - (.+))?$/;
+
+// Parse workExperience text in the format above. Returns [] when the text doesn't follow it.
+function parseWorkExperience(text) {
+  if (!text || !text.trim()) return [];
+
+  const positions = [];
+  for (const block of text.split(POSITION_SEPARATOR)) {
+    const [header, ...descriptionLines] = block.split('\n');
+    const match = header.match(POSITION_HEADER_REGEX);
+    if (!match) return [];
+
+    const [, title, company, startMonth, startYear, endRaw, endMonth, endYear, location] = match;
+    positions.push({
+      title,
+      company,
+      location: location || '',
+      description: descriptionLines.join('\n'),
+      startMonth: startMonth ? Number(startMonth) : undefined,
+      startYear: startYear ? Number(startYear) : undefined,
+      endMonth: endMonth ? Number(endMonth) : undefined,
+      endYear: endYear ? Number(endYear) : undefined,
+      current: endRaw === 'Present'
+    });
+  }
+  return positions;
+}
+
+const EDUCATION_REGEX = /^(.*?)(?: \((\d{4})(?:-(\d{4}))?\))?$/;
+
+// Parse education text in the format above. Entries without " in " / " at " are read as a school name.
+function parseEducation(text) {
+  if (!text || !text.trim()) return [];
+
+  return text.split(EDUCATION_SEPARATOR).map(entry => {
+    const [, body, firstYear, secondYear] = entry.match(EDUCATION_REGEX);
+
+    let degreePart = '';
+    let school = body;
+    const atIndex = body.lastIndexOf(' at ');
+    if (atIndex !== -1) {
+      degreePart = body.slice(0, atIndex);
+      school = body.slice(atIndex + 4);
+    }
+
+    let degree = degreePart;
+    let field = '';
+    const inIndex = degreePart.indexOf(' in ');
+    if (inIndex !== -1) {
+      degree = degreePart.slice(0, inIndex);
+      field = degreePart.slice(inIndex + 4);
+    }
+
+    return {
+      school,
+      degree,
+      field,
+      startYear: firstYear ? Number(firstYear) : undefined,
+      endYear: secondYear ? Number(secondYear) : undefined
+    };
+  });
+}
+
+module.exports = {
+  formatWorkExperience,
+  formatEducation,
+  positionsFromLinkedIn,
+  educationsFromLinkedIn,
+  parseWorkExperience,
+  parseEducation
+};
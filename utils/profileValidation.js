@@ -0,0 +1,192 @@
+// profileValidation.js - Shared validation and duplicate detection for profile uploads
+const mongoose = require('mongoose');
+const { extractLinkedInId } = require('./linkedinHelper');
+const { normalizeContactFields } = require('./contactNormalization');
+
+// Returns a list of reasons the profile data can't be stored (empty when valid).
+// Normalizes email, phone and experience in place.
+function validateProfileData(data) {
+  const reasons = [];
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return ['profile must be an object'];
+  }
+
+  if (!data.name || !String(data.name).trim()) reasons.push('name is required');
+
+  normalizeContactFields(data).forEach(error => reasons.push(error.message));
+
+  if (data.experience !== undefined && data.experience !== null && data.experience !== '') {
+    const experience = Number(data.experience);
+    if (!Number.isFinite(experience) || experience < 0) {
+      reasons.push(`experience must be a non-negative number, got "${data.experience}"`);
+    } else {
+      data.experience = experience;
+    }
+  }
+
+  if (data.linkedinUrl && !extractLinkedInId(data.linkedinUrl)) {
+    reasons.push(`linkedinUrl is not a linkedin.com/in/ profile URL`);
+  }
+
+  return reasons;
+}
+
+// Turn raw profile data into report entries: { label, status, reasons, data }.
+// Pass the Profile model to also run schema validation (cast errors etc.).
+function buildEntries(items, labelFor, Profile) {
+  return items.map((data, index) => {
+    const reasons = validateProfileData(data);
+
+    if (reasons.length === 0 && Profile) {
+      const validationError = new Profile(data).validateSync();
+      if (validationError) {
+        Object.values(validationError.errors).forEach(error => reasons.push(error.message));
+      }
+    }
+
+    return {
+      label: labelFor(index),
+      status: reasons.length ? 'invalid' : 'accepted',
+      reasons,
+      data
+    };
+  });
+}
+
+// Flag accepted entries that duplicate an existing profile or an earlier entry in the same batch,
+// by linkedinId or email. Mutates and returns the entries.
+async function markDuplicates(entries, Profile) {
+  const candidates = entries.filter(e => e.status === 'accepted');
+  candidates.forEach(entry => {
+    entry.linkedinId = entry.data.linkedinUrl ? extractLinkedInId(entry.data.linkedinUrl) : null;
+  });
+
+  const linkedinIds = candidates.map(e => e.linkedinId).filter(Boolean);
+  const emails = candidates.map(e => e.data.email).filter(Boolean);
+
+  const existing = linkedinIds.length || emails.length
+    ? await Profile.find({
+      $or: [
+        { linkedinId: { $in: linkedinIds } },
+        { email: { $in: emails } }
+      ]
+    }).select('linkedinId email')
+    : [];
+
+  const existingLinkedinIds = new Map(existing.filter(p => p.linkedinId).map(p => [p.linkedinId, p._id.toString()]));
+  const existingEmails = new Map(existing.filter(p => p.email).map(p => [p.email.toLowerCase(), p._id.toString()]));
+  const seenLinkedinIds = new Map();
+  const seenEmails = new Map();
+
+  candidates.forEach(entry => {
+    const { linkedinId } = entry;
+    const email = entry.data.email;
+
+    if (linkedinId && existingLinkedinIds.has(linkedinId)) {
+      entry.status = 'duplicate';
+      entry.reasons.push('LinkedIn profile already exists');
+      entry.existingId = existingLinkedinIds.get(linkedinId);
+    } else if (email && existingEmails.has(email)) {
+      entry.status = 'duplicate';
+      entry.reasons.push('email already exists');
+      entry.existingId = existingEmails.get(email);
+    } else if (linkedinId && seenLinkedinIds.has(linkedinId)) {
+      entry.status = 'duplicate';
+      entry.reasons.push(`same LinkedIn profile as ${seenLinkedinIds.get(linkedinId)}`);
+    } else if (email && seenEmails.has(email)) {
+      entry.status = 'duplicate';
+      entry.reasons.push(`same email as ${seenEmails.get(email)}`);
+    }
+
+    if (entry.status === 'accepted') {
+      if (linkedinId) seenLinkedinIds.set(linkedinId, entry.label);
+      if (email) seenEmails.set(email, entry.label);
+    }
+    delete entry.linkedinId;
+  });
+
+  return entries;
+}
+
+// Insert the accepted entries in one unordered insertMany and mark each one created, duplicate or
+// invalid. Write errors are matched back to entries by _id, not by index: the driver only numbers the
+// documents that passed Mongoose validation. Returns the created documents.
+async function insertEntries(entries, Profile) {
+  const accepted = entries.filter(e => e.status === 'accepted');
+  if (accepted.length === 0) return [];
+
+  const entriesById = new Map(accepted.map(entry => {
+    entry.data._id = new mongoose.Types.ObjectId();
+    return [entry.data._id.toString(), entry];
+  }));
+
+  let created;
+  try {
+    created = await Profile.insertMany(accepted.map(e => e.data), { ordered: false });
+  } catch (insertError) {
+    if (!insertError.writeErrors) throw insertError;
+
+    // Unordered insert: failed items are reported, everything else was still inserted
+    created = insertError.insertedDocs || [];
+    insertError.writeErrors.forEach(writeError => {
+      const op = writeError.err?.op || writeError.op;
+      const entry = op?._id && entriesById.get(op._id.toString());
+      if (!entry) return;
+      const isDuplicate = writeError.code === 11000 || writeError.err?.code === 11000;
+      entry.status = isDuplicate ? 'duplicate' : 'invalid';
+      entry.reasons.push(isDuplicate ? 'LinkedIn profile already exists' : (writeError.errmsg || writeError.err?.errmsg || 'Insert failed'));
+    });
+  }
+
+  const createdIds = new Set(created.map(p => p._id.toString()));
+  accepted.forEach(entry => {
+    if (entry.status !== 'accepted') return;
+    if (createdIds.has(entry.data._id.toString())) {
+      entry.status = 'created';
+      entry.id = entry.data._id.toString();
+    } else {
+      entry.status = 'invalid';
+      entry.reasons.push('Profile failed validation on insert');
+    }
+  });
+  return created;
+}
+
+// Error response body for a failed profile write, with per-field messages for validation errors
+function writeErrorBody(err) {
+  if (err.name !== 'ValidationError' || !err.errors) {
+    return { error: err.message };
+  }
+  const fields = {};
+  Object.entries(err.errors).forEach(([path, error]) => {
+    fields[path] = error.message;
+  });
+  return { error: 'Invalid profile data', fields };
+}
+
+// HTTP status for a failed profile write. Only bad input is a 400; anything else is a 5xx so
+// idempotent() releases the key and the same request can be retried.
+function writeErrorStatus(err) {
+  if (err.status) return err.status;
+  if (err.code === 11000) return 409;
+  return ['ValidationError', 'CastError'].includes(err.name) ? 400 : 500;
+}
+
+// { total, accepted, duplicate, invalid, created, ... } counts for a report
+function summarize(entries) {
+  return entries.reduce((summary, entry) => {
+    summary[entry.status] = (summary[entry.status] || 0) + 1;
+    return summary;
+  }, { total: entries.length });
+}
+
+module.exports = {
+  validateProfileData,
+  buildEntries,
+  markDuplicates,
+  insertEntries,
+  writeErrorBody,
+  writeErrorStatus,
+  summarize
+};
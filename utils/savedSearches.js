@@ -0,0 +1,251 @@
+// savedSearches.js - Saved profile searches: filter validation, matching new profiles and daily digests
+const SavedSearch = require('../models/SavedSearch');
+const Notification = require('../models/Notification');
+const Profile = require('../models/profile');
+const User = require('../models/User');
+const Dashboard = require('../models/Dashboard');
+const { FILTER_PARAMS, buildProfileFilter } = require('./profileQuery');
+const { sendMail } = require('./mailTransport');
+
+const MAX_SAVED_SEARCHES = 50;
+const DIGEST_MAX_ITEMS = 50; // Matches listed per digest email, the rest are summarized
+const MATCH_BATCH_SIZE = 200; // New profiles matched against the saved searches at a time
+
+// Keep only known, non-empty filter params. Values are stored as strings or string lists,
+// exactly as they would arrive in a GET /profiles query string.
+function sanitizeFilters(input) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { filters: {}, errors: ['filters must be an object of profile filters'] };
+  }
+
+  const filters = {};
+  const errors = [];
+  Object.entries(input).forEach(([key, value]) => {
+    if (!FILTER_PARAMS.includes(key)) {
+      errors.push(`"${key}" is not a profile filter`);
+      return;
+    }
+
+    if (Array.isArray(value)) {
+      const list = value.map(v => String(v).trim()).filter(Boolean);
+      if (list.length) filters[key] = list;
+    } else if (value !== undefined && value !== null && String(value).trim() !== '') {
+      if (typeof value === 'object') {
+        errors.push(`"${key}" must be a string, number or list`);
+        return;
+      }
+      filters[key] = String(value).trim();
+    }
+  });
+
+  if (errors.length === 0 && Object.keys(filters).length === 0) {
+    errors.push('At least one filter is required');
+  }
+  return { filters, errors };
+}
+
+// "Jane Doe - Backend Engineer at Acme"
+function profileSummary(profile) {
+  const role = [profile.jobTitle, profile.company].filter(Boolean).join(' at ');
+  return `${profile.name || 'Unknown'}${role ? ` - ${role}` : ''}`;
+}
+
+// Match newly created profiles against every saved search and notify the owners.
+// Each search is evaluated by MongoDB with the same filter GET /profiles uses, restricted to the new ids.
+// Users are not notified about profiles they uploaded themselves. Returns the number of notifications.
+async function notifySavedSearchMatches(profiles) {
+  if (!profiles || profiles.length === 0) return 0;
+
+  const newIds = profiles.map(p => p._id);
+  let created = 0;
+
+  const searches = SavedSearch.find().select('userId name filters').cursor();
+  for await (const search of searches) {
+    const matches = await Profile.find({
+      $and: [buildProfileFilter(search.filters), { _id: { $in: newIds } }]
+    }).select('name jobTitle company uploadedBy');
+
+    const notifications = matches
+      .filter(profile => !profile.uploadedBy || String(profile.uploadedBy) !== String(search.userId))
+      .map(profile => ({
+        userId: search.userId,
+        type: 'saved_search_match',
+        title: `New match for "${search.name}"`,
+        message: profileSummary(profile),
+        savedSearchId: search._id,
+        profileId: profile._id
+      }));
+    if (notifications.length === 0) continue;
+
+    let inserted = notifications.length;
+    try {
+      await Notification.insertMany(notifications, { ordered: false });
+    } catch (insertError) {
+      // Already-announced matches hit the unique index and are skipped
+      if (!insertError.writeErrors) throw insertError;
+      inserted = (insertError.insertedDocs || []).length;
+    }
+    if (inserted === 0) continue;
+
+    created += inserted;
+    await SavedSearch.updateOne(
+      { _id: search._id },
+      { $inc: { matchCount: inserted }, $set: { lastMatchedAt: new Date() } }
+    );
+  }
+
+  return created;
+}
+
+// Queue newly created profiles for saved-search matching. Matching runs one query per saved search,
+// so it happens outside the upload request: a run is started in this process right away, and
+// `npm run match:saved-searches` picks up anything left (e.g. on serverless deployments).
+async function queueSavedSearchMatches(profiles) {
+  if (!profiles || profiles.length === 0) return;
+
+  await Profile.updateMany(
+    { _id: { $in: profiles.map(p => p._id) } },
+    { $set: { searchMatchPendingAt: new Date() } },
+    { timestamps: false }
+  );
+  startMatchRun();
+}
+
+let activeMatchRun = null;
+let matchRerunRequested = false;
+
+// Match queued profiles batch by batch, oldest first. Returns { profiles, notifications }.
+async function processPendingMatches({ batchSize = MATCH_BATCH_SIZE } = {}) {
+  const report = { profiles: 0, notifications: 0 };
+
+  for (;;) {
+    const batch = await Profile.find({ searchMatchPendingAt: { $ne: null } })
+      .sort({ searchMatchPendingAt: 1, _id: 1 })
+      .limit(batchSize)
+      .select('_id');
+    if (batch.length === 0) break;
+
+    report.notifications += await notifySavedSearchMatches(batch);
+    await Profile.updateMany(
+      { _id: { $in: batch.map(p => p._id) } },
+      { $unset: { searchMatchPendingAt: 1 } },
+      { timestamps: false }
+    );
+    report.profiles += batch.length;
+  }
+
+  return report;
+}
+
+// Start a background matching run unless one is going; a running one is asked to go again when it
+// finishes so profiles queued meanwhile aren't left waiting. Returns false when a run was already active.
+function startMatchRun() {
+  if (activeMatchRun) {
+    matchRerunRequested = true;
+    return false;
+  }
+
+  activeMatchRun = processPendingMatches()
+    .catch(err => console.error('Saved search matching failed:', err))
+    .finally(() => {
+      activeMatchRun = null;
+      if (matchRerunRequested) {
+        matchRerunRequested = false;
+        startMatchRun();
+      }
+    });
+  return true;
+}
+
+function digestText(user, sections) {
+  const lines = [`Hi ${user.name || 'there'},`, '', 'New profiles matched your saved searches:'];
+  sections.forEach(({ search, notifications }) => {
+    lines.push('', `${search.name} (${notifications.length} new)`);
+    notifications.slice(0, DIGEST_MAX_ITEMS).forEach(n => {
+      lines.push(`  - ${n.message}`);
+    });
+    if (notifications.length > DIGEST_MAX_ITEMS) {
+      lines.push(`  ...and ${notifications.length - DIGEST_MAX_ITEMS} more`);
+    }
+  });
+  if (process.env.FRONTEND_URL) {
+    lines.push('', `View them in ContactPro: ${process.env.FRONTEND_URL}`);
+  }
+  return lines.join('\n');
+}
+
+// Email each user with digest-enabled searches the matches created since that search's last digest.
+// Returns { users, sent, failed, optedOut, notifications }.
+async function sendDailyDigests({ now = new Date() } = {}) {
+  const searches = await SavedSearch.find({ dailyDigest: true }).select('userId name lastDigestAt createdAt');
+
+  const searchesByUser = new Map();
+  searches.forEach(search => {
+    const key = String(search.userId);
+    if (!searchesByUser.has(key)) searchesByUser.set(key, []);
+    searchesByUser.get(key).push(search);
+  });
+
+  // Users who turned email digests off in their preferences keep their notifications, just no email
+  const optedOut = await Dashboard.find({
+    userId: { $in: [...searchesByUser.keys()] },
+    'preferences.emailDigests': false
+  }).select('userId');
+  const optedOutIds = new Set(optedOut.map(d => String(d.userId)));
+
+  const report = { users: searchesByUser.size, sent: 0, failed: 0, optedOut: optedOutIds.size, notifications: 0 };
+
+  for (const [userId, userSearches] of searchesByUser) {
+    if (optedOutIds.has(userId)) continue;
+    try {
+      const notifications = await Notification.find({
+        userId,
+        type: 'saved_search_match',
+        createdAt: { $lte: now },
+        $or: userSearches.map(search => ({
+          savedSearchId: search._id,
+          createdAt: { $gt: search.lastDigestAt || search.createdAt }
+        }))
+      }).sort({ createdAt: 1 });
+      if (notifications.length === 0) continue;
+
+      const user = await User.findById(userId).select('name email');
+      if (!user?.email) continue;
+
+      const sections = userSearches
+        .map(search => ({
+          search,
+          notifications: notifications.filter(n => String(n.savedSearchId) === String(search._id))
+        }))
+        .filter(section => section.notifications.length > 0);
+
+      await sendMail({
+        to: user.email,
+        subject: `${notifications.length} new profile match${notifications.length === 1 ? '' : 'es'} for your saved searches`,
+        text: digestText(user, sections)
+      });
+
+      await SavedSearch.updateMany(
+        { _id: { $in: userSearches.map(s => s._id) } },
+        { $set: { lastDigestAt: now } }
+      );
+      report.sent++;
+      report.notifications += notifications.length;
+    } catch (err) {
+      // One failing recipient shouldn't stop the rest of the digest run
+      console.error(`Saved search digest failed for user ${userId}:`, err);
+      report.failed++;
+    }
+  }
+
+  return report;
+}
+
+module.exports = {
+  MAX_SAVED_SEARCHES,
+  sanitizeFilters,
+  notifySavedSearchMatches,
+  queueSavedSearchMatches,
+  processPendingMatches,
+  sendDailyDigests
+};
@@ -0,0 +1,95 @@
+// searchHighlight.js - Builds match snippets for the profile full-text search
+const { escapeRegex } = require('./profileQuery');
+
+// Fields searched by the text index, in the order snippets are reported
+const SEARCH_FIELDS = ['name', 'jobTitle', 'skills', 'company', 'education', 'workExperience'];
+
+const SNIPPET_RADIUS = 60; // Characters of context kept on each side of the first match
+const MAX_RANGES_PER_SNIPPET = 10;
+
+// Turn a $text query into plain search terms: drop negated terms, unwrap phrases
+function extractTerms(q) {
+  const terms = [];
+  const phraseRegex = /"([^"]+)"/g;
+  let match;
+  while ((match = phraseRegex.exec(q)) !== null) {
+    terms.push(...match[1].split(/\s+/));
+  }
+
+  String(q)
+    .replace(phraseRegex, ' ')
+    .split(/\s+/)
+    .filter(word => word && !word.startsWith('-'))
+    .forEach(word => terms.push(word));
+
+  return [...new Set(
+    terms
+      .map(term => term.toLowerCase().replace(/[^\p{L}\p{N}+#.]/gu, ''))
+      .map(stem)
+      .filter(term => term.length >= 2)
+  )];
+}
+
+// Rough suffix stripping so "engineers" still highlights "engineer" / "engineering"
+function stem(term) {
+  if (term.length <= 4) return term;
+  return term.replace(/(ing|ers|ed|es|s)$/, '');
+}
+
+function buildTermRegex(terms) {
+  if (!terms.length) return null;
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${terms.map(escapeRegex).join('|')})[\\p{L}\\p{N}]*`, 'giu');
+}
+
+// Cut a snippet around the first match and report match ranges relative to the snippet
+function snippetFor(text, regex) {
+  regex.lastIndex = 0;
+  const matches = [];
+  let match;
+  while ((match = regex.exec(text)) !== null) {
+    matches.push([match.index, match.index + match[0].length]);
+    if (match[0].length === 0) regex.lastIndex++;
+  }
+  if (!matches.length) return null;
+
+  const start = Math.max(0, matches[0][0] - SNIPPET_RADIUS);
+  const end = Math.min(text.length, matches[0][1] + SNIPPET_RADIUS * 2);
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+
+  const ranges = matches
+    .filter(([s, e]) => s >= start && e <= end)
+    .slice(0, MAX_RANGES_PER_SNIPPET)
+    .map(([s, e]) => [s - start + prefix.length, e - start + prefix.length]);
+
+  return {
+    snippet: `${prefix}${text.slice(start, end)}${suffix}`,
+    ranges
+  };
+}
+
+// Highlights for one profile: [{ field, snippet, ranges: [[start, end], ...] }]
+function buildHighlights(profile, q) {
+  const regex = buildTermRegex(extractTerms(q));
+  if (!regex) return [];
+
+  const highlights = [];
+  for (const field of SEARCH_FIELDS) {
+    const value = profile[field];
+    if (!value) continue;
+
+    const values = Array.isArray(value) ? value : [value];
+    for (const text of values) {
+      if (!text) continue;
+      const result = snippetFor(String(text), regex);
+      if (result) highlights.push({ field, ...result });
+    }
+  }
+  return highlights;
+}
+
+module.exports = {
+  SEARCH_FIELDS,
+  extractTerms,
+  buildHighlights
+};